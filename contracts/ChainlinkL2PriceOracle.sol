@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {AggregatorV3Interface} from "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+import {ChainlinkPriceOracle} from "./ChainlinkPriceOracle.sol";
+
+/**
+ * @title ChainlinkL2PriceOracle
+ * @dev ChainlinkPriceOracle for L2s, that also checks the chainlink sequencer uptime feed to avoid using prices that
+ *      weren't updated while the sequencer was down.
+ * @custom:security-contact security@ensuro.co
+ * @author Ensuro
+ */
+contract ChainlinkL2PriceOracle is ChainlinkPriceOracle {
+  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+  AggregatorV3Interface internal immutable _sequencerUptimeFeed;
+  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+  uint256 internal immutable _gracePeriod;
+
+  /**
+   * @dev Constructs the ChainlinkL2PriceOracle. See the constructor of ChainlinkPriceOracle for the other parameters.
+   *
+   * @param sequencerUptimeFeed_ Address of the chainlink L2 sequencer uptime feed
+   * @param gracePeriod_ Time in seconds, after the sequencer is back up, during which the prices are not accepted
+   */
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor(
+    AggregatorV3Interface assetOracle_,
+    AggregatorV3Interface referenceOracle_,
+    uint256 oracleTolerance_,
+    AggregatorV3Interface sequencerUptimeFeed_,
+    uint256 gracePeriod_
+  ) ChainlinkPriceOracle(assetOracle_, referenceOracle_, oracleTolerance_) {
+    require(
+      address(sequencerUptimeFeed_) != address(0),
+      "PriceRiskModule: sequencerUptimeFeed_ cannot be the zero address"
+    );
+    _sequencerUptimeFeed = sequencerUptimeFeed_;
+    _gracePeriod = gracePeriod_;
+  }
+
+  /**
+   * @dev Returns the price of the asset, see `ChainlinkPriceOracle.getCurrentPrice()`
+   *
+   * Requirements:
+   * - The sequencer is up since more than gracePeriod() seconds
+   */
+  function getCurrentPrice() public view virtual override returns (uint256) {
+    _checkSequencerUp();
+    return super.getCurrentPrice();
+  }
+
+  /**
+   * @dev Returns the price of the asset reported in a given round, see `ChainlinkPriceOracle.getRound(roundId)`.
+   *      Also used by `getHistoricalPrice(...)`. The uptime feed only tells the current status of the sequencer, so
+   *      the rounds updated before it came back up (the last time) plus the grace period aren't accepted, because
+   *      they might have been updated while the sequencer was down.
+   *
+   * Requirements:
+   * - The sequencer is up since more than gracePeriod() seconds
+   * - The round was updated more than gracePeriod() seconds after the sequencer came back up
+   */
+  function getRound(uint80 roundId) public view virtual override returns (uint256 price, uint40 updatedAt) {
+    uint256 upSince = _checkSequencerUp();
+    (price, updatedAt) = super.getRound(roundId);
+    require(updatedAt > upSince + _gracePeriod, "Round updated before the sequencer grace period");
+  }
+
+  /**
+   * @dev Checks the L2 sequencer is up and the grace period after it came back up is over. While the sequencer is
+   *      down, the prices can't be updated, so they might be stale even if they are within oracleTolerance() when
+   *      it comes back up.
+   * @return The timestamp when the sequencer came back up
+   */
+  function _checkSequencerUp() internal view returns (uint256) {
+    // answer == 0: the sequencer is up, answer == 1: the sequencer is down
+    (, int256 answer, uint256 startedAt, , ) = _sequencerUptimeFeed.latestRoundData();
+    // startedAt == 0 when the round isn't initialized
+    require(startedAt != 0, "Sequencer status not available");
+    require(answer == 0, "Sequencer is down");
+    require(block.timestamp - startedAt > _gracePeriod, "Sequencer grace period not over");
+    return startedAt;
+  }
+
+  function sequencerUptimeFeed() external view returns (AggregatorV3Interface) {
+    return _sequencerUptimeFeed;
+  }
+
+  function gracePeriod() external view returns (uint256) {
+    return _gracePeriod;
+  }
+}
@@ -2,18 +2,18 @@
 pragma solidity ^0.8.0;
 
 import {AggregatorV3Interface} from "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
-import {SafeCast} from "@openzeppelin/contracts/utils/math/SafeCast.sol";
 import {WadRayMath} from "@ensuro/core/contracts/dependencies/WadRayMath.sol";
-import {IPriceOracle} from "./interfaces/IPriceOracle.sol";
+import {IHistoricalPriceOracle} from "./interfaces/IHistoricalPriceOracle.sol";
 
 /**
  * @title ChainlinkPriceOracle
  * @dev Implementation of IPriceOracle using two underlying chainlink oracles. One with the price of the asset and
  *      other (referenceOracle - optional) with the price of the asset you want to denominate the asset price.
+ *      For L2s, see {ChainlinkL2PriceOracle}, that also checks the chainlink sequencer uptime feed.
  * @custom:security-contact security@ensuro.co
  * @author Ensuro
  */
-contract ChainlinkPriceOracle is IPriceOracle {
+contract ChainlinkPriceOracle is IHistoricalPriceOracle {
   using WadRayMath for uint256;
 
   uint8 internal constant WAD_DECIMALS = 18;
@@ -25,6 +25,15 @@ contract ChainlinkPriceOracle is IPriceOracle {
   /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
   uint256 internal immutable _oracleTolerance;
 
+  struct FeedDetails {
+    uint256 price; // Price reported by the feed, in Wad (18 decimals)
+    uint80 roundId;
+    uint256 updatedAt;
+  }
+
+  // The answer of a chainlink feed was zero or negative
+  error ChainlinkPriceNotPositive(AggregatorV3Interface oracle, uint80 roundId, int256 answer);
+
   /**
    * @dev Constructs the PriceRiskModule.
    *      Note that, although it's supported that assetOracle_ and  referenceOracle_ have different number
@@ -49,7 +58,8 @@ contract ChainlinkPriceOracle is IPriceOracle {
    * @dev Returns the price of the asset
    *
    * Requirements:
-   * - The oracle(s) are functional, returning non zero values and updated after (block.timestamp - oracleTolerance())
+   * - The oracle(s) are functional, returning complete rounds with positive answers, updated after
+   *   (block.timestamp - oracleTolerance())
    *
    * @return If referenceOracle() != address(0), returns the price of the asset expressed in terms of the reference
    *         asset, in Wad (18 decimals)
@@ -58,12 +68,95 @@ contract ChainlinkPriceOracle is IPriceOracle {
    */
   function getCurrentPrice() public view virtual override returns (uint256) {
     if (address(_referenceOracle) == address(0)) {
-      return _scalePrice(_getLatestPrice(_assetOracle), _assetOracle.decimals(), WAD_DECIMALS);
+      return _getLatestPrice(_assetOracle);
     } else {
       return _getExchangeRate(_assetOracle, _referenceOracle);
     }
   }
 
+  /**
+   * @dev Returns the price of the asset reported in a given round of assetOracle()
+   *
+   * Requirements:
+   * - referenceOracle() == address(0), because the rounds of the asset and the reference oracles can't be matched
+   * - The round is complete, with a positive answer, updated within [from, to]
+   *
+   * @param roundId The id of the round in assetOracle()
+   * @param from The minimum timestamp accepted for the update of the round
+   * @param to The maximum timestamp accepted for the update of the round
+   * @return The price of the asset expressed in the denomination of assetOracle(), in Wad (18 decimals)
+   */
+  function getHistoricalPrice(uint80 roundId, uint40 from, uint40 to) external view virtual override returns (uint256) {
+    (uint256 price, uint40 updatedAt) = getRound(roundId);
+    require(updatedAt >= from && updatedAt <= to, "Round outside of the valid time window");
+    return price;
+  }
+
+  /**
+   * @dev Returns the price of the asset reported in a given round of assetOracle() and when it was updated
+   *
+   * Requirements:
+   * - referenceOracle() == address(0), because the rounds of the asset and the reference oracles can't be matched
+   * - The round is complete, with a positive answer
+   *
+   * @param roundId The id of the round in assetOracle()
+   * @return price The price of the asset expressed in the denomination of assetOracle(), in Wad (18 decimals)
+   * @return updatedAt The timestamp of the update of the round
+   */
+  function getRound(uint80 roundId) public view virtual override returns (uint256 price, uint40 updatedAt) {
+    require(address(_referenceOracle) == address(0), "Historical prices not supported with referenceOracle");
+    (uint80 roundId_, int256 answer, uint256 startedAt, uint256 roundUpdatedAt, uint80 answeredInRound) = _assetOracle
+      .getRoundData(roundId);
+    FeedDetails memory details = _validateRound(
+      _assetOracle,
+      roundId_,
+      answer,
+      startedAt,
+      roundUpdatedAt,
+      answeredInRound
+    );
+    return (details.price, uint40(details.updatedAt));
+  }
+
+  /**
+   * @dev Returns the id of the round that follows `roundId` in assetOracle(). The ids of the rounds of a chainlink
+   *      proxy are (phaseId << 64 | aggregatorRoundId), where the phase changes when the aggregator behind the proxy
+   *      is replaced. So, if `roundId` is the last round of its phase, the next round is the first round of the
+   *      following phase. See https://docs.chain.link/data-feeds/historical-data#roundid-in-proxy
+   *
+   * Requirements:
+   * - referenceOracle() == address(0), because the rounds of the asset and the reference oracles can't be matched
+   *
+   * @param roundId The id of the round in assetOracle()
+   * @return The id of the next round. If there's no next round yet, it's roundId + 1.
+   */
+  function nextRoundId(uint80 roundId) external view virtual override returns (uint80) {
+    require(address(_referenceOracle) == address(0), "Historical prices not supported with referenceOracle");
+    uint80 nextRound = roundId + 1;
+    if (_roundExists(nextRound)) return nextRound;
+    uint80 nextPhaseRound = (((roundId >> 64) + 1) << 64) | 1;
+    return _roundExists(nextPhaseRound) ? nextPhaseRound : nextRound;
+  }
+
+  /**
+   * @dev Returns the latest round of the asset and the reference oracles, to explain the price returned by
+   *      getCurrentPrice(). It doesn't check the age of the rounds or the sequencer status.
+   *
+   * Requirements:
+   * - The latest rounds are complete, with positive answers
+   *
+   * @return assetDetails The price (in Wad), the id and the update timestamp of the latest round of assetOracle()
+   * @return referenceDetails Same as assetDetails for referenceOracle(). All zeros if referenceOracle() == address(0)
+   */
+  function getPriceDetails()
+    external
+    view
+    returns (FeedDetails memory assetDetails, FeedDetails memory referenceDetails)
+  {
+    assetDetails = _getLatestRound(_assetOracle);
+    if (address(_referenceOracle) != address(0)) referenceDetails = _getLatestRound(_referenceOracle);
+  }
+
   /**
    * @dev Calculates the exchange rate between the prices returned by the two aggregators
    *      Assumes that both aggregators are returning prices using the same quote.
@@ -75,20 +168,57 @@ contract ChainlinkPriceOracle is IPriceOracle {
    * @return The exchange rate from/to in Wad
    */
   function _getExchangeRate(AggregatorV3Interface base, AggregatorV3Interface quote) internal view returns (uint256) {
-    uint256 basePrice = _scalePrice(_getLatestPrice(base), base.decimals(), WAD_DECIMALS);
+    uint256 basePrice = _getLatestPrice(base);
     require(basePrice != 0, "Price from not available");
 
-    uint256 quotePrice = _scalePrice(_getLatestPrice(quote), quote.decimals(), WAD_DECIMALS);
+    uint256 quotePrice = _getLatestPrice(quote);
     require(quotePrice != 0, "Price to not available");
 
     return basePrice.wadDiv(quotePrice);
   }
 
+  /// @dev Returns the latest price of the oracle, scaled to Wad
   function _getLatestPrice(AggregatorV3Interface oracle) internal view returns (uint256) {
-    (, int256 price, , uint256 updatedAt, ) = oracle.latestRoundData();
-    require(updatedAt > block.timestamp - _oracleTolerance, "Price is older than tolerable");
+    FeedDetails memory details = _getLatestRound(oracle);
+    require(details.updatedAt > block.timestamp - _oracleTolerance, "Price is older than tolerable");
+    return details.price;
+  }
+
+  function _getLatestRound(AggregatorV3Interface oracle) internal view returns (FeedDetails memory) {
+    (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound) = oracle
+      .latestRoundData();
+    return _validateRound(oracle, roundId, answer, startedAt, updatedAt, answeredInRound);
+  }
+
+  /**
+   * @dev Validates the data of a round is complete and the answer is positive
+   *
+   * Requirements:
+   * - The round started and was updated (startedAt != 0 and updatedAt != 0)
+   * - The answer was computed in this round (answeredInRound >= roundId), not carried over from a previous one
+   * - The answer is positive, otherwise reverts with ChainlinkPriceNotPositive
+   */
+  function _validateRound(
+    AggregatorV3Interface oracle,
+    uint80 roundId,
+    int256 answer,
+    uint256 startedAt,
+    uint256 updatedAt,
+    uint80 answeredInRound
+  ) internal view returns (FeedDetails memory) {
+    require(startedAt != 0 && updatedAt != 0, "Round not complete");
+    require(answeredInRound >= roundId, "Round answer is stale");
+    if (answer <= 0) revert ChainlinkPriceNotPositive(oracle, roundId, answer);
+    return FeedDetails(_scalePrice(uint256(answer), oracle.decimals(), WAD_DECIMALS), roundId, updatedAt);
+  }
 
-    return SafeCast.toUint256(price);
+  /// @dev Returns true if the round of assetOracle() was updated. The proxies revert for the rounds of unknown phases.
+  function _roundExists(uint80 roundId) internal view returns (bool) {
+    try _assetOracle.getRoundData(roundId) returns (uint80, int256, uint256, uint256 updatedAt, uint80) {
+      return updatedAt != 0;
+    } catch {
+      return false;
+    }
   }
 
   function _scalePrice(uint256 price, uint8 priceDecimals, uint8 decimals) internal pure returns (uint256) {
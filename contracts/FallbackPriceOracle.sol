@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {IPriceOracle} from "./interfaces/IPriceOracle.sol";
+
+/**
+ * @title FallbackPriceOracle
+ * @dev Implementation of IPriceOracle that returns the price of a primary oracle and fails over to a fallback oracle
+ *      when the primary reverts (for example, a stale chainlink oracle) or returns zero. The primary is tried first
+ *      on every call, so it's used again as soon as it recovers. `activeSource()` tells which one is in use.
+ * @custom:security-contact security@ensuro.co
+ * @author Ensuro
+ */
+contract FallbackPriceOracle is IPriceOracle {
+  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+  IPriceOracle internal immutable _primary;
+  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+  IPriceOracle internal immutable _fallback;
+
+  /**
+   * @dev Constructs the FallbackPriceOracle. Both oracles must express the price in the same denomination.
+   *      This cannot be validated by the contract, so be careful when constructing.
+   *
+   * @param primary_ The oracle used while it's functional
+   * @param fallback_ The oracle used when the primary fails
+   */
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor(IPriceOracle primary_, IPriceOracle fallback_) {
+    require(address(primary_) != address(0), "FallbackPriceOracle: primary cannot be the zero address");
+    require(address(fallback_) != address(0), "FallbackPriceOracle: fallback cannot be the zero address");
+    _primary = primary_;
+    _fallback = fallback_;
+  }
+
+  /**
+   * @dev Returns the price of the primary oracle or, if it fails, the one of the fallback oracle
+   *
+   * Requirements:
+   * - At least one of the oracles is functional. It NEVER returns zero.
+   *
+   * @return The price of the asset in Wad (18 decimals)
+   */
+  function getCurrentPrice() external view override returns (uint256) {
+    (uint256 price, ) = getCurrentPriceWithSource();
+    return price;
+  }
+
+  /**
+   * @dev Returns the current price and the oracle it comes from
+   * @return price The price of the asset in Wad (18 decimals)
+   * @return source The oracle that returned the price, `primary()` or `fallbackOracle()`
+   */
+  function getCurrentPriceWithSource() public view returns (uint256 price, IPriceOracle source) {
+    price = _primaryPrice();
+    if (price != 0) return (price, _primary);
+    price = _fallback.getCurrentPrice();
+    require(price != 0, "FallbackPriceOracle: price not available");
+    return (price, _fallback);
+  }
+
+  /**
+   * @dev Returns the oracle that `getCurrentPrice()` uses now: `primary()` if it's functional, otherwise
+   *      `fallbackOracle()`. Doesn't check if the fallback is functional.
+   */
+  function activeSource() external view returns (IPriceOracle) {
+    return _primaryPrice() != 0 ? _primary : _fallback;
+  }
+
+  /**
+   * @dev Returns the price of the primary oracle, or zero if it reverts
+   */
+  function _primaryPrice() internal view returns (uint256) {
+    try _primary.getCurrentPrice() returns (uint256 price) {
+      return price;
+    } catch {
+      return 0;
+    }
+  }
+
+  function primary() external view returns (IPriceOracle) {
+    return _primary;
+  }
+
+  function fallbackOracle() external view returns (IPriceOracle) {
+    return _fallback;
+  }
+}
@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {WadRayMath} from "@ensuro/core/contracts/dependencies/WadRayMath.sol";
+import {IPriceOracle} from "./interfaces/IPriceOracle.sol";
+
+/**
+ * @title MedianPriceOracle
+ * @dev Implementation of IPriceOracle that aggregates several IPriceOracle sources, returning the median of their
+ *      prices. The sources that revert (for example, stale chainlink oracles) or return zero are ignored, as long as
+ *      there are at least `quorum()` valid prices. It can be used as the oracle of the PriceRiskModule or as the
+ *      gas-price oracle of the payout automations.
+ * @custom:security-contact security@ensuro.co
+ * @author Ensuro
+ */
+contract MedianPriceOracle is IPriceOracle {
+  using WadRayMath for uint256;
+
+  uint8 public constant MAX_SOURCES = 10;
+
+  IPriceOracle[] internal _sources;
+  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+  uint256 internal immutable _quorum;
+  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+  uint256 internal immutable _maxDeviation;
+
+  /**
+   * @dev Constructs the MedianPriceOracle. All the sources must express the price in the same denomination.
+   *      This cannot be validated by the contract, so be careful when constructing.
+   *
+   * @param sources_ The oracles whose prices are aggregated
+   * @param quorum_ Minimum number of sources that must return a valid price
+   * @param maxDeviation_ Max acceptable deviation of each valid price from the median, in wad (0.01 = 1%)
+   */
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor(IPriceOracle[] memory sources_, uint256 quorum_, uint256 maxDeviation_) {
+    require(sources_.length <= MAX_SOURCES, "MedianPriceOracle: too many sources");
+    require(quorum_ != 0 && quorum_ <= sources_.length, "MedianPriceOracle: invalid quorum");
+    for (uint256 i = 0; i < sources_.length; i++) {
+      require(address(sources_[i]) != address(0), "MedianPriceOracle: source cannot be the zero address");
+      _sources.push(sources_[i]);
+    }
+    _quorum = quorum_;
+    _maxDeviation = maxDeviation_;
+  }
+
+  /**
+   * @dev Returns the median of the prices of the sources
+   *
+   * Requirements:
+   * - At least `quorum()` sources return a price without reverting and the price isn't zero
+   * - Each of the valid prices deviates from the median at most `maxDeviation()`
+   *
+   * @return The median price of the asset, in Wad (18 decimals). With an even number of valid prices, it's the
+   *         average of the two in the middle.
+   */
+  function getCurrentPrice() external view override returns (uint256) {
+    uint256[] memory prices = new uint256[](_sources.length);
+    uint256 count;
+    for (uint256 i = 0; i < prices.length; i++) {
+      try _sources[i].getCurrentPrice() returns (uint256 price) {
+        if (price == 0) continue;
+        // Insertion sort, the number of sources is small
+        uint256 j = count++;
+        while (j > 0 && prices[j - 1] > price) {
+          prices[j] = prices[j - 1];
+          j--;
+        }
+        prices[j] = price;
+      } catch {} // solhint-disable-line no-empty-blocks
+    }
+    require(count >= _quorum, "MedianPriceOracle: quorum not reached");
+
+    uint256 median = count % 2 == 1 ? prices[count / 2] : (prices[count / 2 - 1] + prices[count / 2]) / 2;
+    uint256 maxDiff = median.wadMul(_maxDeviation);
+    require(
+      median - prices[0] <= maxDiff && prices[count - 1] - median <= maxDiff,
+      "MedianPriceOracle: sources deviation exceeds maxDeviation"
+    );
+    return median;
+  }
+
+  function sources() external view returns (IPriceOracle[] memory) {
+    return _sources;
+  }
+
+  function quorum() external view returns (uint256) {
+    return _quorum;
+  }
+
+  function maxDeviation() external view returns (uint256) {
+    return _maxDeviation;
+  }
+}
@@ -0,0 +1,329 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {IPolicyPool} from "@ensuro/core/contracts/interfaces/IPolicyPool.sol";
+import {Policy} from "@ensuro/core/contracts/Policy.sol";
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {IHistoricalPriceOracle} from "./interfaces/IHistoricalPriceOracle.sol";
+import {PriceRiskModuleBase} from "./PriceRiskModuleBase.sol";
+
+/**
+ * @title PricePolicyLibrary
+ * @dev Resolution of the policies of the PriceRiskModule (trigger conditions, breach confirmation, keeper reward and
+ *      concentration exposure), deployed as a linked library to keep the module below the contract size limit. The
+ *      policies and the rest of the state are passed as storage references, so the functions read and write the
+ *      storage of the module (delegatecall), and the events are emitted by the module.
+ * @custom:security-contact security@ensuro.co
+ * @author Ensuro
+ */
+library PricePolicyLibrary {
+  using SafeERC20 for IERC20Metadata;
+
+  // Same events as PriceRiskModuleBase, emitted in the context of the module
+  event KeeperRewardPaid(address indexed keeper, uint256 policyId, uint256 reward);
+  event KeeperRewardNotPaid(address indexed keeper, uint256 policyId, uint256 reward);
+  event PolicyTriggered(uint256 indexed policyId, uint256 price, uint256 triggerPrice, bool lower, uint40 timestamp);
+  event BreachStarted(uint256 indexed policyId, uint256 price);
+  event BreachCleared(uint256 indexed policyId, uint256 price);
+
+  /**
+   * @dev Returns true if the price is past the trigger price(s) of a policy
+   */
+  function triggered(
+    uint256 price,
+    uint256 triggerPrice,
+    uint256 upperTriggerPrice,
+    bool lower
+  ) internal pure returns (bool) {
+    if (upperTriggerPrice != 0) return price <= triggerPrice || price >= upperTriggerPrice;
+    return lower ? price <= triggerPrice : price >= triggerPrice;
+  }
+
+  /**
+   * @dev Returns the amount that the policy pays at a given price, zero if the price isn't past the trigger price
+   */
+  function payoutAtPrice(PriceRiskModuleBase.PolicyData storage policy, uint256 price) internal view returns (uint256) {
+    uint256 triggerPrice = policy.triggerPrice;
+    uint256 floorPrice = policy.floorPrice;
+    if (!triggered(price, triggerPrice, policy.upperTriggerPrice, policy.lower)) return 0;
+    if (floorPrice == 0 || (policy.lower ? price <= floorPrice : price >= floorPrice)) {
+      return policy.ensuroPolicy.payout;
+    } else if (policy.lower) {
+      return (policy.ensuroPolicy.payout * (triggerPrice - price)) / (triggerPrice - floorPrice);
+    } else {
+      return (policy.ensuroPolicy.payout * (price - triggerPrice)) / (floorPrice - triggerPrice);
+    }
+  }
+
+  /**
+   * @dev Returns true if the caller can trigger the policy. The linear payout policies can only be triggered by
+   *      their owner, otherwise anyone could trigger them just past the trigger price, ending the coverage for a
+   *      near-zero payout.
+   */
+  function canTrigger(
+    PriceRiskModuleBase.PolicyData storage policy,
+    IPolicyPool policyPool
+  ) internal view returns (bool) {
+    return policy.floorPrice == 0 || IERC721(address(policyPool)).ownerOf(policy.ensuroPolicy.id) == msg.sender;
+  }
+
+  /**
+   * @dev Checks the trigger conditions at `price` and resolves the policy, see `resolvePolicy(...)`
+   */
+  function triggerPolicy(
+    PriceRiskModuleBase.PolicyData storage policy,
+    uint256 price,
+    PriceRiskModuleBase.KeeperReward memory keeperReward,
+    mapping(uint256 => bytes32[]) storage policyBuckets,
+    mapping(bytes32 => uint256) storage bucketExposure,
+    IPolicyPool policyPool
+  ) external {
+    require(canTrigger(policy, policyPool), "Only the policy owner can trigger linear policies");
+    if (policy.upperTriggerPrice != 0) {
+      require(
+        price <= policy.triggerPrice || price >= policy.upperTriggerPrice,
+        "Condition not met CurrentPrice inside the corridor"
+      );
+    } else {
+      require(!policy.lower || price <= policy.triggerPrice, "Condition not met CurrentPrice > triggerPrice");
+      require(policy.lower || price >= policy.triggerPrice, "Condition not met CurrentPrice < triggerPrice");
+    }
+    uint256 payout = payoutAtPrice(policy, price);
+    require(payout != 0, "Condition not met CurrentPrice = triggerPrice");
+    _resolvePolicy(policy, payout, price, keeperReward, policyBuckets, bucketExposure, policyPool);
+  }
+
+  /**
+   * @dev Resolves the triggered policy, paying the keeper reward (if any) to the caller. The PolicyPool can only pay
+   *      to the owner of the policy, so the policy is resolved with the payout minus the reward, and the reward is
+   *      paid to the caller with the funds held by the module (the keeper rewards escrow, see
+   *      `PriceRiskModuleConfig.setKeeperReward(...)`). If the escrow doesn't have enough funds or the reward would
+   *      take the whole payout, the policy is resolved with the full payout and {KeeperRewardNotPaid} is emitted
+   *      instead, so the trigger never fails because of the reward.
+   *      Also records the price that triggered the policy and emits {PolicyTriggered}, with the trigger price of the
+   *      side that was breached (the upper one and lower = false for corridor policies triggered by a price rise).
+   */
+  function resolvePolicy(
+    PriceRiskModuleBase.PolicyData storage policy,
+    uint256 payout,
+    uint256 price,
+    PriceRiskModuleBase.KeeperReward memory keeperReward,
+    mapping(uint256 => bytes32[]) storage policyBuckets,
+    mapping(bytes32 => uint256) storage bucketExposure,
+    IPolicyPool policyPool
+  ) external {
+    _resolvePolicy(policy, payout, price, keeperReward, policyBuckets, bucketExposure, policyPool);
+  }
+
+  function _resolvePolicy(
+    PriceRiskModuleBase.PolicyData storage policy,
+    uint256 payout,
+    uint256 price,
+    PriceRiskModuleBase.KeeperReward memory keeperReward,
+    mapping(uint256 => bytes32[]) storage policyBuckets,
+    mapping(bytes32 => uint256) storage bucketExposure,
+    IPolicyPool policyPool
+  ) private {
+    uint256 policyId = policy.ensuroPolicy.id;
+    policy.triggeredPrice = price;
+    policy.triggeredAt = uint40(block.timestamp);
+    if (policy.upperTriggerPrice != 0 && price >= policy.upperTriggerPrice) {
+      emit PolicyTriggered(policyId, price, policy.upperTriggerPrice, false, uint40(block.timestamp));
+    } else {
+      emit PolicyTriggered(policyId, price, policy.triggerPrice, policy.lower, uint40(block.timestamp));
+    }
+    _releaseBucketExposure(policyBuckets, bucketExposure, policyId, policy.ensuroPolicy.payout);
+    IERC20Metadata currency = policyPool.currency();
+    uint256 reward;
+    if (keeperReward.maxReward != 0 && IERC721(address(policyPool)).ownerOf(policyId) != msg.sender) {
+      reward = Math.min(
+        uint256(keeperReward.fixedReward) + (payout * keeperReward.rewardBps) / 1e4,
+        keeperReward.maxReward
+      );
+      if (reward >= payout || currency.balanceOf(address(this)) < reward) {
+        emit KeeperRewardNotPaid(msg.sender, policyId, reward);
+        reward = 0;
+      }
+    }
+    policyPool.resolvePolicy(policy.ensuroPolicy, payout - reward);
+    if (reward != 0) {
+      currency.safeTransfer(msg.sender, reward);
+      emit KeeperRewardPaid(msg.sender, policyId, reward);
+    }
+  }
+
+  /**
+   * @dev Updates the breach recorded for the policy when a confirmation window is set. Returns true if the policy
+   *      must be triggered with `price`: the breach was confirmed or the price isn't past the trigger price and there
+   *      is no breach to clear (so the trigger reverts with the reason). A breach that wasn't confirmed in time (see
+   *      `breachExpired(...)`) is recorded again starting now, since the price may have gone back in the meantime.
+   * @param revertIfPending If true, reverts if the breach started less than `confirmationWindow` seconds ago,
+   *                        otherwise returns false.
+   */
+  function confirmBreach(
+    mapping(uint256 => uint40) storage breachStarts,
+    uint32 confirmationWindow,
+    PriceRiskModuleBase.PolicyData storage policy,
+    uint256 price,
+    bool revertIfPending
+  ) external returns (bool) {
+    uint256 policyId = policy.ensuroPolicy.id;
+    uint40 start = breachStarts[policyId];
+    if (payoutAtPrice(policy, price) == 0) {
+      if (start == 0) return true;
+      delete breachStarts[policyId];
+      emit BreachCleared(policyId, price);
+      return false;
+    }
+    if (start == 0 || breachExpired(start, confirmationWindow)) {
+      breachStarts[policyId] = uint40(block.timestamp);
+      emit BreachStarted(policyId, price);
+      return false;
+    }
+    if (block.timestamp < uint256(start) + confirmationWindow) {
+      require(!revertIfPending, "Breach not confirmed yet");
+      return false;
+    }
+    delete breachStarts[policyId];
+    return true;
+  }
+
+  /**
+   * @dev Returns true if the breach that started at `start` can't be confirmed anymore. Without a call in between,
+   *      nothing proves that the price stayed past the trigger price, so the breach must be confirmed before another
+   *      `confirmationWindow` seconds pass after the window (for example, two spikes an hour apart can't confirm a
+   *      one hour window).
+   */
+  function breachExpired(uint40 start, uint32 confirmationWindow) internal view returns (bool) {
+    return block.timestamp > uint256(start) + 2 * uint256(confirmationWindow);
+  }
+
+  /**
+   * @dev Walks the rounds that follow `roundId` (see `IHistoricalPriceOracle.nextRoundId(...)`) until one updated
+   *      `confirmationWindow` seconds after it, checking that all of them are past the trigger price. Returns the
+   *      price of that last round.
+   */
+  function sustainedBreachPrice(
+    PriceRiskModuleBase.PolicyData storage policy,
+    IHistoricalPriceOracle oracle,
+    uint80 roundId,
+    uint32 confirmationWindow
+  ) external view returns (uint256 price) {
+    (, uint40 updatedAt) = oracle.getRound(roundId);
+    uint256 confirmedAt = uint256(updatedAt) + confirmationWindow;
+    while (updatedAt < confirmedAt) {
+      roundId = oracle.nextRoundId(roundId);
+      (price, updatedAt) = oracle.getRound(roundId);
+      require(updatedAt <= policy.ensuroPolicy.expiration, "Breach not confirmed before expiration");
+      require(payoutAtPrice(policy, price) != 0, "Breach not sustained during the confirmation window");
+    }
+  }
+
+  /**
+   * @dev Adds the payout of the policy to the exposure of its bucket(s), checking the concentration limit. Before
+   *      that, the exposure of the expired policies of the bucket(s) is released (see `_pruneBucket(...)`), so the
+   *      policies expired directly in the PolicyPool (that doesn't notify the module) don't count for the limit.
+   */
+  function addBucketExposure(
+    mapping(uint256 => bytes32[]) storage policyBuckets,
+    mapping(bytes32 => uint256) storage bucketExposure,
+    mapping(bytes32 => uint256[]) storage bucketPolicies,
+    mapping(uint256 => PriceRiskModuleBase.PolicyData) storage policies,
+    PriceRiskModuleBase.ConcentrationLimit memory config,
+    uint256 policyId
+  ) external {
+    PriceRiskModuleBase.PolicyData storage policy = policies[policyId];
+    uint256 week = policy.ensuroPolicy.expiration / 1 weeks;
+    bytes32[] storage keys = policyBuckets[policyId];
+    keys.push(bucketKey(policy.assetId, policy.lower, policy.triggerPrice / config.bucketSize, week));
+    if (policy.upperTriggerPrice != 0)
+      keys.push(bucketKey(policy.assetId, false, policy.upperTriggerPrice / config.bucketSize, week));
+    uint256 payout = policy.ensuroPolicy.payout;
+    for (uint256 i = 0; i < keys.length; i++) {
+      _pruneBucket(policyBuckets, bucketExposure, bucketPolicies[keys[i]], policies);
+      uint256 exposure = bucketExposure[keys[i]] + payout;
+      require(exposure <= config.limit, "Concentration limit exceeded");
+      bucketExposure[keys[i]] = exposure;
+      bucketPolicies[keys[i]].push(policyId);
+    }
+  }
+
+  /**
+   * @dev Removes from the policies of a bucket the ones already released (resolved through the module) and the
+   *      expired ones, releasing the exposure of the latter. The expired policies can't be paid anymore, no matter
+   *      if they were expired in the PolicyPool or not.
+   */
+  function _pruneBucket(
+    mapping(uint256 => bytes32[]) storage policyBuckets,
+    mapping(bytes32 => uint256) storage bucketExposure,
+    uint256[] storage ids,
+    mapping(uint256 => PriceRiskModuleBase.PolicyData) storage policies
+  ) private {
+    uint256 i;
+    while (i < ids.length) {
+      Policy.PolicyData storage ensuroPolicy = policies[ids[i]].ensuroPolicy;
+      bool released = policyBuckets[ids[i]].length == 0;
+      if (!released && ensuroPolicy.expiration > block.timestamp) {
+        i++;
+        continue;
+      }
+      if (!released) _releaseBucketExposure(policyBuckets, bucketExposure, ids[i], ensuroPolicy.payout);
+      ids[i] = ids[ids.length - 1];
+      ids.pop();
+    }
+  }
+
+  /**
+   * @dev Returns the exposure of a bucket, without the payout of the expired policies not pruned yet (see
+   *      `_pruneBucket(...)`)
+   */
+  function activeBucketExposure(
+    mapping(uint256 => bytes32[]) storage policyBuckets,
+    mapping(bytes32 => uint256) storage bucketExposure,
+    mapping(bytes32 => uint256[]) storage bucketPolicies,
+    mapping(uint256 => PriceRiskModuleBase.PolicyData) storage policies,
+    bytes32 key
+  ) external view returns (uint256 exposure) {
+    exposure = bucketExposure[key];
+    uint256[] storage ids = bucketPolicies[key];
+    for (uint256 i = 0; i < ids.length; i++) {
+      Policy.PolicyData storage ensuroPolicy = policies[ids[i]].ensuroPolicy;
+      if (policyBuckets[ids[i]].length != 0 && ensuroPolicy.expiration <= block.timestamp)
+        exposure -= ensuroPolicy.payout;
+    }
+  }
+
+  /**
+   * @dev Releases the exposure added by `addBucketExposure` when the policy is resolved through the module. The
+   *      policies expired directly in the PolicyPool (the module isn't notified) are released when their buckets are
+   *      pruned. Releasing a policy twice is a no-op, since its bucket keys are deleted.
+   */
+  function releaseBucketExposure(
+    mapping(uint256 => bytes32[]) storage policyBuckets,
+    mapping(bytes32 => uint256) storage bucketExposure,
+    uint256 policyId,
+    uint256 payout
+  ) external {
+    _releaseBucketExposure(policyBuckets, bucketExposure, policyId, payout);
+  }
+
+  function _releaseBucketExposure(
+    mapping(uint256 => bytes32[]) storage policyBuckets,
+    mapping(bytes32 => uint256) storage bucketExposure,
+    uint256 policyId,
+    uint256 payout
+  ) private {
+    bytes32[] storage keys = policyBuckets[policyId];
+    for (uint256 i = 0; i < keys.length; i++) {
+      bucketExposure[keys[i]] -= payout;
+    }
+    delete policyBuckets[policyId];
+  }
+
+  function bucketKey(uint16 assetId, bool lower, uint256 bucket, uint256 week) internal pure returns (bytes32) {
+    return keccak256(abi.encode(assetId, lower, bucket, week));
+  }
+}
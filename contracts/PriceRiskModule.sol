@@ -3,55 +3,33 @@ pragma solidity ^0.8.0;
 
 import {IPolicyPool} from "@ensuro/core/contracts/interfaces/IPolicyPool.sol";
 import {IPremiumsAccount} from "@ensuro/core/contracts/interfaces/IPremiumsAccount.sol";
-import {IAccessManager} from "@ensuro/core/contracts/interfaces/IAccessManager.sol";
-import {RiskModule} from "@ensuro/core/contracts/RiskModule.sol";
-import {Policy} from "@ensuro/core/contracts/Policy.sol";
-import {WadRayMath} from "@ensuro/core/contracts/dependencies/WadRayMath.sol";
 import {IPriceRiskModule} from "./interfaces/IPriceRiskModule.sol";
 import {IPriceOracle} from "./interfaces/IPriceOracle.sol";
+import {PriceRiskModuleBase} from "./PriceRiskModuleBase.sol";
+import {PriceRiskModuleEIP712} from "./PriceRiskModuleEIP712.sol";
+
+/**
+ * @title PriceRiskModuleCreationAddress
+ * @dev Address of the {PriceRiskModuleCreation} of the PriceRiskModule. It isn't a library, it's linked like one when
+ *      the PriceRiskModule is deployed (`libraries: {PriceRiskModuleCreationAddress: creation}`), so the address is
+ *      part of the code of the PriceRiskModule and the constructor keeps its arguments.
+ */
+library PriceRiskModuleCreationAddress {}
 
 /**
  * @title PriceRiskModule
- * @dev Risk Module that triggers the payout if the price of an asset is lower or higher than trigger price
+ * @dev Risk Module that triggers the payout if the price of an asset is lower or higher than trigger price.
+ *      To keep the contracts below the contract size limit, this contract only initializes the module, and delegates
+ *      the rest of the functions to a chain of extensions: the {PriceRiskModuleCreation} creates the policies, the
+ *      {PriceRiskModulePricing} prices them, the {PriceRiskModuleResolution} triggers, expires and cancels them, and
+ *      the {PriceRiskModuleConfig} implements the administration and the views of the configuration. The functions
+ *      of {IPriceRiskModule} are declared here (and delegated), the others are reached through the fallback, so the
+ *      module must be used through the proxy of this contract with the combined interface of the five contracts.
  * @custom:security-contact security@ensuro.co
  * @author Ensuro
  */
-contract PriceRiskModule is RiskModule, IPriceRiskModule {
-  using WadRayMath for uint256;
-
-  bytes32 public constant ORACLE_ADMIN_ROLE = keccak256("ORACLE_ADMIN_ROLE");
-  bytes32 public constant PRICER_ROLE = keccak256("PRICER_ROLE");
-
-  uint8 public constant PRICE_SLOTS = 30;
-
-  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
-  uint256 internal immutable _slotSize;
-
-  struct PolicyData {
-    Policy.PolicyData ensuroPolicy;
-    uint256 triggerPrice;
-    bool lower; // If true -> triggers if the price is lower, If false -> triggers if the price is higher
-  }
-
-  mapping(uint256 => PolicyData) internal _policies;
-
-  // Duration (in hours) of the protection * (1 if lower else -1) => cummulative density function
-  //   [0] = prob of ([0, infinite%)
-  //   [1] = prob of ([1, infinite%)
-  //   ...
-  //   [PRICE_SLOTS - 1] = prob of ([PRICE_SLOTS - 1, -infinite%)
-  mapping(int40 => SlotPricing[PRICE_SLOTS]) internal _cdf;
-
-  struct State {
-    uint64 internalId; // internalId used to identify created policies
-    uint32 minDuration; // In seconds, the minimum time that must elapse before a policy can be triggered
-    IPriceOracle oracle; // The contract that returns the current price of the asset
-  }
-
-  State internal _state;
-
-  event NewPricePolicy(address indexed customer, uint256 policyId, uint256 triggerPrice, bool lower);
-
+/// @custom:oz-upgrades-unsafe-allow external-library-linking
+contract PriceRiskModule is PriceRiskModuleEIP712, IPriceRiskModule {
   /**
    * @dev Constructs the PriceRiskModule.
    *      Note that, although it's supported that assetOracle_ and  referenceOracle_ have different number
@@ -59,6 +37,9 @@ contract PriceRiskModule is RiskModule, IPriceRiskModule {
    *      WMATIC/ETH and referenceOracle_ could be for USDC/ETH.
    *      This cannot be validated by the contract, so be careful when constructing.
    *
+   *      The {PriceRiskModuleCreation} (see {PriceRiskModuleCreationAddress}) must be constructed with the same
+   *      policyPool, premiumsAccount and slotSize.
+   *
    * @param policyPool_ The policyPool
    * @param slotSize_ Size of each percentage slot in the pdf function (in wad)
    */
@@ -67,12 +48,23 @@ contract PriceRiskModule is RiskModule, IPriceRiskModule {
     IPolicyPool policyPool_,
     IPremiumsAccount premiumsAccount_,
     uint256 slotSize_
-  ) RiskModule(policyPool_, premiumsAccount_) {
-    _slotSize = slotSize_;
+  )
+    PriceRiskModuleEIP712(
+      policyPool_,
+      premiumsAccount_,
+      slotSize_,
+      PriceRiskModuleBase(address(PriceRiskModuleCreationAddress))
+    )
+  {
+    require(
+      address(PriceRiskModuleCreationAddress) != address(0),
+      "PriceRiskModule: PriceRiskModuleCreationAddress cannot be the zero address"
+    );
   }
 
   /**
-   * @dev Initializes the RiskModule
+   * @dev Initializes the RiskModule. EIP712Upgradeable isn't initialized because the name and the version of the
+   *      domain are constants, see {PriceRiskModuleEIP712}.
    * @param name_ Name of the Risk Module
    * @param collRatio_ Collateralization ratio to compute solvency requirement as % of payout (in wad)
    * @param ensuroPpFee_ % of pure premium that will go for Ensuro treasury (in wad)
@@ -81,6 +73,7 @@ contract PriceRiskModule is RiskModule, IPriceRiskModule {
    * @param exposureLimit_ Max exposure (sum of payouts) to be allocated to this module (in wad)
    * @param wallet_ Address of the RiskModule provider
    * @param oracle_ The contract that returns the current price of the asset
+   * @custom:oz-upgrades-unsafe-allow missing-initializer-call
    */
   function initialize(
     string memory name_,
@@ -97,237 +90,168 @@ contract PriceRiskModule is RiskModule, IPriceRiskModule {
     _state = State({internalId: 1, oracle: oracle_, minDuration: 3600});
   }
 
-  /**
-   * @dev Creates a new policy
-   *
-   * Requirements:
-   * - The oracle(s) are functional, returning non zero values and updated after (block.timestamp - oracleTolerance())
-   * - The price jump is supported (_cdf[duration][priceJump] != 0)
-   *
-   * @param triggerPrice The price at which the policy should trigger.
-   *                     If referenceOracle() != address(0), the price is expressed in terms of the reference asset,
-   *                     with the same decimals as reported by the reference oracle
-   *                     If referenceOracle() == address(0), the price is expressed in the denomination
-   *                     of assetOracle(), with the same decimals.
-   * @param lower If true -> triggers if the price is lower, If false -> triggers if the price is higher
-   * @param payout Expressed in policyPool.currency()
-   * @param expiration The policy expiration timestamp
-   * @param onBehalfOf The address that will own the new policy
-   * @return policyId
-   */
-  function newPolicy(
-    uint256 triggerPrice,
-    bool lower,
-    uint256 payout,
-    uint40 expiration,
-    address onBehalfOf
-  ) external override whenNotPaused returns (uint256) {
-    require(onBehalfOf != address(0), "onBehalfOf cannot be the zero address");
-    (uint256 premium, SlotPricing memory pricing) = pricePolicy(triggerPrice, lower, payout, expiration);
-    require(premium > 0, "Either duration or percentage jump not supported");
+  // The functions of IPriceRiskModule implemented by the extensions, delegated as the fallback does. The parameters
+  // and the return values are decoded and encoded by the extension.
 
-    uint256 policyId = (uint256(uint160(address(this))) << 96) + _state.internalId;
-    PolicyData storage priceRiskPolicy = _policies[policyId];
-    Params memory params_ = params();
-    params_.jrCollRatio = uint256(pricing.jrCollRatio);
-    params_.collRatio = uint256(pricing.collRatio);
-    priceRiskPolicy.ensuroPolicy = _newPolicyWithParams(
-      payout,
-      premium,
-      uint256(pricing.lossProb),
-      expiration,
-      _msgSender(),
-      onBehalfOf,
-      _state.internalId,
-      params_
-    );
-    _state.internalId += 1;
-    priceRiskPolicy.triggerPrice = triggerPrice;
-    priceRiskPolicy.lower = lower;
-    emit NewPricePolicy(onBehalfOf, policyId, triggerPrice, lower);
-    return policyId;
+  /// @inheritdoc IPriceRiskModule
+  function pricePolicy(
+    uint256,
+    bool,
+    uint256,
+    uint40
+  ) external view override returns (uint256, IPriceRiskModule.SlotPricing memory) {
+    _delegateToExtensionView();
   }
 
-  /**
-   * @dev Triggers the payout of the policy (if conditions are met)
-   *
-   * Requirements:
-   * - Policy was created more than `minDuration()` seconds ago
-   * - The oracle(s) are functional, returning non zero values and updated after (block.timestamp - oracleTolerance())
-   * - getCurrentPrice() <= policy.triggerPrice if policy.lower
-   * - getCurrentPrice() >= policy.triggerPrice if not policy.lower
-   *
-   * @param policyId The id of the policy (as returned by `newPolicy(...)`
-   */
-  function triggerPolicy(uint256 policyId) external override whenNotPaused {
-    PolicyData storage policy = _policies[policyId];
-    require((block.timestamp - policy.ensuroPolicy.start) >= _state.minDuration, "Too soon to trigger the policy");
-    uint256 currentPrice = oracle().getCurrentPrice();
-    require(!policy.lower || currentPrice <= policy.triggerPrice, "Condition not met CurrentPrice > triggerPrice");
-    require(policy.lower || currentPrice >= policy.triggerPrice, "Condition not met CurrentPrice < triggerPrice");
+  /// @inheritdoc IPriceRiskModule
+  function pricePolicy(
+    uint16,
+    uint256,
+    bool,
+    uint256,
+    uint40
+  ) external view override returns (uint256, IPriceRiskModule.SlotPricing memory) {
+    _delegateToExtensionView();
+  }
 
-    _policyPool.resolvePolicy(policy.ensuroPolicy, policy.ensuroPolicy.payout);
-    // Be aware that `_policies` is not deleted when a policy is resolved, so getPolicyData will keep returning
-    // the policy information, despite the policy is no longer claimable. To check if the policy is active, you should
-    // call PolicyPool.getPolicyHash(policyId) and if the output is bytes32(0), that means the policy is no longer
-    // active.
+  /// @inheritdoc IPriceRiskModule
+  function pricePolicies(
+    uint256[] calldata,
+    bool,
+    uint256[] calldata,
+    uint40[] calldata
+  ) external view override returns (uint256[] memory) {
+    _delegateToExtensionView();
   }
 
-  function policyCanBeTriggered(uint256 policyId) external view returns (bool) {
-    PolicyData storage policy = _policies[policyId];
-    if ((block.timestamp - policy.ensuroPolicy.start) < _state.minDuration) return false;
+  /// @inheritdoc IPriceRiskModule
+  function pricePolicies(
+    uint16,
+    uint256[] calldata,
+    bool,
+    uint256[] calldata,
+    uint40[] calldata
+  ) external view override returns (uint256[] memory) {
+    _delegateToExtensionView();
+  }
 
-    uint256 currentPrice = oracle().getCurrentPrice();
-    if (!policy.lower && currentPrice < policy.triggerPrice) return false;
-    if (policy.lower && currentPrice > policy.triggerPrice) return false;
-    return true;
+  /// @inheritdoc IPriceRiskModule
+  function newPolicy(uint256, bool, uint256, uint40, address) external override returns (uint256) {
+    _delegateToExtension();
   }
 
-  /**
-   * @dev Calculates the premium and lossProb of a policy
-   * @param triggerPrice The price at which the policy should trigger, in Wad, with the same reference as
-   *                     oracle().getCurrentPrice()
-   * @param lower If true -> triggers if the price is lower, If false -> triggers if the price is higher
-   * @param payout Expressed in policyPool.currency()
-   * @param expiration Expiration of the policy
-   * @return premium Premium that needs to be paid
-   * @return price SlotPricing struct with the loss probability of paying the maximum payout and collateralization
-   *               levels
-   */
-  function pricePolicy(
-    uint256 triggerPrice,
-    bool lower,
-    uint256 payout,
-    uint40 expiration
-  ) public view override returns (uint256 premium, SlotPricing memory price) {
-    uint256 currentPrice = oracle().getCurrentPrice();
-    require(
-      (lower && currentPrice > triggerPrice) || (!lower && currentPrice < triggerPrice),
-      "Price already at trigger value"
-    );
-    uint40 duration = expiration - uint40(block.timestamp);
-    require(duration >= _state.minDuration, "The policy expires too soon");
-    price = _computeLossProb(currentPrice, triggerPrice, duration);
+  /// @inheritdoc IPriceRiskModule
+  function newPolicy(uint16, uint256, bool, uint256, uint40, address) external override returns (uint256) {
+    _delegateToExtension();
+  }
 
-    if (price.lossProb == 0) return (0, price);
-    premium = getMinimumPremiumForPricing(payout, price, expiration);
-    return (premium, price);
+  /// @inheritdoc IPriceRiskModule
+  function newPolicy(uint256, bool, uint256, uint40, address, uint256, uint40) external override returns (uint256) {
+    _delegateToExtension();
   }
 
-  function _round(uint256 number, uint256 denominator) internal pure returns (uint256) {
-    return (number + denominator / 2) / denominator;
+  /// @inheritdoc IPriceRiskModule
+  function newPolicy(
+    uint16,
+    uint256,
+    bool,
+    uint256,
+    uint40,
+    address,
+    uint256,
+    uint40
+  ) external override returns (uint256) {
+    _delegateToExtension();
   }
 
-  function _computeLossProb(
-    uint256 currentPrice,
-    uint256 triggerPrice,
-    uint40 duration
-  ) internal view returns (SlotPricing memory) {
-    int40 sign = currentPrice > triggerPrice ? int40(1) : int40(-1);
-    SlotPricing[PRICE_SLOTS] storage pdf = _cdf[int40(uint40(_round(duration, 3600))) * sign];
+  /// @inheritdoc IPriceRiskModule
+  function newPolicyRelative(uint256, bool, uint256, uint40, address, uint256) external override returns (uint256) {
+    _delegateToExtension();
+  }
+
+  /// @inheritdoc IPriceRiskModule
+  function newPolicyRelative(
+    uint16,
+    uint256,
+    bool,
+    uint256,
+    uint40,
+    address,
+    uint256
+  ) external override returns (uint256) {
+    _delegateToExtension();
+  }
 
-    // Calculate the jump percentage as integer with symmetric rounding
-    uint256 priceJump = triggerPrice.wadDiv(currentPrice);
-    if (sign == 1) {
-      // 1 - trigger/current
-      priceJump = WadRayMath.WAD - priceJump;
-    } else {
-      // trigger/current - 1
-      priceJump -= WadRayMath.WAD;
-    }
+  /// @inheritdoc IPriceRiskModule
+  function relativeTriggerPrice(uint256, bool) external view override returns (uint256) {
+    _delegateToExtensionView();
+  }
 
-    uint8 slot = uint8(_round(priceJump, _slotSize));
+  /// @inheritdoc IPriceRiskModule
+  function relativeTriggerPrice(uint16, uint256, bool) external view override returns (uint256) {
+    _delegateToExtensionView();
+  }
 
-    if (slot >= PRICE_SLOTS) {
-      return pdf[PRICE_SLOTS - 1];
-    } else {
-      return pdf[slot];
-    }
+  /// @inheritdoc IPriceRiskModule
+  function newPolicies(
+    uint256[] calldata,
+    bool,
+    uint256[] calldata,
+    uint40[] calldata,
+    address
+  ) external override returns (uint256[] memory) {
+    _delegateToExtension();
   }
 
-  /**
-   * @dev Sets the probability distribution for a given duration
-   * @param duration Duration of the policy in hours (simetric rounding) positive if probability of lower price
-   *                 negative if probability of higher price
-   * @param cdf Array where cdf[i] = prob of price lower/higher than i% of current price
-   */
-  function setCDF(
-    int40 duration,
-    SlotPricing[PRICE_SLOTS] calldata cdf
-  ) external onlyComponentRole(PRICER_ROLE) whenNotPaused {
-    require(duration != 0, "|duration| < 1");
-    for (uint256 i = 0; i < PRICE_SLOTS; i++) {
-      require(
-        cdf[i].lossProb == 0 ||
-          (cdf[i].jrCollRatio <= WadRayMath.WAD &&
-            cdf[i].collRatio <= WadRayMath.WAD &&
-            cdf[i].jrCollRatio <= cdf[i].collRatio),
-        "Validation: invalid collateralization ratios"
-      );
-      _cdf[duration][i] = cdf[i];
-    }
-    // Encodes the duration as uint256 in this way:
-    // If positive, it stays as it is (1 --> 1)
-    // If negative, adds type(uint40).max to the absolute number (-1 --> type(uint40).max + 1)
-    uint256 durationParam = duration < 0
-      ? uint256(type(uint40).max + uint256(uint40(-duration)))
-      : uint256(uint40(duration));
-    _parameterChanged(IAccessManager.GovernanceActions.rmFiller1, durationParam, false);
+  /// @inheritdoc IPriceRiskModule
+  function newPolicies(
+    uint16,
+    uint256[] calldata,
+    bool,
+    uint256[] calldata,
+    uint40[] calldata,
+    address
+  ) external override returns (uint256[] memory) {
+    _delegateToExtension();
   }
 
-  /**
-   * @dev Sets the minimum duration before a policy can be triggered
-   * @param minDuration_ The new minimum duration in seconds.
-   */
-  function setMinDuration(uint40 minDuration_) external onlyComponentRole(ORACLE_ADMIN_ROLE) whenNotPaused {
-    _state.minDuration = uint32(minDuration_);
-    _parameterChanged(IAccessManager.GovernanceActions.rmFiller2, uint256(minDuration_), false);
+  /// @inheritdoc IPriceRiskModule
+  function triggerPolicy(uint256) external override {
+    _delegateToExtension();
   }
 
-  /**
-   * @dev Changes the price oracle
-   * @param oracle_ The new price oracle to use.
-   */
-  function setOracle(IPriceOracle oracle_) external onlyComponentRole(ORACLE_ADMIN_ROLE) whenNotPaused {
-    require(address(oracle_) != address(0), "PriceRiskModule: oracle_ cannot be the zero address");
-    _state.oracle = oracle_;
-    _parameterChanged(IAccessManager.GovernanceActions.rmFiller3, uint256(uint160(address(oracle_))), false);
+  /// @inheritdoc IPriceRiskModule
+  function triggerPolicyWithRound(uint256, uint80) external override {
+    _delegateToExtension();
   }
 
-  function getCDF(int40 duration) external view returns (SlotPricing[PRICE_SLOTS] memory ret) {
-    for (uint256 i = 0; i < PRICE_SLOTS; i++) {
-      ret[i] = _cdf[duration][i];
-    }
-    return ret;
+  /// @inheritdoc IPriceRiskModule
+  function triggerPolicies(uint256[] calldata) external override returns (bool[] memory) {
+    _delegateToExtension();
   }
 
-  function oracle() public view override returns (IPriceOracle) {
-    return _state.oracle;
+  /// @inheritdoc IPriceRiskModule
+  function expirePolicies(uint256[] calldata) external override returns (bool[] memory) {
+    _delegateToExtension();
   }
 
-  function minDuration() external view override returns (uint40) {
-    return _state.minDuration;
+  /// @inheritdoc IPriceRiskModule
+  function cancelPolicy(uint256) external override returns (uint256) {
+    _delegateToExtension();
   }
 
-  function getMinimumPremiumForPricing(
-    uint256 payout,
-    SlotPricing memory pricing,
-    uint40 expiration
-  ) public view returns (uint256) {
-    Params memory p = params();
-    p.jrCollRatio = uint256(pricing.jrCollRatio);
-    p.collRatio = uint256(pricing.collRatio);
-    return _getMinimumPremium(payout, pricing.lossProb, expiration, uint40(block.timestamp), p);
+  /// @inheritdoc IPriceRiskModule
+  function policyCanBeTriggered(uint256) external view override returns (bool, uint256) {
+    _delegateToExtensionView();
   }
 
-  function getPolicyData(uint256 policyId) external view returns (PolicyData memory) {
-    return _policies[policyId];
+  /// @inheritdoc IPriceRiskModule
+  function oracle() external view override returns (IPriceOracle) {
+    _delegateToExtensionView();
   }
 
-  /**
-   * @dev This empty reserved space is put in place to allow future versions to add new
-   * variables without shifting down storage in the inheritance chain.
-   * See https://docs.openzeppelin.com/contracts/4.x/upgradeable#storage_gaps
-   */
-  uint256[47] private __gap;
+  /// @inheritdoc IPriceRiskModule
+  function minDuration() external view override returns (uint40) {
+    _delegateToExtensionView();
+  }
 }
@@ -0,0 +1,373 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {IPolicyPool} from "@ensuro/core/contracts/interfaces/IPolicyPool.sol";
+import {IPremiumsAccount} from "@ensuro/core/contracts/interfaces/IPremiumsAccount.sol";
+import {RiskModule} from "@ensuro/core/contracts/RiskModule.sol";
+import {Policy} from "@ensuro/core/contracts/Policy.sol";
+import {WadRayMath} from "@ensuro/core/contracts/dependencies/WadRayMath.sol";
+import {IPriceRiskModule} from "./interfaces/IPriceRiskModule.sol";
+import {IPriceOracle} from "./interfaces/IPriceOracle.sol";
+import {PriceRiskModuleLibrary} from "./PriceRiskModuleLibrary.sol";
+import {PricePolicyLibrary} from "./PricePolicyLibrary.sol";
+
+/**
+ * @title PriceRiskModuleBase
+ * @dev Storage, types and shared logic of the contracts of the PriceRiskModule. To keep them below the contract size
+ *      limit, the functions of the module are split in a chain of contracts: PriceRiskModule ->
+ *      PriceRiskModuleCreation -> PriceRiskModulePricing -> PriceRiskModuleResolution -> PriceRiskModuleConfig, where
+ *      each contract delegates to the next one the calls to the functions it doesn't implement. All of them run with the storage of the PriceRiskModule proxy, so they
+ *      must have the same storage layout, and all the state variables must be declared here (except the ones of
+ *      EIP712Upgradeable, see {PriceRiskModuleEIP712}).
+ * @custom:security-contact security@ensuro.co
+ * @author Ensuro
+ */
+abstract contract PriceRiskModuleBase is RiskModule {
+  using WadRayMath for uint256;
+
+  bytes32 public constant ORACLE_ADMIN_ROLE = keccak256("ORACLE_ADMIN_ROLE");
+  bytes32 public constant PRICER_ROLE = keccak256("PRICER_ROLE");
+
+  uint8 public constant PRICE_SLOTS = 30; // Same as PriceRiskModuleLibrary.PRICE_SLOTS
+  uint8 public constant MAX_MARKUP_POINTS = 10;
+
+  bytes32 public constant QUOTE_TYPEHASH =
+    keccak256(
+      "Quote(uint16 assetId,uint256 triggerPrice,bool lower,uint256 payout,uint40 expiration,uint64 lossProb,"
+      "uint64 jrCollRatio,uint64 collRatio,address payer,address onBehalfOf,uint40 validUntil,uint256 nonce)"
+    );
+
+  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+  uint256 internal immutable _slotSize;
+
+  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+  address internal immutable _extension;
+
+  struct PolicyData {
+    Policy.PolicyData ensuroPolicy;
+    uint256 triggerPrice;
+    bool lower; // If true -> triggers if the price is lower, If false -> triggers if the price is higher
+    // If != 0, the payout grows linearly from zero at triggerPrice to the full payout at floorPrice.
+    // For policies that trigger if the price is higher, floorPrice is above triggerPrice.
+    uint256 floorPrice;
+    // If != 0, it's a corridor policy that triggers if the price is lower than triggerPrice or higher than
+    // upperTriggerPrice. For corridor policies, lower is always true.
+    uint256 upperTriggerPrice;
+    uint16 assetId; // The asset whose price is tracked by the policy (0 = default asset)
+    uint256 triggeredPrice; // The price observed when the policy was triggered (0 if not triggered)
+    uint40 triggeredAt; // The timestamp when the policy was triggered (0 if not triggered)
+  }
+
+  mapping(uint256 => PolicyData) internal _policies;
+
+  // Duration (in hours) of the protection * (1 if lower else -1) => cummulative density function
+  //   [0] = prob of ([0, infinite%)
+  //   [1] = prob of ([1, infinite%)
+  //   ...
+  //   [PRICE_SLOTS - 1] = prob of ([PRICE_SLOTS - 1, -infinite%)
+  mapping(int40 => IPriceRiskModule.SlotPricing[PRICE_SLOTS]) internal _cdf;
+
+  struct State {
+    uint64 internalId; // internalId used to identify created policies
+    uint32 minDuration; // In seconds, the minimum time that must elapse before a policy can be triggered
+    IPriceOracle oracle; // The contract that returns the current price of the asset
+  }
+
+  State internal _state;
+
+  struct Asset {
+    IPriceOracle oracle; // The contract that returns the current price of the asset
+    uint32 minDuration; // In seconds, the minimum time that must elapse before a policy can be triggered
+    uint64 slotSize; // Size of each percentage slot in the pdf function (in wad)
+  }
+
+  // Registry of additional assets (assetId != 0). The default asset (assetId == 0) is the one configured with
+  // `_state`, `_slotSize` and `_cdf`, so the modules deployed before the registry keep working as they were.
+  mapping(uint16 => Asset) internal _assets;
+
+  // assetId => duration => cdf, with the same format as `_cdf`, for the assets in the registry
+  mapping(uint16 => mapping(int40 => IPriceRiskModule.SlotPricing[PRICE_SLOTS])) internal _assetCdf;
+
+  enum PricingMode {
+    nearest, // The duration and the price jump are rounded to the nearest hour and slot of the CDFs
+    interpolated // Linear interpolation between the adjacent populated durations and the adjacent slots of the CDFs
+  }
+
+  PricingMode internal _pricingMode;
+
+  // assetId => populated durations, slot boundaries and freshness of the CDFs of the asset
+  mapping(uint16 => PriceRiskModuleLibrary.CDFConfig) internal _cdfConfigs;
+
+  // Price quoted off-chain by an address with PRICER_ROLE, signed following EIP-712
+  struct Quote {
+    uint16 assetId; // The asset whose price triggers the policy (0 = default asset)
+    uint256 triggerPrice;
+    bool lower;
+    uint256 payout;
+    uint40 expiration;
+    uint64 lossProb;
+    uint64 jrCollRatio;
+    uint64 collRatio;
+    address payer; // The address that must send the transaction (and pays the premium)
+    address onBehalfOf; // The address that will own the policy
+    uint40 validUntil; // The quote can't be used after this timestamp
+    uint256 nonce; // Each nonce can be used only once
+  }
+
+  mapping(uint256 => bool) internal _usedQuoteNonces;
+
+  // Status of each cell returned by `quoteMatrix(...)`
+  enum QuoteStatus {
+    ok,
+    invalidJump, // jump == 0, jump >= 100% for lower policies, or the trigger price rounds to the current price
+    expiresTooSoon, // duration < minDuration()
+    notSupported, // The CDF doesn't price the jump and duration (the premium would be zero)
+    staleTable // The CDF table of the duration is stale, see `setCDFValidity(...)`
+  }
+
+  struct QuoteCell {
+    QuoteStatus status;
+    uint256 triggerPrice;
+    uint256 premium;
+    IPriceRiskModule.SlotPricing pricing;
+  }
+
+  // Reward paid to the caller of triggerPolicy from the currency held by this contract (escrow), and deducted from
+  // the payout. reward = min(fixedReward + payout * rewardBps / 10000, maxReward), not paid if it isn't below the
+  // payout or the escrow doesn't cover it. Disabled if maxReward == 0.
+  struct KeeperReward {
+    uint112 fixedReward; // Fixed amount, expressed in policyPool.currency()
+    uint16 rewardBps; // Basis points of the payout
+    uint112 maxReward; // Cap of the reward, expressed in policyPool.currency()
+  }
+
+  KeeperReward internal _keeperReward;
+
+  // Concentration limits of an asset. The active payout is tracked per (direction, price bucket, expiry week), where
+  // bucket = triggerPrice / bucketSize and week = expiration / 1 weeks. Disabled if bucketSize == 0.
+  struct ConcentrationLimit {
+    uint128 bucketSize; // Size of the trigger price buckets, in the denomination of the oracle of the asset
+    uint128 limit; // Maximum active payout per bucket, expressed in policyPool.currency()
+  }
+
+  mapping(uint16 => ConcentrationLimit) internal _concentrationLimits;
+
+  // keccak256(assetId, lower, bucket, week) => active payout of the policies in the bucket
+  mapping(bytes32 => uint256) internal _bucketExposure;
+
+  // Point of the utilization markup curve
+  struct MarkupPoint {
+    uint64 utilization; // activeExposure / exposureLimit, in wad
+    uint64 markup; // Multiplier of the lossProb, in wad
+  }
+
+  // Points of the utilization markup curve, sorted by utilization
+  MarkupPoint[] internal _markupCurve;
+
+  // policyId => keys of `_bucketExposure` where the payout of the policy was added (two for corridor policies)
+  mapping(uint256 => bytes32[]) internal _policyBuckets;
+
+  // Seconds the price must stay past the trigger price before the policy can be triggered. Disabled if zero.
+  uint32 internal _confirmationWindow;
+
+  // policyId => timestamp when `triggerPolicy` observed the price past the trigger price (zero if not breached)
+  mapping(uint256 => uint40) internal _breachStarts;
+
+  // If true, `setCDF` validates the shape of the tables, see `PriceRiskModuleLibrary.setCDF(...)`
+  bool internal _cdfShapeValidation;
+
+  // key of `_bucketExposure` => ids of the policies added to the bucket, pruned when a new policy is added
+  mapping(bytes32 => uint256[]) internal _bucketPolicies;
+
+  event NewPricePolicy(address indexed customer, uint256 policyId, uint256 triggerPrice, bool lower);
+  event PricePolicyCancelled(address indexed customer, uint256 policyId, uint256 refund);
+  event AssetAdded(uint16 indexed assetId, IPriceOracle oracle, uint256 slotSize);
+  event KeeperRewardPaid(address indexed keeper, uint256 policyId, uint256 reward);
+  event KeeperRewardNotPaid(address indexed keeper, uint256 policyId, uint256 reward);
+  event PolicyTriggered(uint256 indexed policyId, uint256 price, uint256 triggerPrice, bool lower, uint40 timestamp);
+  event BreachStarted(uint256 indexed policyId, uint256 price);
+  event BreachCleared(uint256 indexed policyId, uint256 price);
+
+  /**
+   * @param policyPool_ The policyPool
+   * @param premiumsAccount_ The premiums account of the module
+   * @param slotSize_ Size of each percentage slot in the pdf function (in wad)
+   * @param extension_ The contract where the calls to the functions not implemented by this contract are delegated,
+   *                   constructed with the same policyPool, premiumsAccount and slotSize (zero for the last one)
+   */
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor(
+    IPolicyPool policyPool_,
+    IPremiumsAccount premiumsAccount_,
+    uint256 slotSize_,
+    PriceRiskModuleBase extension_
+  ) RiskModule(policyPool_, premiumsAccount_) {
+    require(
+      address(extension_) == address(0) ||
+        (extension_.policyPool() == policyPool_ &&
+          extension_.premiumsAccount() == premiumsAccount_ &&
+          extension_.slotSize(0) == slotSize_),
+      "PriceRiskModule: extension doesn't match"
+    );
+    _slotSize = slotSize_;
+    _extension = address(extension_);
+  }
+
+  /**
+   * @dev Delegates the calls to the functions that aren't implemented by this contract to the extension, that runs
+   *      them with the storage of this contract (the PriceRiskModule proxy).
+   */
+  // solhint-disable-next-line payable-fallback
+  fallback() external {
+    _delegateToExtension();
+  }
+
+  /**
+   * @dev Delegates the call to the extension and returns (or reverts) with the result, without returning to the
+   *      caller function
+   */
+  /// @custom:oz-upgrades-unsafe-allow delegatecall
+  function _delegateToExtension() internal {
+    address extension_ = _extension;
+    require(extension_ != address(0), "PriceRiskModule: function not found");
+    // solhint-disable-next-line no-inline-assembly
+    assembly {
+      calldatacopy(0, 0, calldatasize())
+      let result := delegatecall(gas(), extension_, 0, calldatasize(), 0, 0)
+      returndatacopy(0, 0, returndatasize())
+      switch result
+      case 0 {
+        revert(0, returndatasize())
+      }
+      default {
+        return(0, returndatasize())
+      }
+    }
+  }
+
+  /**
+   * @dev `_delegateToExtension()` for the view functions. The functions delegated by the view functions are view
+   *      too, so the delegatecall doesn't modify the state.
+   */
+  function _delegateToExtensionView() internal view {
+    function() internal delegate = _delegateToExtension;
+    function() internal view delegateView;
+    // solhint-disable-next-line no-inline-assembly
+    assembly {
+      delegateView := delegate
+    }
+    delegateView();
+    // Not reached, but the compiler can't tell through the function pointer
+    revert(); // solhint-disable-line reason-string
+  }
+
+  /**
+   * @dev Returns the contract where the calls to the functions not implemented by this contract are delegated
+   */
+  function extension() external view returns (address) {
+    return _extension;
+  }
+
+  /**
+   * @dev Size of each percentage slot in the pdf function of the asset (in wad)
+   */
+  function slotSize(uint16 assetId) external view returns (uint256) {
+    return _asset(assetId).slotSize;
+  }
+
+  function _asset(uint16 assetId) internal view returns (Asset memory asset) {
+    if (assetId == 0)
+      return Asset({oracle: _state.oracle, minDuration: _state.minDuration, slotSize: uint64(_slotSize)});
+    asset = _assets[assetId];
+    require(address(asset.oracle) != address(0), "PriceRiskModule: asset not found");
+  }
+
+  function _cdfTables(
+    uint16 assetId
+  ) internal view returns (mapping(int40 => IPriceRiskModule.SlotPricing[PRICE_SLOTS]) storage) {
+    if (assetId == 0) return _cdf;
+    return _assetCdf[assetId];
+  }
+
+  function _policyTerms(
+    uint16 assetId,
+    uint256 triggerPrice,
+    uint256 floorPrice,
+    uint256 upperTriggerPrice,
+    bool lower
+  ) internal pure returns (PolicyData memory policy) {
+    policy.assetId = assetId;
+    policy.triggerPrice = triggerPrice;
+    policy.floorPrice = floorPrice;
+    policy.upperTriggerPrice = upperTriggerPrice;
+    policy.lower = lower;
+  }
+
+  /**
+   * @dev Returns the amount that will be paid if the policy is triggered now, see
+   *      `PriceRiskModuleResolution.triggerablePayout(policyId)`
+   */
+  function _triggerablePayout(uint256 policyId) internal view returns (uint256) {
+    PolicyData storage policy = _policies[policyId];
+    Asset memory asset = _asset(policy.assetId);
+    if ((block.timestamp - policy.ensuroPolicy.start) < asset.minDuration) return 0;
+    if (_confirmationWindow != 0) {
+      uint40 start = _breachStarts[policyId];
+      if (
+        start == 0 ||
+        block.timestamp < uint256(start) + _confirmationWindow ||
+        PricePolicyLibrary.breachExpired(start, _confirmationWindow)
+      ) return 0;
+    }
+    return PricePolicyLibrary.payoutAtPrice(policy, asset.oracle.getCurrentPrice());
+  }
+
+  function _validateFloorPrice(uint256 triggerPrice, uint256 floorPrice, bool lower) internal pure {
+    require(
+      (lower && floorPrice != 0 && floorPrice < triggerPrice) || (!lower && floorPrice > triggerPrice),
+      "Invalid floor price"
+    );
+  }
+
+  /**
+   * @dev Validates the trigger prices of a corridor policy. Together with the check that the current price isn't
+   *      already at trigger value (done when the policy is priced), it requires lowerPrice < currentPrice < upperPrice,
+   *      so upperPrice == 0 can't be used to create a plain lower policy.
+   */
+  function _validateCorridor(uint256 lowerPrice, uint256 upperPrice) internal pure {
+    require(lowerPrice < upperPrice, "Invalid corridor prices");
+  }
+
+  function _validateLadder(
+    uint256[] calldata triggerPrices,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations
+  ) internal pure {
+    require(
+      triggerPrices.length == payouts.length && triggerPrices.length == expirations.length,
+      "Array lengths mismatch"
+    );
+  }
+
+  function _relativePrice(uint256 price, uint256 jump, bool lower) internal pure returns (uint256) {
+    return price.wadMul(lower ? WadRayMath.WAD - jump : WadRayMath.WAD + jump);
+  }
+
+  function _minimumPremium(
+    uint256 payout,
+    IPriceRiskModule.SlotPricing memory pricing,
+    uint40 expiration
+  ) internal view returns (uint256) {
+    Params memory p = params();
+    p.jrCollRatio = uint256(pricing.jrCollRatio);
+    p.collRatio = uint256(pricing.collRatio);
+    return _getMinimumPremium(payout, pricing.lossProb, expiration, uint40(block.timestamp), p);
+  }
+
+  /**
+   * @dev This empty reserved space is put in place to allow future versions to add new
+   * variables without shifting down storage in the inheritance chain.
+   * See https://docs.openzeppelin.com/contracts/4.x/upgradeable#storage_gaps
+   */
+  uint256[33] private __gap;
+}
@@ -0,0 +1,542 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {IPolicyPool} from "@ensuro/core/contracts/interfaces/IPolicyPool.sol";
+import {IPremiumsAccount} from "@ensuro/core/contracts/interfaces/IPremiumsAccount.sol";
+import {IAccessManager} from "@ensuro/core/contracts/interfaces/IAccessManager.sol";
+import {WadRayMath} from "@ensuro/core/contracts/dependencies/WadRayMath.sol";
+import {IPriceRiskModule} from "./interfaces/IPriceRiskModule.sol";
+import {IPriceOracle} from "./interfaces/IPriceOracle.sol";
+import {PriceRiskModuleBase} from "./PriceRiskModuleBase.sol";
+import {PriceRiskModuleEIP712} from "./PriceRiskModuleEIP712.sol";
+import {PriceRiskModuleLibrary} from "./PriceRiskModuleLibrary.sol";
+
+/**
+ * @title PriceRiskModuleConfig
+ * @dev Configuration (CDFs, assets, oracles and the parameters of the pricing and the resolution of the policies) and
+ *      views of the configuration (and of the signatures of the quotes) of the PriceRiskModule. The functions of this
+ *      contract run with the storage of the module and must be called through the PriceRiskModule proxy, see
+ *      {PriceRiskModuleBase}. The validation of the shape of the CDFs reverts with the errors of
+ *      {PriceRiskModuleLibrary}.
+ * @custom:security-contact security@ensuro.co
+ * @author Ensuro
+ */
+contract PriceRiskModuleConfig is PriceRiskModuleEIP712 {
+  using WadRayMath for uint256;
+
+  // Parameters reported with the rmFiller4 governance action, encoded in the upper 8 bits of the value
+  enum ExtraParameter {
+    pricingMode,
+    keeperFixedReward,
+    keeperRewardBps,
+    keeperMaxReward,
+    concentrationBucketSize,
+    concentrationLimit,
+    markupCurve,
+    confirmationWindow,
+    cdfValidity,
+    cdfShapeValidation
+  }
+
+  /**
+   * @dev Same as `onlyComponentRole(role)`, but calling a function instead of inlining the call to the AccessManager
+   *      in each function, to keep the contract below the size limit
+   */
+  modifier requireComponentRole(bytes32 role) {
+    _requireComponentRole(role);
+    _;
+  }
+
+  /**
+   * @dev Same as `onlyGlobalOrComponentRole2(LEVEL1_ROLE, LEVEL2_ROLE)`, see `requireComponentRole(role)`
+   */
+  modifier requireGovernanceRole() {
+    _requireGovernanceRole();
+    _;
+  }
+
+  /**
+   * @param policyPool_ The policyPool
+   * @param premiumsAccount_ The premiums account of the module
+   * @param slotSize_ Size of each percentage slot in the pdf function (in wad)
+   */
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor(
+    IPolicyPool policyPool_,
+    IPremiumsAccount premiumsAccount_,
+    uint256 slotSize_
+  ) PriceRiskModuleEIP712(policyPool_, premiumsAccount_, slotSize_, PriceRiskModuleBase(address(0))) {}
+
+  /**
+   * @dev Sets the probability distribution for a given duration, with uniform slots (removing the custom slot
+   *      boundaries, if any)
+   * @param duration Duration of the policy in hours (simetric rounding) positive if probability of lower price
+   *                 negative if probability of higher price
+   * @param cdf Array where cdf[i] = prob of price lower/higher than i% of current price
+   */
+  function setCDF(
+    int40 duration,
+    IPriceRiskModule.SlotPricing[PRICE_SLOTS] calldata cdf
+  ) external requireComponentRole(PRICER_ROLE) whenNotPaused {
+    uint64[PRICE_SLOTS] memory uniform;
+    _setCDF(0, duration, cdf, uniform);
+  }
+
+  /**
+   * @dev Sets the probability distribution of one of the assets of the registry for a given duration
+   * @param assetId The id of the asset, as registered with `addAsset(...)`
+   * @param duration Duration of the policy in hours, with the same format as in `setCDF(duration, cdf)`
+   * @param cdf Array where cdf[i] = prob of price lower/higher than i slots of the current price
+   */
+  function setCDF(
+    uint16 assetId,
+    int40 duration,
+    IPriceRiskModule.SlotPricing[PRICE_SLOTS] calldata cdf
+  ) external requireComponentRole(PRICER_ROLE) whenNotPaused {
+    uint64[PRICE_SLOTS] memory uniform;
+    _setCDF(assetId, duration, cdf, uniform);
+  }
+
+  /**
+   * @dev Sets the probability distribution of an asset for a given duration, with non-uniform slots. For instance,
+   *      fine steps near the current price and coarser steps for the big moves.
+   *
+   * Requirements:
+   * - boundaries[0] == 0 and the boundaries are strictly increasing, or all of them are 0 (uniform slots of
+   *   `slotSize(assetId)`, as with `setCDF(assetId, duration, cdf)`)
+   *
+   * @param assetId The id of the asset (0 = default asset)
+   * @param duration Duration of the policy in hours, with the same format as in `setCDF(duration, cdf)`
+   * @param cdf Array where cdf[i] = prob of price lower/higher than boundaries[i] of the current price
+   * @param boundaries The price jump (in wad, 0.01 = 1%) where each slot starts
+   */
+  function setCDF(
+    uint16 assetId,
+    int40 duration,
+    IPriceRiskModule.SlotPricing[PRICE_SLOTS] calldata cdf,
+    uint64[PRICE_SLOTS] calldata boundaries
+  ) external requireComponentRole(PRICER_ROLE) whenNotPaused {
+    _setCDF(assetId, duration, cdf, boundaries);
+  }
+
+  function _setCDF(
+    uint16 assetId,
+    int40 duration,
+    IPriceRiskModule.SlotPricing[PRICE_SLOTS] calldata cdf,
+    uint64[PRICE_SLOTS] memory boundaries
+  ) internal {
+    PriceRiskModuleLibrary.setCDF(
+      _cdfTables(assetId),
+      _cdfConfigs[assetId],
+      _asset(assetId).slotSize,
+      duration,
+      cdf,
+      boundaries,
+      _cdfShapeValidation
+    );
+    // Encodes the duration as uint256 in this way:
+    // If positive, it stays as it is (1 --> 1)
+    // If negative, adds type(uint40).max to the absolute number (-1 --> type(uint40).max + 1)
+    uint256 durationParam = duration < 0
+      ? uint256(type(uint40).max + uint256(uint40(-duration)))
+      : uint256(uint40(duration));
+    _parameterChanged(IAccessManager.GovernanceActions.rmFiller1, _assetParam(assetId, durationParam), false);
+  }
+
+  /**
+   * @dev Sets the validity period of a CDF table. After `validity` seconds from the last `setCDF` of the table, the
+   *      table is stale and the policies that would be priced with it are rejected, until the table is updated.
+   *      For the tables that were never updated since the freshness is tracked, the period starts now.
+   *
+   * Requirements:
+   * - The caller has PRICER_ROLE
+   *
+   * Events:
+   * - Emits GovernanceAction with action = rmFiller4, with the assetId in the bits 232-247 and the duration
+   *   (as uint40) in the bits 32-71
+   *
+   * @param assetId The id of the asset (0 = default asset)
+   * @param duration Duration of the table in hours, with the same format as in `setCDF(duration, cdf)`
+   * @param validity Seconds the table is valid after each update, zero if it never gets stale
+   */
+  function setCDFValidity(
+    uint16 assetId,
+    int40 duration,
+    uint32 validity
+  ) external requireComponentRole(PRICER_ROLE) whenNotPaused {
+    _asset(assetId);
+    PriceRiskModuleLibrary.setValidity(_cdfConfigs[assetId], duration, validity);
+    _extraParameterChanged(
+      ExtraParameter.cdfValidity,
+      (uint256(assetId) << 232) | (uint256(uint40(duration)) << 32) | validity
+    );
+  }
+
+  /**
+   * @dev Enables or disables the validation of the shape of the CDFs in `setCDF`. When enabled, the lossProbs of the
+   *      table must be within [0, 1], non-increasing across the slots, and between the ones of the neighbour
+   *      durations. The violations revert with {CDFLossProbOutOfRange}, {CDFLossProbIncreasing} or
+   *      {CDFLossProbInconsistentWithDuration}, with the offending slot. The tables already set aren't validated.
+   *
+   * Requirements:
+   * - onlyGlobalOrComponentRole2(LEVEL1_ROLE, LEVEL2_ROLE)
+   *
+   * @param enabled If true, the shape of the CDFs is validated
+   */
+  function setCDFShapeValidation(bool enabled) external requireGovernanceRole whenNotPaused {
+    _cdfShapeValidation = enabled;
+    _extraParameterChanged(ExtraParameter.cdfShapeValidation, enabled ? 1 : 0);
+  }
+
+  /**
+   * @dev Changes how the CDFs are evaluated to price the policies. Note that in the interpolated mode, only the
+   *      CDFs set after this feature was deployed are considered as populated durations.
+   * @param mode The new pricing mode, see {PricingMode}
+   */
+  function setPricingMode(PricingMode mode) external requireComponentRole(PRICER_ROLE) whenNotPaused {
+    _pricingMode = mode;
+    _extraParameterChanged(ExtraParameter.pricingMode, uint256(mode));
+  }
+
+  /**
+   * @dev Sets the reward paid to the caller of `triggerPolicy` (or any other trigger method), deducted from the
+   *      payout of the policy. The reward is min(fixedReward + payout * rewardBps / 10000, maxReward) and isn't paid
+   *      if the caller is the owner of the policy or if it isn't lower than the payout. The owner receives the payout
+   *      minus the reward, and the reward is paid with the policyPool.currency() held by the module (the keeper
+   *      rewards escrow). The escrow is funded with plain transfers, for instance of the won premiums of the premiums
+   *      account (that keeps the part of the payouts paid as rewards), and emptied with `withdrawKeeperRewards(...)`.
+   *      Without enough funds in the escrow, the reward isn't paid.
+   *
+   * Requirements:
+   * - onlyGlobalOrComponentRole2(LEVEL1_ROLE, LEVEL2_ROLE)
+   * - rewardBps <= 10000
+   *
+   * Events:
+   * - Emits GovernanceAction with action = rmFiller4 for each of the parameters
+   *
+   * @param fixedReward Fixed part of the reward, expressed in policyPool.currency()
+   * @param rewardBps Part of the reward proportional to the payout, in basis points
+   * @param maxReward Cap of the reward, expressed in policyPool.currency(). If 0, the reward is disabled.
+   */
+  function setKeeperReward(
+    uint112 fixedReward,
+    uint16 rewardBps,
+    uint112 maxReward
+  ) external requireGovernanceRole whenNotPaused {
+    require(rewardBps <= 1e4, "PriceRiskModule: rewardBps can't exceed 10000");
+    _keeperReward = KeeperReward({fixedReward: fixedReward, rewardBps: rewardBps, maxReward: maxReward});
+    _extraParameterChanged(ExtraParameter.keeperFixedReward, fixedReward);
+    _extraParameterChanged(ExtraParameter.keeperRewardBps, rewardBps);
+    _extraParameterChanged(ExtraParameter.keeperMaxReward, maxReward);
+  }
+
+  /**
+   * @dev Sets the concentration limits of an asset: the maximum active payout of the policies that trigger in the
+   *      same direction, in the same trigger price bucket and that expire in the same week. For corridor policies,
+   *      the payout is added to the buckets of both trigger prices.
+   *      Only the policies created after the limits are enabled are tracked, and the bucket of each policy is fixed
+   *      when it's created, so changing `bucketSize` with active policies leaves their exposure in the old buckets.
+   *      The expired policies don't count, even if they weren't expired in the PolicyPool yet.
+   *
+   * Requirements:
+   * - onlyGlobalOrComponentRole2(LEVEL1_ROLE, LEVEL2_ROLE)
+   * - bucketSize == 0 (disabled) if and only if limit == 0
+   *
+   * Events:
+   * - Emits GovernanceAction with action = rmFiller4 for each of the parameters, with the assetId in the bits 232-247
+   *
+   * @param assetId The id of the asset (0 = default asset)
+   * @param bucketSize Size of the trigger price buckets, in the denomination of `oracle(assetId)`
+   * @param limit Maximum active payout per bucket, expressed in policyPool.currency()
+   */
+  function setConcentrationLimit(
+    uint16 assetId,
+    uint128 bucketSize,
+    uint128 limit
+  ) external requireGovernanceRole whenNotPaused {
+    require((bucketSize == 0) == (limit == 0), "PriceRiskModule: invalid concentration limit");
+    _asset(assetId); // Reverts if the asset doesn't exist
+    _concentrationLimits[assetId] = ConcentrationLimit({bucketSize: bucketSize, limit: limit});
+    _extraParameterChanged(ExtraParameter.concentrationBucketSize, (uint256(assetId) << 232) | bucketSize);
+    _extraParameterChanged(ExtraParameter.concentrationLimit, (uint256(assetId) << 232) | limit);
+  }
+
+  /**
+   * @dev Sets the markup curve applied to the lossProb of the new policies, depending on the utilization of the
+   *      module (see `utilizationMarkup(payout)`). An empty array removes the markup.
+   *
+   * Requirements:
+   * - onlyComponentRole(PRICER_ROLE)
+   * - At most MAX_MARKUP_POINTS points, sorted by utilization (strictly increasing) and with utilization <= 1
+   * - markup >= 1 for all the points (the markup can't be a discount)
+   *
+   * Events:
+   * - Emits GovernanceAction with action = rmFiller4 and the number of points as value
+   *
+   * @param points The points (utilization, markup) of the curve, both in wad
+   */
+  function setMarkupCurve(MarkupPoint[] calldata points) external requireComponentRole(PRICER_ROLE) whenNotPaused {
+    require(points.length <= MAX_MARKUP_POINTS, "PriceRiskModule: too many markup points");
+    delete _markupCurve;
+    for (uint256 i = 0; i < points.length; i++) {
+      require(
+        points[i].utilization <= WadRayMath.WAD && (i == 0 || points[i].utilization > points[i - 1].utilization),
+        "PriceRiskModule: invalid markup utilization"
+      );
+      require(points[i].markup >= WadRayMath.WAD, "PriceRiskModule: markup can't be lower than 1");
+      _markupCurve.push(points[i]);
+    }
+    _extraParameterChanged(ExtraParameter.markupCurve, points.length);
+  }
+
+  /**
+   * @dev Reports the change of parameters that don't have their own governance action, using rmFiller4 with the
+   *      parameter encoded in the upper 8 bits of the value
+   */
+  function _extraParameterChanged(ExtraParameter param, uint256 value) internal {
+    _parameterChanged(IAccessManager.GovernanceActions.rmFiller4, (uint256(param) << 248) | value, false);
+  }
+
+  /**
+   * @dev Sets the minimum duration before a policy can be triggered
+   * @param minDuration_ The new minimum duration in seconds.
+   */
+  function setMinDuration(uint40 minDuration_) external requireComponentRole(ORACLE_ADMIN_ROLE) whenNotPaused {
+    _state.minDuration = uint32(minDuration_);
+    _parameterChanged(IAccessManager.GovernanceActions.rmFiller2, uint256(minDuration_), false);
+  }
+
+  /**
+   * @dev Sets the minimum duration before a policy of one of the assets of the registry can be triggered
+   * @param assetId The id of the asset, as registered with `addAsset(...)`
+   * @param minDuration_ The new minimum duration in seconds.
+   */
+  function setMinDuration(
+    uint16 assetId,
+    uint40 minDuration_
+  ) external requireComponentRole(ORACLE_ADMIN_ROLE) whenNotPaused {
+    if (assetId == 0) {
+      _state.minDuration = uint32(minDuration_);
+    } else {
+      _asset(assetId);
+      _assets[assetId].minDuration = uint32(minDuration_);
+    }
+    _parameterChanged(IAccessManager.GovernanceActions.rmFiller2, _assetParam(assetId, minDuration_), false);
+  }
+
+  /**
+   * @dev Sets the confirmation window, the seconds the price must stay past the trigger price before a policy can be
+   *      triggered. See `triggerPolicy(...)`.
+   *
+   * Requirements:
+   * - The caller has ORACLE_ADMIN_ROLE
+   *
+   * @param window The new confirmation window in seconds, zero to trigger the policies on the first breach
+   */
+  function setConfirmationWindow(uint32 window) external requireComponentRole(ORACLE_ADMIN_ROLE) whenNotPaused {
+    _confirmationWindow = window;
+    _extraParameterChanged(ExtraParameter.confirmationWindow, window);
+  }
+
+  /**
+   * @dev Changes the price oracle
+   * @param oracle_ The new price oracle to use.
+   */
+  function setOracle(IPriceOracle oracle_) external requireComponentRole(ORACLE_ADMIN_ROLE) whenNotPaused {
+    require(address(oracle_) != address(0), "PriceRiskModule: oracle_ cannot be the zero address");
+    _state.oracle = oracle_;
+    _parameterChanged(IAccessManager.GovernanceActions.rmFiller3, uint256(uint160(address(oracle_))), false);
+  }
+
+  /**
+   * @dev Changes the price oracle of one of the assets of the registry
+   * @param assetId The id of the asset, as registered with `addAsset(...)`
+   * @param oracle_ The new price oracle to use.
+   */
+  function setOracle(
+    uint16 assetId,
+    IPriceOracle oracle_
+  ) external requireComponentRole(ORACLE_ADMIN_ROLE) whenNotPaused {
+    require(address(oracle_) != address(0), "PriceRiskModule: oracle_ cannot be the zero address");
+    if (assetId == 0) {
+      _state.oracle = oracle_;
+    } else {
+      _asset(assetId);
+      _assets[assetId].oracle = oracle_;
+    }
+    _parameterChanged(
+      IAccessManager.GovernanceActions.rmFiller3,
+      _assetParam(assetId, uint256(uint160(address(oracle_)))),
+      false
+    );
+  }
+
+  /**
+   * @dev Adds a new asset to the registry. The asset starts with minDuration = 1 hour and without CDF tables, so
+   *      policies can't be created until they are set with `setCDF(assetId, duration, cdf)`.
+   *
+   * Requirements:
+   * - assetId != 0 (reserved for the default asset) and not already registered
+   * - oracle_ != address(0)
+   * - 0 < slotSize_ <= 1 (in wad)
+   *
+   * Events:
+   * - Emits {AssetAdded}
+   * - Emits {GovernanceAction} with rmFiller3 (setOracle) for the asset
+   *
+   * @param assetId The id of the new asset
+   * @param oracle_ The contract that returns the current price of the asset
+   * @param slotSize_ Size of each percentage slot in the pdf function (in wad)
+   */
+  function addAsset(
+    uint16 assetId,
+    IPriceOracle oracle_,
+    uint256 slotSize_
+  ) external requireComponentRole(ORACLE_ADMIN_ROLE) whenNotPaused {
+    require(assetId != 0, "PriceRiskModule: assetId 0 is the default asset");
+    require(address(_assets[assetId].oracle) == address(0), "PriceRiskModule: asset already registered");
+    require(address(oracle_) != address(0), "PriceRiskModule: oracle_ cannot be the zero address");
+    require(slotSize_ != 0 && slotSize_ <= WadRayMath.WAD, "PriceRiskModule: invalid slotSize_");
+    _assets[assetId] = Asset({oracle: oracle_, minDuration: 3600, slotSize: uint64(slotSize_)});
+    emit AssetAdded(assetId, oracle_, slotSize_);
+    _parameterChanged(
+      IAccessManager.GovernanceActions.rmFiller3,
+      _assetParam(assetId, uint256(uint160(address(oracle_)))),
+      false
+    );
+  }
+
+  function _requireComponentRole(bytes32 role) private view {
+    _policyPool.access().checkComponentRole(address(this), role, _msgSender(), false);
+  }
+
+  function _requireGovernanceRole() private view {
+    _policyPool.access().checkComponentRole2(address(this), LEVEL1_ROLE, LEVEL2_ROLE, _msgSender(), true);
+  }
+
+  /**
+   * @dev Encodes the assetId in the upper 16 bits of the value of the governance events, so the parameter changes
+   *      of the default asset (assetId == 0) are reported as before the registry existed.
+   */
+  function _assetParam(uint16 assetId, uint256 value) internal pure returns (uint256) {
+    return (uint256(assetId) << 240) | value;
+  }
+
+  function _boundaries(uint16 assetId, int40 duration) internal view returns (uint64[PRICE_SLOTS] memory) {
+    return PriceRiskModuleLibrary.boundaries(_cdfConfigs[assetId], _asset(assetId).slotSize, duration);
+  }
+
+  function getCDF(int40 duration) external view returns (IPriceRiskModule.SlotPricing[PRICE_SLOTS] memory ret) {
+    for (uint256 i = 0; i < PRICE_SLOTS; i++) {
+      ret[i] = _cdf[duration][i];
+    }
+    return ret;
+  }
+
+  function getCDF(
+    uint16 assetId,
+    int40 duration
+  ) external view returns (IPriceRiskModule.SlotPricing[PRICE_SLOTS] memory) {
+    return _cdfTables(assetId)[duration];
+  }
+
+  /**
+   * @dev Returns the points of the utilization markup curve, see `setMarkupCurve(...)`
+   */
+  function markupCurve() external view returns (MarkupPoint[] memory) {
+    return _markupCurve;
+  }
+
+  /**
+   * @dev Returns the slot boundaries (price jumps in wad) of the CDF of an asset for a given duration
+   */
+  function getSlotBoundaries(uint16 assetId, int40 duration) external view returns (uint64[PRICE_SLOTS] memory) {
+    return _boundaries(assetId, duration);
+  }
+
+  function pricingMode() external view returns (PricingMode) {
+    return _pricingMode;
+  }
+
+  /**
+   * @dev Returns the sorted durations (in hours) of the populated CDFs of an asset, used in the interpolated mode
+   * @param assetId The id of the asset (0 = default asset)
+   * @param lower If true, the CDFs of price drops (positive keys), if false, the ones of price rises
+   */
+  function getCDFDurations(uint16 assetId, bool lower) external view returns (uint40[] memory) {
+    return _cdfConfigs[assetId].durations[lower];
+  }
+
+  function cdfShapeValidation() external view returns (bool) {
+    return _cdfShapeValidation;
+  }
+
+  /**
+   * @dev Returns the timestamp of the last update and the validity period of a CDF table
+   * @param assetId The id of the asset (0 = default asset)
+   * @param duration Duration of the table in hours, with the same format as in `setCDF(duration, cdf)`
+   */
+  function getCDFValidity(
+    uint16 assetId,
+    int40 duration
+  ) external view returns (PriceRiskModuleLibrary.CDFValidity memory) {
+    return _cdfConfigs[assetId].validity[duration];
+  }
+
+  /**
+   * @dev Returns the durations (in hours) of the populated CDFs of an asset that are stale
+   * @param assetId The id of the asset (0 = default asset)
+   * @param lower If true, the CDFs of price drops (positive keys), if false, the ones of price rises
+   */
+  function getStaleCDFDurations(uint16 assetId, bool lower) external view returns (uint40[] memory stale) {
+    PriceRiskModuleLibrary.CDFConfig storage config = _cdfConfigs[assetId];
+    uint40[] storage durations = config.durations[lower];
+    int40 sign = lower ? int40(1) : int40(-1);
+    uint256 count;
+    for (uint256 i = 0; i < durations.length; i++) {
+      if (PriceRiskModuleLibrary.isStale(config, int40(durations[i]) * sign)) count++;
+    }
+    stale = new uint40[](count);
+    count = 0;
+    for (uint256 i = 0; i < durations.length; i++) {
+      if (PriceRiskModuleLibrary.isStale(config, int40(durations[i]) * sign)) stale[count++] = durations[i];
+    }
+  }
+
+  function oracle() external view returns (IPriceOracle) {
+    return _state.oracle;
+  }
+
+  function minDuration() external view returns (uint40) {
+    return _state.minDuration;
+  }
+
+  function oracle(uint16 assetId) external view returns (IPriceOracle) {
+    return _asset(assetId).oracle;
+  }
+
+  function minDuration(uint16 assetId) external view returns (uint40) {
+    return _asset(assetId).minDuration;
+  }
+
+  /**
+   * @dev Domain separator of the EIP-712 signatures of the quotes accepted by `newPolicyWithQuote`
+   */
+  function quoteDomainSeparator() external view returns (bytes32) {
+    return _domainSeparatorV4();
+  }
+
+  /**
+   * @dev EIP-712 digest that the pricer signs to produce a valid quote
+   */
+  function quoteDigest(Quote calldata quote) external view returns (bytes32) {
+    return _quoteDigest(quote);
+  }
+
+  /**
+   * @dev Returns true if the nonce was already used by a quote
+   */
+  function quoteNonceUsed(uint256 nonce) external view returns (bool) {
+    return _usedQuoteNonces[nonce];
+  }
+}
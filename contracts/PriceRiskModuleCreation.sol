@@ -0,0 +1,528 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {IPolicyPool} from "@ensuro/core/contracts/interfaces/IPolicyPool.sol";
+import {IPremiumsAccount} from "@ensuro/core/contracts/interfaces/IPremiumsAccount.sol";
+import {WadRayMath} from "@ensuro/core/contracts/dependencies/WadRayMath.sol";
+import {IPriceRiskModule} from "./interfaces/IPriceRiskModule.sol";
+import {PriceRiskModuleEIP712} from "./PriceRiskModuleEIP712.sol";
+import {PriceRiskModulePricing} from "./PriceRiskModulePricing.sol";
+import {PricePolicyLibrary} from "./PricePolicyLibrary.sol";
+
+/**
+ * @title PriceRiskModuleCreation
+ * @dev Creation of the policies of the PriceRiskModule, the first extension of the chain of contracts of the module
+ *      (see {PriceRiskModuleBase}). The functions of this contract run with the storage of the module and must be
+ *      called through the PriceRiskModule proxy.
+ * @custom:security-contact security@ensuro.co
+ * @author Ensuro
+ */
+/// @custom:oz-upgrades-unsafe-allow external-library-linking
+contract PriceRiskModuleCreation is PriceRiskModuleEIP712 {
+  using WadRayMath for uint256;
+
+  /**
+   * @param policyPool_ The policyPool
+   * @param premiumsAccount_ The premiums account of the module
+   * @param slotSize_ Size of each percentage slot in the pdf function (in wad)
+   * @param pricing_ The PriceRiskModulePricing, constructed with the same policyPool, premiumsAccount and slotSize
+   */
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor(
+    IPolicyPool policyPool_,
+    IPremiumsAccount premiumsAccount_,
+    uint256 slotSize_,
+    PriceRiskModulePricing pricing_
+  ) PriceRiskModuleEIP712(policyPool_, premiumsAccount_, slotSize_, pricing_) {
+    require(address(pricing_) != address(0), "PriceRiskModule: pricing_ cannot be the zero address");
+  }
+
+  /**
+   * @dev Creates a new policy
+   *
+   * Requirements:
+   * - The oracle(s) are functional, returning non zero values and updated after (block.timestamp - oracleTolerance())
+   * - The price jump is supported (_cdf[duration][priceJump] != 0)
+   * - The concentration limit of the trigger price bucket isn't exceeded (see `setConcentrationLimit(...)`)
+   *
+   * @param triggerPrice The price at which the policy should trigger.
+   *                     If referenceOracle() != address(0), the price is expressed in terms of the reference asset,
+   *                     with the same decimals as reported by the reference oracle
+   *                     If referenceOracle() == address(0), the price is expressed in the denomination
+   *                     of assetOracle(), with the same decimals.
+   * @param lower If true -> triggers if the price is lower, If false -> triggers if the price is higher
+   * @param payout Expressed in policyPool.currency()
+   * @param expiration The policy expiration timestamp
+   * @param onBehalfOf The address that will own the new policy
+   * @return policyId
+   */
+  function newPolicy(
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf
+  ) external whenNotPaused returns (uint256) {
+    return
+      _newPricePolicy(_policyTerms(0, triggerPrice, 0, 0, lower), payout, expiration, onBehalfOf, type(uint256).max);
+  }
+
+  /**
+   * @dev Creates a new policy on one of the assets of the registry
+   *
+   * Requirements:
+   * - The asset was registered with `addAsset(...)` (or assetId == 0, the default asset)
+   * - The oracle of the asset is functional
+   * - The price jump is supported (getCDF(assetId, duration)[priceJump] != 0)
+   *
+   * @param assetId The id of the asset, as registered with `addAsset(...)`
+   * @param triggerPrice The price at which the policy should trigger, in the denomination of `oracle(assetId)`
+   * @param lower If true -> triggers if the price is lower, If false -> triggers if the price is higher
+   * @param payout Expressed in policyPool.currency()
+   * @param expiration The policy expiration timestamp
+   * @param onBehalfOf The address that will own the new policy
+   * @return policyId
+   */
+  function newPolicy(
+    uint16 assetId,
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf
+  ) external whenNotPaused returns (uint256) {
+    return
+      _newPricePolicy(
+        _policyTerms(assetId, triggerPrice, 0, 0, lower),
+        payout,
+        expiration,
+        onBehalfOf,
+        type(uint256).max
+      );
+  }
+
+  /**
+   * @dev Creates a new policy, protecting the customer against changes of the price (oracle moves, CDF updates)
+   *      between the quote and the execution of the transaction
+   *
+   * Requirements:
+   * - Same as `newPolicy(triggerPrice, lower, payout, expiration, onBehalfOf)`
+   * - The premium doesn't exceed maxPremium
+   * - block.timestamp <= deadline
+   *
+   * @param maxPremium The maximum premium the customer is willing to pay
+   * @param deadline The timestamp after which the transaction is no longer valid
+   * @return policyId
+   */
+  function newPolicy(
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium,
+    uint40 deadline
+  ) external whenNotPaused returns (uint256) {
+    require(block.timestamp <= deadline, "Deadline expired");
+    return _newPricePolicy(_policyTerms(0, triggerPrice, 0, 0, lower), payout, expiration, onBehalfOf, maxPremium);
+  }
+
+  /**
+   * @dev Creates a new policy on one of the assets of the registry, with the same guards as
+   *      `newPolicy(triggerPrice, lower, payout, expiration, onBehalfOf, maxPremium, deadline)`
+   * @return policyId
+   */
+  function newPolicy(
+    uint16 assetId,
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium,
+    uint40 deadline
+  ) external whenNotPaused returns (uint256) {
+    require(block.timestamp <= deadline, "Deadline expired");
+    return
+      _newPricePolicy(_policyTerms(assetId, triggerPrice, 0, 0, lower), payout, expiration, onBehalfOf, maxPremium);
+  }
+
+  /**
+   * @dev Creates several policies (a ladder) on the default asset in a single transaction. The premium of each
+   *      policy is charged by the PolicyPool as in `newPolicy(...)`.
+   *
+   * Requirements:
+   * - triggerPrices, payouts and expirations have the same length
+   * - Same as `newPolicy(triggerPrice, lower, payout, expiration, onBehalfOf)` for each policy
+   *
+   * @param triggerPrices The prices at which each policy should trigger
+   * @param lower If true -> the policies trigger if the price is lower, If false -> if the price is higher
+   * @param payouts The payout of each policy, expressed in policyPool.currency()
+   * @param expirations The expiration timestamp of each policy
+   * @param onBehalfOf The address that will own the new policies
+   * @return policyIds The ids of the new policies, in the same order as the parameters
+   */
+  function newPolicies(
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations,
+    address onBehalfOf
+  ) external returns (uint256[] memory policyIds) {
+    return newPolicies(0, triggerPrices, lower, payouts, expirations, onBehalfOf);
+  }
+
+  /**
+   * @dev Creates several policies (a ladder) on one of the assets of the registry, see
+   *      `newPolicies(triggerPrices, lower, payouts, expirations, onBehalfOf)`
+   * @param assetId The id of the asset, as registered with `addAsset(...)` (0 = default asset)
+   * @return policyIds The ids of the new policies, in the same order as the parameters
+   */
+  function newPolicies(
+    uint16 assetId,
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations,
+    address onBehalfOf
+  ) public whenNotPaused returns (uint256[] memory policyIds) {
+    _validateLadder(triggerPrices, payouts, expirations);
+    policyIds = new uint256[](triggerPrices.length);
+    for (uint256 i = 0; i < triggerPrices.length; i++) {
+      policyIds[i] = _newPricePolicy(
+        _policyTerms(assetId, triggerPrices[i], 0, 0, lower),
+        payouts[i],
+        expirations[i],
+        onBehalfOf,
+        type(uint256).max
+      );
+    }
+  }
+
+  /**
+   * @dev Creates a new policy on the default asset with a linear payout, that grows from zero at `triggerPrice` to the
+   *      full payout at `floorPrice`. Only the owner of the policy can trigger it, choosing when to take the partial
+   *      payout, so the policy is priced (see `priceLinearPolicy(...)`) with the payout at the furthest price reached
+   *      during the coverage.
+   *
+   * Requirements:
+   * - The oracle(s) are functional, returning non zero values and updated after (block.timestamp - oracleTolerance())
+   * - The price jumps are supported (_cdf[duration][priceJump] != 0)
+   * - floorPrice < triggerPrice if lower, floorPrice > triggerPrice if not lower
+   *
+   * @param triggerPrice The price at which the policy starts paying, in the same denomination as `newPolicy`
+   * @param floorPrice The price at which the policy pays the full payout
+   * @param lower If true -> triggers if the price is lower, If false -> triggers if the price is higher
+   * @param payout Maximum payout, expressed in policyPool.currency()
+   * @param expiration The policy expiration timestamp
+   * @param onBehalfOf The address that will own the new policy
+   * @return policyId
+   */
+  function newLinearPolicy(
+    uint256 triggerPrice,
+    uint256 floorPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf
+  ) external returns (uint256) {
+    return newLinearPolicy(0, triggerPrice, floorPrice, lower, payout, expiration, onBehalfOf);
+  }
+
+  /**
+   * @dev Creates a new policy with a linear payout on one of the assets of the registry, see
+   *      `newLinearPolicy(triggerPrice, floorPrice, lower, payout, expiration, onBehalfOf)`
+   * @param assetId The id of the asset, as registered with `addAsset(...)` (0 = default asset)
+   * @return policyId
+   */
+  function newLinearPolicy(
+    uint16 assetId,
+    uint256 triggerPrice,
+    uint256 floorPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf
+  ) public whenNotPaused returns (uint256) {
+    _validateFloorPrice(triggerPrice, floorPrice, lower);
+    return
+      _newPricePolicy(
+        _policyTerms(assetId, triggerPrice, floorPrice, 0, lower),
+        payout,
+        expiration,
+        onBehalfOf,
+        type(uint256).max
+      );
+  }
+
+  /**
+   * @dev Creates a new corridor policy on the default asset, that triggers if the price leaves the
+   *      (lowerPrice, upperPrice) range.
+   *      Since only one of the sides can be paid, the price is the sum of the probabilities of both sides, but the
+   *      collateralization ratios are the maximum of the ones of both sides (not the sum).
+   *
+   * Requirements:
+   * - The oracle(s) are functional, returning non zero values and updated after (block.timestamp - oracleTolerance())
+   * - The price jumps are supported for both directions (_cdf[duration][priceJump] != 0 and
+   *   _cdf[-duration][priceJump] != 0)
+   * - lowerPrice < getCurrentPrice() < upperPrice
+   *
+   * @param lowerPrice The policy triggers if the price is lower or equal than this price
+   * @param upperPrice The policy triggers if the price is higher or equal than this price
+   * @param payout Expressed in policyPool.currency()
+   * @param expiration The policy expiration timestamp
+   * @param onBehalfOf The address that will own the new policy
+   * @return policyId
+   */
+  function newCorridorPolicy(
+    uint256 lowerPrice,
+    uint256 upperPrice,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf
+  ) external returns (uint256) {
+    return newCorridorPolicy(0, lowerPrice, upperPrice, payout, expiration, onBehalfOf);
+  }
+
+  /**
+   * @dev Creates a new corridor policy on one of the assets of the registry, see
+   *      `newCorridorPolicy(lowerPrice, upperPrice, payout, expiration, onBehalfOf)`
+   * @param assetId The id of the asset, as registered with `addAsset(...)` (0 = default asset)
+   * @return policyId
+   */
+  function newCorridorPolicy(
+    uint16 assetId,
+    uint256 lowerPrice,
+    uint256 upperPrice,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf
+  ) public whenNotPaused returns (uint256) {
+    _validateCorridor(lowerPrice, upperPrice);
+    return
+      _newPricePolicy(
+        _policyTerms(assetId, lowerPrice, 0, upperPrice, true),
+        payout,
+        expiration,
+        onBehalfOf,
+        type(uint256).max
+      );
+  }
+
+  /**
+   * @dev Creates a new policy on the default asset with the trigger price fixed as a percentage of the price at the
+   *      execution of the transaction, so it doesn't depend on the price read before sending it.
+   *
+   * Requirements:
+   * - jump > 0 and, if lower, jump < 1 (in wad)
+   * - Same as `newPolicy(triggerPrice, lower, payout, expiration, onBehalfOf)`, with the trigger price computed by
+   *   `relativeTriggerPrice(jump, lower)`
+   * - The premium doesn't exceed maxPremium
+   *
+   * @param jump The change from the current price to the trigger price, in wad (0.1 = 10%). Downwards if lower,
+   *             upwards if not.
+   * @param lower If true -> triggers if the price is lower, If false -> triggers if the price is higher
+   * @param payout Expressed in policyPool.currency()
+   * @param expiration The policy expiration timestamp
+   * @param onBehalfOf The address that will own the new policy
+   * @param maxPremium The maximum premium the customer is willing to pay
+   * @return policyId
+   */
+  function newPolicyRelative(
+    uint256 jump,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium
+  ) external returns (uint256) {
+    return newPolicyRelative(0, jump, lower, payout, expiration, onBehalfOf, maxPremium);
+  }
+
+  /**
+   * @dev Creates a new policy on one of the assets of the registry with the trigger price relative to the current
+   *      price of the asset, see `newPolicyRelative(jump, lower, payout, expiration, onBehalfOf, maxPremium)`
+   * @param assetId The id of the asset, as registered with `addAsset(...)` (0 = default asset)
+   * @return policyId
+   */
+  function newPolicyRelative(
+    uint16 assetId,
+    uint256 jump,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium
+  ) public whenNotPaused returns (uint256) {
+    return
+      _newPricePolicy(
+        _policyTerms(assetId, relativeTriggerPrice(assetId, jump, lower), 0, 0, lower),
+        payout,
+        expiration,
+        onBehalfOf,
+        maxPremium
+      );
+  }
+
+  /**
+   * @dev Creates a new policy with a price quoted off-chain instead of the one of the CDF.
+   *
+   * Requirements:
+   * - quote.onBehalfOf != address(0) and the sender of the transaction is quote.payer
+   * - The quote is valid, see `PriceRiskModulePricing.priceQuote(quote, signature)`
+   *
+   * @param quote The terms and the pricing of the policy, as signed by the pricer
+   * @param signature The signature of the quote
+   * @return policyId
+   */
+  function newPolicyWithQuote(Quote calldata quote, bytes calldata signature) external whenNotPaused returns (uint256) {
+    require(quote.onBehalfOf != address(0), "onBehalfOf cannot be the zero address");
+    require(quote.payer == _msgSender(), "Quote not issued for the sender");
+    uint256 premium = PriceRiskModulePricing(address(this)).priceQuote(quote, signature);
+    _usedQuoteNonces[quote.nonce] = true;
+    PolicyData memory policy = _policyTerms(quote.assetId, quote.triggerPrice, 0, 0, quote.lower);
+    IPriceRiskModule.SlotPricing memory pricing = IPriceRiskModule.SlotPricing(
+      quote.lossProb,
+      quote.jrCollRatio,
+      quote.collRatio
+    );
+    return _createPricePolicy(policy, quote.payout, premium, pricing, quote.expiration, quote.onBehalfOf);
+  }
+
+  function _newPricePolicy(
+    PolicyData memory policy,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium
+  ) internal returns (uint256) {
+    require(onBehalfOf != address(0), "onBehalfOf cannot be the zero address");
+    (uint256 premium, IPriceRiskModule.SlotPricing memory pricing) = _pricePolicy(policy, payout, expiration, 0);
+    require(premium > 0, "Either duration or percentage jump not supported");
+    require(premium <= maxPremium, "Premium exceeds maxPremium");
+    return _createPricePolicy(policy, payout, premium, pricing, expiration, onBehalfOf);
+  }
+
+  function _createPricePolicy(
+    PolicyData memory policy,
+    uint256 payout,
+    uint256 premium,
+    IPriceRiskModule.SlotPricing memory pricing,
+    uint40 expiration,
+    address onBehalfOf
+  ) internal returns (uint256) {
+    uint256 policyId = (uint256(uint160(address(this))) << 96) + _state.internalId;
+    Params memory params_ = params();
+    params_.jrCollRatio = uint256(pricing.jrCollRatio);
+    params_.collRatio = uint256(pricing.collRatio);
+    policy.ensuroPolicy = _newPolicyWithParams(
+      payout,
+      premium,
+      uint256(pricing.lossProb),
+      expiration,
+      _msgSender(),
+      onBehalfOf,
+      _state.internalId,
+      params_
+    );
+    _state.internalId += 1;
+    _policies[policyId] = policy;
+    ConcentrationLimit memory limit = _concentrationLimits[policy.assetId];
+    if (limit.bucketSize != 0)
+      PricePolicyLibrary.addBucketExposure(
+        _policyBuckets,
+        _bucketExposure,
+        _bucketPolicies,
+        _policies,
+        limit,
+        policyId
+      );
+    emit NewPricePolicy(onBehalfOf, policyId, policy.triggerPrice, policy.lower);
+    return policyId;
+  }
+
+  /**
+   * @dev Prices the policy with `PriceRiskModulePricing.pricePolicyTerms(...)`, calling this contract to reach the
+   *      extension (the call is delegated by the fallback function)
+   */
+  function _pricePolicy(
+    PolicyData memory policy,
+    uint256 payout,
+    uint40 expiration,
+    uint256 pendingExposure
+  ) internal view returns (uint256 premium, IPriceRiskModule.SlotPricing memory price) {
+    return
+      PriceRiskModulePricing(address(this)).pricePolicyTerms(
+        policy.assetId,
+        policy.triggerPrice,
+        policy.floorPrice,
+        policy.upperTriggerPrice,
+        policy.lower,
+        payout,
+        expiration,
+        pendingExposure
+      );
+  }
+
+  /**
+   * @dev Returns the trigger price that `newPolicyRelative(jump, lower, ...)` fixes with the current price of the
+   *      default asset
+   * @param jump The change from the current price to the trigger price, in wad (0.1 = 10%)
+   * @param lower If true, the trigger price is below the current price, if false, above
+   */
+  function relativeTriggerPrice(uint256 jump, bool lower) external view returns (uint256) {
+    return relativeTriggerPrice(0, jump, lower);
+  }
+
+  /**
+   * @dev Returns the trigger price that `newPolicyRelative(assetId, jump, lower, ...)` fixes with the current price
+   *      of the asset
+   * @param assetId The id of the asset, as registered with `addAsset(...)` (0 = default asset)
+   */
+  function relativeTriggerPrice(uint16 assetId, uint256 jump, bool lower) public view returns (uint256) {
+    require(jump != 0 && (!lower || jump < WadRayMath.WAD), "PriceRiskModule: invalid relative jump");
+    return _relativePrice(_asset(assetId).oracle.getCurrentPrice(), jump, lower);
+  }
+
+  /**
+   * @dev Calculates the premiums of a ladder of policies on the default asset, as they would be charged by
+   *      `newPolicies(...)`, taking into account that the utilization (and the markup) grows with each policy of the
+   *      ladder.
+   * @return premiums The premium of each policy, in the same order as the parameters
+   */
+  function pricePolicies(
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations
+  ) external view returns (uint256[] memory premiums) {
+    return pricePolicies(0, triggerPrices, lower, payouts, expirations);
+  }
+
+  /**
+   * @dev Calculates the premiums of a ladder of policies on one of the assets of the registry, as they would be
+   *      charged by `newPolicies(assetId, ...)`
+   * @param assetId The id of the asset, as registered with `addAsset(...)` (0 = default asset)
+   * @return premiums The premium of each policy, in the same order as the parameters
+   */
+  function pricePolicies(
+    uint16 assetId,
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations
+  ) public view returns (uint256[] memory premiums) {
+    _validateLadder(triggerPrices, payouts, expirations);
+    premiums = new uint256[](triggerPrices.length);
+    uint256 pendingExposure;
+    for (uint256 i = 0; i < triggerPrices.length; i++) {
+      (premiums[i], ) = _pricePolicy(
+        _policyTerms(assetId, triggerPrices[i], 0, 0, lower),
+        payouts[i],
+        expirations[i],
+        pendingExposure
+      );
+      pendingExposure += payouts[i];
+    }
+  }
+}
@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {IPolicyPool} from "@ensuro/core/contracts/interfaces/IPolicyPool.sol";
+import {IPremiumsAccount} from "@ensuro/core/contracts/interfaces/IPremiumsAccount.sol";
+import {EIP712Upgradeable} from "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import {PriceRiskModuleBase} from "./PriceRiskModuleBase.sol";
+
+/**
+ * @title PriceRiskModuleEIP712
+ * @dev EIP-712 domain of the quotes signed by the pricers (see `PriceRiskModuleCreation.newPolicyWithQuote(...)`),
+ *      inherited by all the contracts of the PriceRiskModule. EIP712Upgradeable is inherited after
+ *      PriceRiskModuleBase, so its storage goes after the `__gap` of the base, keeping the layout of the modules
+ *      deployed before the quotes.
+ *
+ *      The name and the version of the domain are constants, so the domain doesn't need to be initialized (neither
+ *      on new deployments nor on upgrades) and the storage of EIP712Upgradeable is never written.
+ * @custom:security-contact security@ensuro.co
+ * @author Ensuro
+ */
+abstract contract PriceRiskModuleEIP712 is PriceRiskModuleBase, EIP712Upgradeable {
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor(
+    IPolicyPool policyPool_,
+    IPremiumsAccount premiumsAccount_,
+    uint256 slotSize_,
+    PriceRiskModuleBase extension_
+  ) PriceRiskModuleBase(policyPool_, premiumsAccount_, slotSize_, extension_) {} // solhint-disable-line no-empty-blocks
+
+  /**
+   * @dev EIP-712 digest that the pricer signs to produce a valid quote
+   */
+  function _quoteDigest(Quote calldata quote) internal view returns (bytes32) {
+    return _hashTypedDataV4(keccak256(abi.encode(QUOTE_TYPEHASH, quote)));
+  }
+
+  // solhint-disable-next-line func-name-mixedcase
+  function _EIP712Name() internal pure override returns (string memory) {
+    return "PriceRiskModule";
+  }
+
+  // solhint-disable-next-line func-name-mixedcase
+  function _EIP712Version() internal pure override returns (string memory) {
+    return "1";
+  }
+
+  /**
+   * @dev This empty reserved space is put in place to allow future versions to add new
+   * variables without shifting down storage in the inheritance chain. With the 52 slots of EIP712Upgradeable, it
+   * keeps the storage aligned to 50 slots.
+   * See https://docs.openzeppelin.com/contracts/4.x/upgradeable#storage_gaps
+   */
+  uint256[48] private __gap;
+}
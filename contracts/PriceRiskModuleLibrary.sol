@@ -0,0 +1,410 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {WadRayMath} from "@ensuro/core/contracts/dependencies/WadRayMath.sol";
+import {IPriceRiskModule} from "./interfaces/IPriceRiskModule.sol";
+
+/**
+ * @title PriceRiskModuleLibrary
+ * @dev Evaluation and validation of the CDF tables of the PriceRiskModule, deployed as a linked library of the
+ *      {PriceRiskModulePricing} and the {PriceRiskModuleConfig} to keep them below the contract size limit. The
+ *      tables and their configuration are passed as storage references, so the functions read the storage of the
+ *      module (delegatecall).
+ * @custom:security-contact security@ensuro.co
+ * @author Ensuro
+ */
+library PriceRiskModuleLibrary {
+  using WadRayMath for uint256;
+
+  uint8 internal constant PRICE_SLOTS = 30;
+
+  // Freshness of a CDF table. The table is stale (policies can't be priced with it) if validity != 0 and
+  // block.timestamp > updatedAt + validity.
+  struct CDFValidity {
+    uint40 updatedAt; // Timestamp of the last `setCDF` of the table
+    uint32 validity; // Seconds the table is valid after it's updated, zero if it never gets stale
+  }
+
+  // Configuration of the CDF tables of an asset
+  struct CDFConfig {
+    // lower => sorted durations (in hours, absolute value) of the CDFs set with lossProb != 0, used to find the
+    // adjacent durations in the interpolated pricing mode
+    mapping(bool => uint40[]) durations;
+    // duration => price jump (in wad) where each slot of the CDF starts. If not set (all zeros), the slots are
+    // uniform, of the slotSize of the asset.
+    mapping(int40 => uint64[PRICE_SLOTS]) slotBoundaries;
+    // duration => freshness of the CDF table
+    mapping(int40 => CDFValidity) validity;
+  }
+
+  // Reference to the CDFs used to price a policy. The pricing is interpolated between the CDFs of duration0 and
+  // duration1, where weight (in wad) is the weight of duration1.
+  struct CDFRef {
+    int40 duration0;
+    int40 duration1;
+    uint256 weight;
+    bool interpolated; // True in the interpolated pricing mode
+    uint64[PRICE_SLOTS] boundaries0; // Slot boundaries of the CDF of duration0
+    uint64[PRICE_SLOTS] boundaries1; // Slot boundaries of the CDF of duration1 (only if weight != 0)
+  }
+
+  // Errors of the validation of the shape of the CDFs, where slot is the index of the offending element of the table
+  error CDFLossProbOutOfRange(int40 duration, uint256 slot);
+  error CDFLossProbIncreasing(int40 duration, uint256 slot);
+  error CDFLossProbInconsistentWithDuration(int40 duration, int40 neighbourDuration, uint256 slot);
+
+  /**
+   * @dev Computes the pricing of a policy. If floorPrice == 0, it's the pricing of the slot of the trigger price.
+   *      Otherwise, the lossProb is computed integrating (trapezoidal rule) the CDF between the trigger slot and the
+   *      floor slot, and the collateralization ratios are the ones of the trigger slot.
+   * @param tables The CDF tables of the asset (duration => cdf)
+   * @param config The configuration of the CDF tables of the asset
+   * @param interpolated True in the interpolated pricing mode, false in the nearest one
+   * @param slotSize Size of the uniform slots of the asset (in wad)
+   * @return price The pricing, with lossProb == 0 if the policy isn't supported
+   * @return stale True if any of the tables used to price the policy is stale
+   */
+  function computeLossProb(
+    mapping(int40 => IPriceRiskModule.SlotPricing[PRICE_SLOTS]) storage tables,
+    CDFConfig storage config,
+    bool interpolated,
+    uint256 slotSize,
+    uint256 currentPrice,
+    uint256 triggerPrice,
+    uint256 floorPrice,
+    uint40 duration
+  ) external view returns (IPriceRiskModule.SlotPricing memory price, bool stale) {
+    CDFRef memory cdf = cdfRef(config, interpolated, slotSize, currentPrice > triggerPrice, duration);
+    stale = isStale(config, cdf.duration0) || (cdf.weight != 0 && isStale(config, cdf.duration1));
+
+    uint256 triggerJump = _snapJump(cdf, _priceJump(currentPrice, triggerPrice));
+    price = _pricingAt(tables, cdf, triggerJump);
+    if (floorPrice == 0 || price.lossProb == 0) return (price, stale);
+
+    uint256 floorJump = _snapJump(cdf, _priceJump(currentPrice, floorPrice));
+    if (floorJump == triggerJump) return (price, stale);
+    price.lossProb = _averageLossProb(tables, cdf, triggerJump, floorJump, price.lossProb);
+  }
+
+  /**
+   * @dev Validates and stores a CDF table with its slot boundaries, updating the populated durations and the
+   *      timestamp of the last update of the table
+   * @param tables The CDF tables of the asset (duration => cdf)
+   * @param config The configuration of the CDF tables of the asset
+   * @param slotSize Size of the uniform slots of the asset (in wad)
+   * @param boundaries_ The price jump (in wad) where each slot starts, or all zeros for uniform slots
+   * @param validateShape If true, the shape of the table is validated, see `_validateCDFShape(...)`
+   */
+  function setCDF(
+    mapping(int40 => IPriceRiskModule.SlotPricing[PRICE_SLOTS]) storage tables,
+    CDFConfig storage config,
+    uint256 slotSize,
+    int40 duration,
+    IPriceRiskModule.SlotPricing[PRICE_SLOTS] calldata cdf,
+    uint64[PRICE_SLOTS] memory boundaries_,
+    bool validateShape
+  ) external {
+    require(duration != 0, "|duration| < 1");
+    for (uint256 i = 1; i < PRICE_SLOTS; i++) {
+      require(
+        boundaries_[0] == 0 && (boundaries_[1] == 0 ? boundaries_[i] == 0 : boundaries_[i] > boundaries_[i - 1]),
+        "Validation: invalid slot boundaries"
+      );
+    }
+    config.slotBoundaries[duration] = boundaries_;
+    config.validity[duration].updatedAt = uint40(block.timestamp);
+    if (validateShape) _validateCDFShape(tables, config, slotSize, duration, cdf);
+    IPriceRiskModule.SlotPricing[PRICE_SLOTS] storage table = tables[duration];
+    bool populated;
+    for (uint256 i = 0; i < PRICE_SLOTS; i++) {
+      require(
+        cdf[i].lossProb == 0 ||
+          (cdf[i].jrCollRatio <= WadRayMath.WAD &&
+            cdf[i].collRatio <= WadRayMath.WAD &&
+            cdf[i].jrCollRatio <= cdf[i].collRatio),
+        "Validation: invalid collateralization ratios"
+      );
+      table[i] = cdf[i];
+      populated = populated || cdf[i].lossProb != 0;
+    }
+    _updateCDFDurations(config, duration, populated);
+  }
+
+  /**
+   * @dev Returns the CDFs to use for a given duration. In the nearest mode (or if the duration is outside of the
+   *      range of populated durations) it's the CDF of the duration rounded to the nearest hour. In the interpolated
+   *      mode, they are the closest populated durations below and above the duration.
+   */
+  function cdfRef(
+    CDFConfig storage config,
+    bool interpolated,
+    uint256 slotSize,
+    bool lower,
+    uint40 duration
+  ) internal view returns (CDFRef memory ref) {
+    int40 sign = lower ? int40(1) : int40(-1);
+    ref.interpolated = interpolated;
+    ref.duration0 = ref.duration1 = int40(uint40(_round(duration, 3600))) * sign;
+    if (interpolated) {
+      uint40[] storage durations = config.durations[lower];
+      uint256 i = lowerBound(durations, duration);
+      if (i != 0 && i != durations.length && uint256(durations[i]) * 3600 != duration) {
+        uint256 lowerHours = durations[i - 1];
+        uint256 upperHours = durations[i];
+        ref.duration0 = int40(uint40(lowerHours)) * sign;
+        ref.duration1 = int40(uint40(upperHours)) * sign;
+        ref.weight = (duration - lowerHours * 3600).wadDiv((upperHours - lowerHours) * 3600);
+      }
+    }
+    ref.boundaries0 = boundaries(config, slotSize, ref.duration0);
+    if (ref.weight != 0) ref.boundaries1 = boundaries(config, slotSize, ref.duration1);
+  }
+
+  /**
+   * @dev Sets the validity of the CDF table of a duration. The tables set before the freshness was tracked (updatedAt
+   *      = 0) start their validity period now, otherwise they would be stale as soon as the validity is set.
+   */
+  function setValidity(CDFConfig storage config, int40 duration, uint32 validity_) external {
+    CDFValidity storage validity = config.validity[duration];
+    validity.validity = validity_;
+    if (validity.updatedAt == 0) validity.updatedAt = uint40(block.timestamp);
+  }
+
+  /**
+   * @dev Returns true if the table of the duration has a validity and it wasn't updated within it. updatedAt is never
+   *      zero once the validity is set (see `setValidity`), so the legacy tables get a full validity period.
+   */
+  function isStale(CDFConfig storage config, int40 duration) internal view returns (bool) {
+    CDFValidity storage validity = config.validity[duration];
+    return validity.validity != 0 && block.timestamp > uint256(validity.updatedAt) + validity.validity;
+  }
+
+  /**
+   * @dev Returns the index of the first element of `durations` that is >= duration (in seconds)
+   */
+  function lowerBound(uint40[] storage durations, uint256 duration) internal view returns (uint256 low) {
+    uint256 high = durations.length;
+    while (low < high) {
+      uint256 mid = (low + high) / 2;
+      if (uint256(durations[mid]) * 3600 < duration) low = mid + 1;
+      else high = mid;
+    }
+  }
+
+  /**
+   * @dev Returns the slot boundaries of a CDF. If custom boundaries weren't set with the CDF, they are uniform:
+   *      boundaries[i] = i * slotSize
+   */
+  function boundaries(
+    CDFConfig storage config,
+    uint256 slotSize,
+    int40 duration
+  ) internal view returns (uint64[PRICE_SLOTS] memory ret) {
+    ret = config.slotBoundaries[duration];
+    if (ret[1] != 0) return ret;
+    for (uint256 i = 1; i < PRICE_SLOTS; i++) {
+      ret[i] = ret[i - 1] + uint64(slotSize);
+    }
+  }
+
+  /**
+   * @dev Returns the last slot whose boundary is <= jump (binary search)
+   */
+  function slotOf(uint64[PRICE_SLOTS] memory boundaries_, uint256 jump) internal pure returns (uint256 low) {
+    uint256 high = PRICE_SLOTS - 1;
+    while (low < high) {
+      uint256 mid = (low + high + 1) / 2;
+      if (boundaries_[mid] <= jump) low = mid;
+      else high = mid - 1;
+    }
+  }
+
+  /**
+   * @dev Linear interpolation between a and b, where weight (in wad) is the weight of `b`
+   */
+  function lerp(uint64 a, uint64 b, uint256 weight) internal pure returns (uint64) {
+    return uint64((a * (WadRayMath.WAD - weight) + b * weight) / WadRayMath.WAD);
+  }
+
+  /**
+   * @dev Validates the shape of a CDF: the lossProb is within [0, 1], non-increasing across the slots and, at the
+   *      boundary of each slot, between the lossProbs of the closest shorter and longer populated durations (in the
+   *      same direction). The slots with lossProb == 0 aren't supported, so they are skipped.
+   */
+  function _validateCDFShape(
+    mapping(int40 => IPriceRiskModule.SlotPricing[PRICE_SLOTS]) storage tables,
+    CDFConfig storage config,
+    uint256 slotSize,
+    int40 duration,
+    IPriceRiskModule.SlotPricing[PRICE_SLOTS] calldata cdf
+  ) private view {
+    uint256 previous = type(uint256).max;
+    for (uint256 i = 0; i < PRICE_SLOTS; i++) {
+      uint256 lossProb = cdf[i].lossProb;
+      if (lossProb == 0) continue;
+      if (lossProb > WadRayMath.WAD) revert CDFLossProbOutOfRange(duration, i);
+      if (lossProb > previous) revert CDFLossProbIncreasing(duration, i);
+      previous = lossProb;
+    }
+    uint40 hours_ = uint40(duration < 0 ? -duration : duration);
+    int40 sign = duration < 0 ? int40(-1) : int40(1);
+    uint40[] storage durations = config.durations[duration > 0];
+    uint64[PRICE_SLOTS] memory boundaries_ = boundaries(config, slotSize, duration);
+    uint256 pos = lowerBound(durations, uint256(hours_) * 3600);
+    if (pos != 0) {
+      _validateNeighbourCDF(tables, config, slotSize, boundaries_, duration, int40(durations[pos - 1]) * sign, cdf);
+    }
+    if (pos < durations.length && durations[pos] == hours_) pos++;
+    if (pos < durations.length) {
+      _validateNeighbourCDF(tables, config, slotSize, boundaries_, duration, int40(durations[pos]) * sign, cdf);
+    }
+  }
+
+  function _validateNeighbourCDF(
+    mapping(int40 => IPriceRiskModule.SlotPricing[PRICE_SLOTS]) storage tables,
+    CDFConfig storage config,
+    uint256 slotSize,
+    uint64[PRICE_SLOTS] memory boundaries_,
+    int40 duration,
+    int40 neighbour,
+    IPriceRiskModule.SlotPricing[PRICE_SLOTS] calldata cdf
+  ) private view {
+    bool shorter = (neighbour < 0 ? -neighbour : neighbour) < (duration < 0 ? -duration : duration);
+    uint64[PRICE_SLOTS] memory neighbourBoundaries = boundaries(config, slotSize, neighbour);
+    IPriceRiskModule.SlotPricing[PRICE_SLOTS] storage table = tables[neighbour];
+    for (uint256 i = 0; i < PRICE_SLOTS; i++) {
+      uint256 lossProb = cdf[i].lossProb;
+      uint256 other = table[slotOf(neighbourBoundaries, boundaries_[i])].lossProb;
+      if (lossProb == 0 || other == 0) continue;
+      if (shorter ? lossProb < other : lossProb > other) {
+        revert CDFLossProbInconsistentWithDuration(duration, neighbour, i);
+      }
+    }
+  }
+
+  /**
+   * @dev Keeps the sorted list of populated durations used in the interpolated pricing mode
+   */
+  function _updateCDFDurations(CDFConfig storage config, int40 duration, bool populated) private {
+    uint40 hours_ = uint40(duration < 0 ? -duration : duration);
+    uint40[] storage durations = config.durations[duration > 0];
+    uint256 i = lowerBound(durations, uint256(hours_) * 3600);
+    bool found = i < durations.length && durations[i] == hours_;
+    if (populated && !found) {
+      durations.push();
+      for (uint256 j = durations.length - 1; j > i; j--) {
+        durations[j] = durations[j - 1];
+      }
+      durations[i] = hours_;
+    } else if (!populated && found) {
+      for (uint256 j = i + 1; j < durations.length; j++) {
+        durations[j - 1] = durations[j];
+      }
+      durations.pop();
+    }
+  }
+
+  /**
+   * @dev Average of the lossProb between two price jumps (in wad), sampling the CDF at the slot boundaries in between
+   */
+  function _averageLossProb(
+    mapping(int40 => IPriceRiskModule.SlotPricing[PRICE_SLOTS]) storage tables,
+    CDFRef memory cdf,
+    uint256 fromJump,
+    uint256 toJump,
+    uint256 fromLossProb
+  ) private view returns (uint64) {
+    uint256 area;
+    uint256 jump = fromJump;
+    uint256 lossProb = fromLossProb;
+    while (jump < toJump) {
+      uint256 nextJump = Math.min(_nextBoundary(cdf.boundaries0, jump), toJump);
+      if (cdf.weight != 0) nextJump = Math.min(_nextBoundary(cdf.boundaries1, jump), nextJump);
+      uint256 nextLossProb = _pricingAt(tables, cdf, nextJump).lossProb;
+      area += (lossProb + nextLossProb) * (nextJump - jump);
+      (jump, lossProb) = (nextJump, nextLossProb);
+    }
+    return uint64(area / (2 * (toJump - fromJump)));
+  }
+
+  /**
+   * @dev Returns the first boundary > jump, or type(uint256).max if jump is beyond the last boundary
+   */
+  function _nextBoundary(uint64[PRICE_SLOTS] memory boundaries_, uint256 jump) private pure returns (uint256) {
+    uint256 slot = slotOf(boundaries_, jump);
+    return slot == PRICE_SLOTS - 1 ? type(uint256).max : boundaries_[slot + 1];
+  }
+
+  /**
+   * @dev Returns the pricing at a given price jump (in wad), interpolating between adjacent slots and durations
+   */
+  function _pricingAt(
+    mapping(int40 => IPriceRiskModule.SlotPricing[PRICE_SLOTS]) storage tables,
+    CDFRef memory cdf,
+    uint256 jump
+  ) private view returns (IPriceRiskModule.SlotPricing memory price) {
+    price = _tablePricingAt(tables[cdf.duration0], cdf.boundaries0, jump);
+    if (cdf.weight != 0) {
+      price = _interpolate(price, _tablePricingAt(tables[cdf.duration1], cdf.boundaries1, jump), cdf.weight);
+    }
+  }
+
+  function _tablePricingAt(
+    IPriceRiskModule.SlotPricing[PRICE_SLOTS] storage pdf,
+    uint64[PRICE_SLOTS] memory boundaries_,
+    uint256 jump
+  ) private view returns (IPriceRiskModule.SlotPricing memory) {
+    uint256 slot = slotOf(boundaries_, jump);
+    if (slot == PRICE_SLOTS - 1 || jump == boundaries_[slot]) return pdf[slot];
+    uint256 fraction = (jump - boundaries_[slot]).wadDiv(boundaries_[slot + 1] - boundaries_[slot]);
+    return _interpolate(pdf[slot], pdf[slot + 1], fraction);
+  }
+
+  /**
+   * @dev Linear interpolation between two pricings, where weight (in wad) is the weight of `b`. If any of them isn't
+   *      supported (lossProb == 0), the result isn't supported either.
+   */
+  function _interpolate(
+    IPriceRiskModule.SlotPricing memory a,
+    IPriceRiskModule.SlotPricing memory b,
+    uint256 weight
+  ) private pure returns (IPriceRiskModule.SlotPricing memory) {
+    if (a.lossProb == 0 || b.lossProb == 0) return IPriceRiskModule.SlotPricing(0, 0, 0);
+    return
+      IPriceRiskModule.SlotPricing(
+        lerp(a.lossProb, b.lossProb, weight),
+        lerp(a.jrCollRatio, b.jrCollRatio, weight),
+        lerp(a.collRatio, b.collRatio, weight)
+      );
+  }
+
+  function _round(uint256 number, uint256 denominator) private pure returns (uint256) {
+    return (number + denominator / 2) / denominator;
+  }
+
+  /**
+   * @dev Returns the price jump (in wad) between the current price and a given price:
+   *      1 - price / currentPrice if price < currentPrice, price / currentPrice - 1 otherwise
+   */
+  function _priceJump(uint256 currentPrice, uint256 price) private pure returns (uint256) {
+    uint256 priceJump = price.wadDiv(currentPrice);
+    return currentPrice > price ? WadRayMath.WAD - priceJump : priceJump - WadRayMath.WAD;
+  }
+
+  /**
+   * @dev Limits the price jump to the last slot of the CDF and, in the nearest mode, rounds it to the nearest slot
+   *      boundary
+   */
+  function _snapJump(CDFRef memory cdf, uint256 jump) private pure returns (uint256) {
+    uint64[PRICE_SLOTS] memory boundaries_ = cdf.boundaries0;
+    uint256 slot = slotOf(boundaries_, jump);
+    if (slot == PRICE_SLOTS - 1) return boundaries_[slot];
+    if (cdf.interpolated) return jump;
+    // Symmetric rounding, like `_round(...)`
+    return
+      2 * (jump - boundaries_[slot]) >= boundaries_[slot + 1] - boundaries_[slot]
+        ? boundaries_[slot + 1]
+        : boundaries_[slot];
+  }
+}
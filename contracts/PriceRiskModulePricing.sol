@@ -0,0 +1,476 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {IPolicyPool} from "@ensuro/core/contracts/interfaces/IPolicyPool.sol";
+import {IPremiumsAccount} from "@ensuro/core/contracts/interfaces/IPremiumsAccount.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {WadRayMath} from "@ensuro/core/contracts/dependencies/WadRayMath.sol";
+import {IPriceRiskModule} from "./interfaces/IPriceRiskModule.sol";
+import {PriceRiskModuleEIP712} from "./PriceRiskModuleEIP712.sol";
+import {PriceRiskModuleResolution} from "./PriceRiskModuleResolution.sol";
+import {PriceRiskModuleLibrary} from "./PriceRiskModuleLibrary.sol";
+import {PricePolicyLibrary} from "./PricePolicyLibrary.sol";
+
+/**
+ * @title PriceRiskModulePricing
+ * @dev Pricing of the policies of the PriceRiskModule (including the quotes signed by the pricers and the refunds of
+ *      the cancellations). The functions of this contract run with the storage of the module and must be called
+ *      through the PriceRiskModule proxy, see {PriceRiskModuleBase}.
+ * @custom:security-contact security@ensuro.co
+ * @author Ensuro
+ */
+contract PriceRiskModulePricing is PriceRiskModuleEIP712 {
+  using WadRayMath for uint256;
+
+  /**
+   * @param policyPool_ The policyPool
+   * @param premiumsAccount_ The premiums account of the module
+   * @param slotSize_ Size of each percentage slot in the pdf function (in wad)
+   * @param resolution_ The PriceRiskModuleResolution, constructed with the same policyPool, premiumsAccount and
+   *                    slotSize
+   */
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor(
+    IPolicyPool policyPool_,
+    IPremiumsAccount premiumsAccount_,
+    uint256 slotSize_,
+    PriceRiskModuleResolution resolution_
+  ) PriceRiskModuleEIP712(policyPool_, premiumsAccount_, slotSize_, resolution_) {}
+
+  /**
+   * @dev Computes the premium and the pricing of a policy of any kind, as charged by the `new*Policy` methods of the
+   *      PriceRiskModule (that calls this function, since the pricing logic lives in this contract)
+   *
+   * Requirements:
+   * - The oracle of the asset is functional and the price isn't already at trigger value
+   * - expiration - block.timestamp >= minDuration(assetId)
+   * - The CDF tables used to price the policy aren't stale
+   *
+   * @param assetId The id of the asset whose price triggers the policy (0 = default asset)
+   * @param triggerPrice The price at which the policy triggers (the lower one, for corridor policies)
+   * @param floorPrice The price of the full payout for linear payout policies, zero otherwise
+   * @param upperTriggerPrice The upper trigger price for corridor policies, zero otherwise
+   * @param lower If true -> triggers if the price is lower, If false -> triggers if the price is higher
+   * @param payout Expressed in policyPool.currency()
+   * @param expiration Expiration of the policy
+   * @param pendingExposure Payout of the policies that will be created before this one (in the same transaction),
+   *                        that must be added to the active exposure to compute the utilization
+   * @return premium Premium that needs to be paid, zero if the policy isn't supported
+   * @return price SlotPricing struct with the loss probability and the collateralization levels
+   */
+  function pricePolicyTerms(
+    uint16 assetId,
+    uint256 triggerPrice,
+    uint256 floorPrice,
+    uint256 upperTriggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    uint256 pendingExposure
+  ) external view returns (uint256 premium, IPriceRiskModule.SlotPricing memory price) {
+    return
+      _pricePolicy(
+        _policyTerms(assetId, triggerPrice, floorPrice, upperTriggerPrice, lower),
+        payout,
+        expiration,
+        pendingExposure
+      );
+  }
+
+  /**
+   * @dev Returns the multiplier (in wad) applied to the lossProb of a new policy, according to the markup curve and
+   *      the utilization of the module after adding the policy: (activeExposure() + payout) / exposureLimit().
+   *      Between the points of the curve the markup is interpolated linearly, and outside of them it's the markup of
+   *      the nearest point. Without a curve, the markup is 1 (no markup).
+   * @param payout The payout of the new policy
+   */
+  function utilizationMarkup(uint256 payout) public view returns (uint256) {
+    uint256 length = _markupCurve.length;
+    if (length == 0) return WadRayMath.WAD;
+    uint256 limit = exposureLimit();
+    uint256 utilization = limit == 0 ? WadRayMath.WAD : (activeExposure() + payout).wadDiv(limit);
+    if (utilization <= _markupCurve[0].utilization) return _markupCurve[0].markup;
+    for (uint256 i = 1; i < length; i++) {
+      MarkupPoint memory upper = _markupCurve[i];
+      if (utilization > upper.utilization) continue;
+      MarkupPoint memory lower = _markupCurve[i - 1];
+      return
+        PriceRiskModuleLibrary.lerp(
+          lower.markup,
+          upper.markup,
+          (utilization - lower.utilization).wadDiv(upper.utilization - lower.utilization)
+        );
+    }
+    return _markupCurve[length - 1].markup;
+  }
+
+  /**
+   * @dev Calculates the premium and lossProb of a policy with linear payout. The lossProb is the integral of the
+   *      CDF between the trigger price and the floor price, divided by the length of that range: the expected
+   *      fraction of the payout at the furthest price reached during the coverage, the most that the owner (the only
+   *      one that can trigger the policy) can get.
+   * @param triggerPrice The price at which the policy starts paying, in Wad, with the same reference as
+   *                     oracle().getCurrentPrice()
+   * @param floorPrice The price at which the policy pays the full payout
+   * @param lower If true -> triggers if the price is lower, If false -> triggers if the price is higher
+   * @param payout Maximum payout, expressed in policyPool.currency()
+   * @param expiration Expiration of the policy
+   * @return premium Premium that needs to be paid
+   * @return price SlotPricing struct with the expected fraction of the payout that will be paid and the
+   *               collateralization levels of the trigger price slot
+   */
+  function priceLinearPolicy(
+    uint256 triggerPrice,
+    uint256 floorPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration
+  ) external view returns (uint256 premium, IPriceRiskModule.SlotPricing memory price) {
+    return priceLinearPolicy(0, triggerPrice, floorPrice, lower, payout, expiration);
+  }
+
+  /**
+   * @dev Calculates the premium and lossProb of a policy with linear payout on one of the assets of the registry,
+   *      see `priceLinearPolicy(triggerPrice, floorPrice, lower, payout, expiration)`
+   * @param assetId The id of the asset, as registered with `addAsset(...)` (0 = default asset)
+   */
+  function priceLinearPolicy(
+    uint16 assetId,
+    uint256 triggerPrice,
+    uint256 floorPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration
+  ) public view returns (uint256 premium, IPriceRiskModule.SlotPricing memory price) {
+    _validateFloorPrice(triggerPrice, floorPrice, lower);
+    return _pricePolicy(_policyTerms(assetId, triggerPrice, floorPrice, 0, lower), payout, expiration, 0);
+  }
+
+  /**
+   * @dev Calculates the premium and lossProb of a corridor policy, using the CDFs of both directions
+   * @param lowerPrice The policy triggers if the price is lower or equal than this price
+   * @param upperPrice The policy triggers if the price is higher or equal than this price
+   * @param payout Expressed in policyPool.currency()
+   * @param expiration Expiration of the policy
+   * @return premium Premium that needs to be paid
+   * @return price SlotPricing struct with the sum of the loss probabilities of both sides and the maximum of the
+   *               collateralization levels
+   */
+  function priceCorridorPolicy(
+    uint256 lowerPrice,
+    uint256 upperPrice,
+    uint256 payout,
+    uint40 expiration
+  ) external view returns (uint256 premium, IPriceRiskModule.SlotPricing memory price) {
+    return priceCorridorPolicy(0, lowerPrice, upperPrice, payout, expiration);
+  }
+
+  /**
+   * @dev Calculates the premium and lossProb of a corridor policy on one of the assets of the registry, see
+   *      `priceCorridorPolicy(lowerPrice, upperPrice, payout, expiration)`
+   * @param assetId The id of the asset, as registered with `addAsset(...)` (0 = default asset)
+   */
+  function priceCorridorPolicy(
+    uint16 assetId,
+    uint256 lowerPrice,
+    uint256 upperPrice,
+    uint256 payout,
+    uint40 expiration
+  ) public view returns (uint256 premium, IPriceRiskModule.SlotPricing memory price) {
+    _validateCorridor(lowerPrice, upperPrice);
+    return _pricePolicy(_policyTerms(assetId, lowerPrice, 0, upperPrice, true), payout, expiration, 0);
+  }
+
+  /**
+   * @dev Computes the premium and the pricing of a policy, applying the utilization markup to the lossProb.
+   * @param pendingExposure Payout of the policies that will be created before this one (in the same transaction),
+   *                        that must be added to the active exposure to compute the utilization
+   */
+  function _pricePolicy(
+    PolicyData memory policy,
+    uint256 payout,
+    uint40 expiration,
+    uint256 pendingExposure
+  ) internal view returns (uint256 premium, IPriceRiskModule.SlotPricing memory price) {
+    Asset memory asset = _asset(policy.assetId);
+    uint256 currentPrice = asset.oracle.getCurrentPrice();
+    require(
+      !PricePolicyLibrary.triggered(currentPrice, policy.triggerPrice, policy.upperTriggerPrice, policy.lower),
+      "Price already at trigger value"
+    );
+    uint40 duration = expiration - uint40(block.timestamp);
+    require(duration >= asset.minDuration, "The policy expires too soon");
+    bool stale;
+    (price, stale) = _computePricing(policy, currentPrice, duration);
+    require(!stale, "PriceRiskModule: stale CDF table");
+    return _applyMarkup(price, payout, duration, pendingExposure);
+  }
+
+  /**
+   * @dev Applies the utilization markup to the lossProb of a pricing and computes the premium. Returns zero premium
+   *      if the policy isn't supported.
+   */
+  function _applyMarkup(
+    IPriceRiskModule.SlotPricing memory price,
+    uint256 payout,
+    uint40 duration,
+    uint256 pendingExposure
+  ) internal view returns (uint256 premium, IPriceRiskModule.SlotPricing memory) {
+    if (price.lossProb == 0) return (0, price);
+    price.lossProb = uint64(
+      Math.min(uint256(price.lossProb).wadMul(utilizationMarkup(pendingExposure + payout)), WadRayMath.WAD)
+    );
+    premium = _minimumPremium(payout, price, uint40(block.timestamp) + duration);
+    return (premium, price);
+  }
+
+  /**
+   * @dev Prices a grid of policies of the default asset, with the trigger prices relative to the current price (as in
+   *      `newPolicyRelative(...)`) and the expirations relative to the current time. Instead of reverting, the cells
+   *      that can't be priced are returned with status != QuoteStatus.ok and zero premium.
+   *
+   * Requirements:
+   * - The oracle(s) are functional, returning non zero values and updated after (block.timestamp - oracleTolerance())
+   *
+   * @param jumps The changes from the current price to the trigger prices, in wad (0.1 = 10%)
+   * @param lower If true, the trigger prices are below the current price, if false, above
+   * @param durations The durations of the policies, in seconds
+   * @param payout Expressed in policyPool.currency()
+   * @return cells The quote of each combination, where cells[i][j] is the one of jumps[i] and durations[j]
+   */
+  function quoteMatrix(
+    uint256[] calldata jumps,
+    bool lower,
+    uint40[] calldata durations,
+    uint256 payout
+  ) external view returns (QuoteCell[][] memory cells) {
+    return quoteMatrix(0, jumps, lower, durations, payout);
+  }
+
+  /**
+   * @dev Prices a grid of policies of one of the assets of the registry, see
+   *      `quoteMatrix(jumps, lower, durations, payout)`
+   * @param assetId The id of the asset, as registered with `addAsset(...)` (0 = default asset)
+   */
+  function quoteMatrix(
+    uint16 assetId,
+    uint256[] calldata jumps,
+    bool lower,
+    uint40[] calldata durations,
+    uint256 payout
+  ) public view returns (QuoteCell[][] memory cells) {
+    Asset memory asset = _asset(assetId);
+    uint256 currentPrice = asset.oracle.getCurrentPrice();
+    PolicyData memory terms = _policyTerms(assetId, 0, 0, 0, lower);
+    cells = new QuoteCell[][](jumps.length);
+    for (uint256 i = 0; i < jumps.length; i++) {
+      cells[i] = new QuoteCell[](durations.length);
+      for (uint256 j = 0; j < durations.length; j++) {
+        cells[i][j] = _quoteCell(terms, asset.minDuration, currentPrice, jumps[i], durations[j], payout);
+      }
+    }
+  }
+
+  /**
+   * @dev Prices a cell of `quoteMatrix(...)`. The trigger price of `terms` is overwritten with the one of the cell.
+   */
+  function _quoteCell(
+    PolicyData memory terms,
+    uint40 minDuration_,
+    uint256 currentPrice,
+    uint256 jump,
+    uint40 duration,
+    uint256 payout
+  ) internal view returns (QuoteCell memory cell) {
+    bool lower = terms.lower;
+    if (jump == 0 || (lower && jump >= WadRayMath.WAD)) {
+      cell.status = QuoteStatus.invalidJump;
+      return cell;
+    }
+    cell.triggerPrice = _relativePrice(currentPrice, jump, lower);
+    if (PricePolicyLibrary.triggered(currentPrice, cell.triggerPrice, 0, lower)) {
+      cell.status = QuoteStatus.invalidJump;
+      return cell;
+    }
+    if (duration < minDuration_) {
+      cell.status = QuoteStatus.expiresTooSoon;
+      return cell;
+    }
+    terms.triggerPrice = cell.triggerPrice;
+    (IPriceRiskModule.SlotPricing memory pricing, bool stale) = _computePricing(terms, currentPrice, duration);
+    if (stale) {
+      cell.status = QuoteStatus.staleTable;
+      return cell;
+    }
+    (cell.premium, cell.pricing) = _applyMarkup(pricing, payout, duration, 0);
+    if (cell.premium == 0) cell.status = QuoteStatus.notSupported;
+  }
+
+  /**
+   * @dev Computes the pricing of any kind of policy. For corridor policies (upperTriggerPrice != 0), the lossProb is
+   *      the sum of the lossProbs of both sides and the collateralization ratios are the maximum of both sides,
+   *      because only one side can be paid. If any of the sides isn't supported, the policy isn't supported.
+   * @return price The pricing of the policy
+   * @return stale True if any of the CDF tables used to price the policy is stale
+   */
+  function _computePricing(
+    PolicyData memory policy,
+    uint256 currentPrice,
+    uint40 duration
+  ) internal view returns (IPriceRiskModule.SlotPricing memory price, bool stale) {
+    uint16 assetId = policy.assetId;
+    (price, stale) = _computeLossProb(assetId, currentPrice, policy.triggerPrice, policy.floorPrice, duration);
+    if (policy.upperTriggerPrice == 0) return (price, stale);
+    (IPriceRiskModule.SlotPricing memory upperPrice, bool upperStale) = _computeLossProb(
+      assetId,
+      currentPrice,
+      policy.upperTriggerPrice,
+      0,
+      duration
+    );
+    stale = stale || upperStale;
+    if (price.lossProb == 0 || upperPrice.lossProb == 0) return (IPriceRiskModule.SlotPricing(0, 0, 0), stale);
+    price.lossProb = uint64(Math.min(uint256(price.lossProb) + upperPrice.lossProb, WadRayMath.WAD));
+    price.jrCollRatio = uint64(Math.max(price.jrCollRatio, upperPrice.jrCollRatio));
+    price.collRatio = uint64(Math.max(price.collRatio, upperPrice.collRatio));
+  }
+
+  function _computeLossProb(
+    uint16 assetId,
+    uint256 currentPrice,
+    uint256 triggerPrice,
+    uint256 floorPrice,
+    uint40 duration
+  ) internal view returns (IPriceRiskModule.SlotPricing memory, bool) {
+    return
+      PriceRiskModuleLibrary.computeLossProb(
+        _cdfTables(assetId),
+        _cdfConfigs[assetId],
+        _pricingMode == PricingMode.interpolated,
+        _asset(assetId).slotSize,
+        currentPrice,
+        triggerPrice,
+        floorPrice,
+        duration
+      );
+  }
+
+  /**
+   * @dev Returns the amount that will be refunded if the policy is cancelled now. It's the minimum between the
+   *      pure premium prorated by the remaining duration and the pure premium of the remaining coverage, priced
+   *      with the current price and CDF.
+   * @param policyId The id of the policy (as returned by `newPolicy(...)`
+   */
+  function cancellationRefund(uint256 policyId) external view returns (uint256) {
+    PolicyData memory policy = _policies[policyId];
+    uint40 expiration = policy.ensuroPolicy.expiration;
+    require(expiration > block.timestamp, "The policy is expired");
+    uint256 currentPrice = _asset(policy.assetId).oracle.getCurrentPrice();
+    require(
+      !PricePolicyLibrary.triggered(currentPrice, policy.triggerPrice, policy.upperTriggerPrice, policy.lower),
+      "Price already at trigger value"
+    );
+    uint40 remaining = expiration - uint40(block.timestamp);
+    (IPriceRiskModule.SlotPricing memory price, ) = _computePricing(policy, currentPrice, remaining);
+    return
+      Math.min(
+        (policy.ensuroPolicy.purePremium * remaining) / (expiration - policy.ensuroPolicy.start),
+        policy.ensuroPolicy.payout.wadMul(uint256(price.lossProb).wadMul(params().moc))
+      );
+  }
+
+  function getMinimumPremiumForPricing(
+    uint256 payout,
+    IPriceRiskModule.SlotPricing memory pricing,
+    uint40 expiration
+  ) external view returns (uint256) {
+    return _minimumPremium(payout, pricing, expiration);
+  }
+
+  /**
+   * @dev Calculates the premium and lossProb of a policy
+   * @param triggerPrice The price at which the policy should trigger, in Wad, with the same reference as
+   *                     oracle().getCurrentPrice()
+   * @param lower If true -> triggers if the price is lower, If false -> triggers if the price is higher
+   * @param payout Expressed in policyPool.currency()
+   * @param expiration Expiration of the policy
+   * @return premium Premium that needs to be paid
+   * @return price SlotPricing struct with the loss probability of paying the maximum payout and collateralization
+   *               levels
+   */
+  function pricePolicy(
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration
+  ) external view returns (uint256 premium, IPriceRiskModule.SlotPricing memory price) {
+    return _pricePolicy(_policyTerms(0, triggerPrice, 0, 0, lower), payout, expiration, 0);
+  }
+
+  /**
+   * @dev Calculates the premium and lossProb of a policy on one of the assets of the registry
+   * @param assetId The id of the asset, as registered with `addAsset(...)`
+   * @param triggerPrice The price at which the policy should trigger, with the same reference as
+   *                     oracle(assetId).getCurrentPrice()
+   * @param lower If true -> triggers if the price is lower, If false -> triggers if the price is higher
+   * @param payout Expressed in policyPool.currency()
+   * @param expiration Expiration of the policy
+   * @return premium Premium that needs to be paid
+   * @return price SlotPricing struct with the loss probability of paying the maximum payout and collateralization
+   *               levels
+   */
+  function pricePolicy(
+    uint16 assetId,
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration
+  ) external view returns (uint256 premium, IPriceRiskModule.SlotPricing memory price) {
+    return _pricePolicy(_policyTerms(assetId, triggerPrice, 0, 0, lower), payout, expiration, 0);
+  }
+
+  /**
+   * @dev Validates a quote signed by a pricer and returns the premium charged by `newPolicyWithQuote(...)` for it
+   *
+   * Requirements:
+   * - The quote was signed (EIP-712, see `quoteDomainSeparator()` and `QUOTE_TYPEHASH`) by an address with
+   *   PRICER_ROLE on this module
+   * - block.timestamp <= quote.validUntil
+   * - The nonce of the quote wasn't used before
+   * - quote.lossProb <= 1 and quote.jrCollRatio <= quote.collRatio <= 1 (in wad)
+   * - The oracle of quote.assetId is functional and the price isn't already at trigger value
+   * - quote.expiration > block.timestamp and quote.expiration - block.timestamp >= minDuration(quote.assetId)
+   *
+   * The payer and the owner of the policy (quote.payer and quote.onBehalfOf) are checked by `newPolicyWithQuote`.
+   *
+   * @param quote The terms and the pricing of the policy, as signed by the pricer
+   * @param signature The signature of the quote
+   */
+  function priceQuote(Quote calldata quote, bytes calldata signature) external view returns (uint256) {
+    require(block.timestamp <= quote.validUntil, "Quote expired");
+    require(!_usedQuoteNonces[quote.nonce], "Quote already used");
+    address signer = ECDSA.recover(_quoteDigest(quote), signature);
+    require(
+      _policyPool.access().hasComponentRole(address(this), PRICER_ROLE, signer, false),
+      "Quote not signed by a pricer"
+    );
+    require(
+      quote.lossProb <= WadRayMath.WAD && quote.jrCollRatio <= quote.collRatio && quote.collRatio <= WadRayMath.WAD,
+      "Quote with invalid lossProb or collateralization ratios"
+    );
+    Asset memory asset = _asset(quote.assetId);
+    require(
+      !PricePolicyLibrary.triggered(asset.oracle.getCurrentPrice(), quote.triggerPrice, 0, quote.lower),
+      "Price already at trigger value"
+    );
+    require(quote.expiration > block.timestamp, "Quote with expiration in the past");
+    require(quote.expiration - uint40(block.timestamp) >= asset.minDuration, "The policy expires too soon");
+    return
+      _minimumPremium(
+        quote.payout,
+        IPriceRiskModule.SlotPricing(quote.lossProb, quote.jrCollRatio, quote.collRatio),
+        quote.expiration
+      );
+  }
+}
@@ -0,0 +1,364 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {IPolicyPool} from "@ensuro/core/contracts/interfaces/IPolicyPool.sol";
+import {IPremiumsAccount} from "@ensuro/core/contracts/interfaces/IPremiumsAccount.sol";
+import {IERC721} from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {IHistoricalPriceOracle} from "./interfaces/IHistoricalPriceOracle.sol";
+import {PriceRiskModuleEIP712} from "./PriceRiskModuleEIP712.sol";
+import {PriceRiskModuleConfig} from "./PriceRiskModuleConfig.sol";
+import {PriceRiskModulePricing} from "./PriceRiskModulePricing.sol";
+import {PricePolicyLibrary} from "./PricePolicyLibrary.sol";
+
+/**
+ * @title PriceRiskModuleResolution
+ * @dev Resolution of the policies of the PriceRiskModule: trigger (with the keeper rewards, the confirmation window
+ *      of the breaches and the concentration limits), expiration and cancellation. The functions of this contract
+ *      run with the storage of the module and must be called through the PriceRiskModule proxy, see
+ *      {PriceRiskModuleBase}.
+ * @custom:security-contact security@ensuro.co
+ * @author Ensuro
+ */
+contract PriceRiskModuleResolution is PriceRiskModuleEIP712 {
+  using SafeERC20 for IERC20Metadata;
+
+  /**
+   * @param policyPool_ The policyPool
+   * @param premiumsAccount_ The premiums account of the module
+   * @param slotSize_ Size of each percentage slot in the pdf function (in wad)
+   * @param config_ The PriceRiskModuleConfig, constructed with the same policyPool, premiumsAccount and slotSize
+   */
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor(
+    IPolicyPool policyPool_,
+    IPremiumsAccount premiumsAccount_,
+    uint256 slotSize_,
+    PriceRiskModuleConfig config_
+  ) PriceRiskModuleEIP712(policyPool_, premiumsAccount_, slotSize_, config_) {}
+
+  /**
+   * @dev Triggers the payout of the policy (if conditions are met)
+   *
+   * If a confirmation window is set (see `setConfirmationWindow(...)`), the first call with the price past the
+   * trigger price only records the start of the breach, and the policy is paid by a call made after the window
+   * if the price is still past the trigger price. If the price went back before that, the call clears the breach.
+   * The confirming call must be made within `confirmationWindow()` seconds after the window, otherwise the breach is
+   * recorded again (starting a new window), so two separated spikes can't confirm a breach.
+   *
+   * Requirements:
+   * - Policy was created more than `minDuration()` seconds ago
+   * - The caller is the owner of the policy, for linear payout policies (see `newLinearPolicy(...)`)
+   * - The oracle(s) are functional, returning non zero values and updated after (block.timestamp - oracleTolerance())
+   * - getCurrentPrice() <= policy.triggerPrice if policy.lower
+   * - getCurrentPrice() >= policy.triggerPrice if not policy.lower
+   * - getCurrentPrice() != policy.triggerPrice for linear payout policies (the payout would be zero)
+   * - getCurrentPrice() <= policy.triggerPrice or >= policy.upperTriggerPrice for corridor policies
+   * - If a breach was recorded, between `confirmationWindow()` and `2 * confirmationWindow()` seconds have passed
+   *   since it started
+   *
+   * Events:
+   * - Emits {BreachStarted} or {BreachCleared} if the call records or clears a breach, without paying the policy
+   * - Emits {PolicyTriggered} with the observed price, when the policy is paid
+   * - Emits {KeeperRewardPaid} if a keeper reward is configured (see `setKeeperReward(...)`) and paid to the caller,
+   *   or {KeeperRewardNotPaid} if the keeper rewards escrow can't pay it
+   *
+   * @param policyId The id of the policy (as returned by `newPolicy(...)`
+   */
+  function triggerPolicy(uint256 policyId) external whenNotPaused {
+    PolicyData storage policy = _policies[policyId];
+    Asset memory asset = _asset(policy.assetId);
+    require((block.timestamp - policy.ensuroPolicy.start) >= asset.minDuration, "Too soon to trigger the policy");
+    uint256 currentPrice = asset.oracle.getCurrentPrice();
+    if (
+      _confirmationWindow != 0 &&
+      !PricePolicyLibrary.confirmBreach(_breachStarts, _confirmationWindow, policy, currentPrice, true)
+    ) return;
+    _triggerPolicy(policy, currentPrice);
+  }
+
+  /**
+   * @dev Triggers the payout of the policy using the price reported in a past round of the oracle, so the policy
+   *      pays even if the price recovered before it was triggered with `triggerPolicy(policyId)`.
+   *
+   * Requirements:
+   * - The oracle of the asset implements {IHistoricalPriceOracle}, otherwise reverts with "The oracle doesn't support
+   *   historical prices". The ChainlinkPriceOracle supports them only without a referenceOracle.
+   * - The round was updated within [policy.start + minDuration(), policy.expiration]
+   * - The caller is the owner of the policy, for linear payout policies
+   * - The price of the round meets the same conditions as the current price in `triggerPolicy(policyId)`
+   * - If a confirmation window is set, the prices of the following rounds stayed past the trigger price until a
+   *   round updated at least `confirmationWindow()` seconds after `roundId` and before the expiration. In that
+   *   case, the payout is computed with the price of that last round.
+   *
+   * @param policyId The id of the policy (as returned by `newPolicy(...)`
+   * @param roundId The id of the round in the underlying oracle that breached the trigger price
+   */
+  function triggerPolicyWithRound(uint256 policyId, uint80 roundId) external whenNotPaused {
+    PolicyData storage policy = _policies[policyId];
+    Asset memory asset = _asset(policy.assetId);
+    IHistoricalPriceOracle oracle_ = IHistoricalPriceOracle(address(asset.oracle));
+    uint256 roundPrice = _historicalPrice(
+      oracle_,
+      roundId,
+      policy.ensuroPolicy.start + asset.minDuration,
+      policy.ensuroPolicy.expiration
+    );
+    if (_confirmationWindow != 0 && PricePolicyLibrary.payoutAtPrice(policy, roundPrice) != 0) {
+      roundPrice = PricePolicyLibrary.sustainedBreachPrice(policy, oracle_, roundId, _confirmationWindow);
+    }
+    _triggerPolicy(policy, roundPrice);
+  }
+
+  /**
+   * @dev Calls `getHistoricalPrice(...)` of the oracle, bubbling up its errors. The oracles that don't implement
+   *      {IHistoricalPriceOracle} (like MedianPriceOracle or UniswapV3TwapPriceOracle) revert without data.
+   */
+  function _historicalPrice(
+    IHistoricalPriceOracle oracle_,
+    uint80 roundId,
+    uint40 from,
+    uint40 to
+  ) internal view returns (uint256) {
+    try oracle_.getHistoricalPrice(roundId, from, to) returns (uint256 price) {
+      return price;
+    } catch (bytes memory reason) {
+      require(reason.length != 0, "The oracle doesn't support historical prices");
+      // solhint-disable-next-line no-inline-assembly
+      assembly {
+        revert(add(reason, 32), mload(reason))
+      }
+    }
+  }
+
+  /**
+   * @dev Triggers the payout of several policies, reading the price of the asset only once for consecutive policies
+   *      of the same asset. The policies that can't be triggered (unknown, already resolved, expired, created less
+   *      than `minDuration()` seconds ago, linear payout policies of other owners or with the trigger condition not
+   *      met) are skipped instead of reverting.
+   *      If a confirmation window is set, the breaches are recorded, cleared and confirmed as in `triggerPolicy`,
+   *      and the policies with a pending breach are skipped.
+   *
+   * Requirements:
+   * - The oracle(s) of the assets of the policies are functional
+   *
+   * @param policyIds The ids of the policies to trigger
+   * @return paid For each policy in `policyIds`, true if it was triggered and paid
+   */
+  function triggerPolicies(uint256[] calldata policyIds) external whenNotPaused returns (bool[] memory paid) {
+    paid = new bool[](policyIds.length);
+    Asset memory asset;
+    uint16 assetId;
+    uint256 currentPrice;
+    for (uint256 i = 0; i < policyIds.length; i++) {
+      PolicyData storage policy = _policies[policyIds[i]];
+      if (!_isActive(policy, policyIds[i]) || policy.ensuroPolicy.expiration <= block.timestamp) continue;
+      if (currentPrice == 0 || policy.assetId != assetId) {
+        assetId = policy.assetId;
+        asset = _asset(assetId);
+        currentPrice = asset.oracle.getCurrentPrice();
+      }
+      if (
+        (block.timestamp - policy.ensuroPolicy.start) < asset.minDuration ||
+        !PricePolicyLibrary.canTrigger(policy, _policyPool)
+      ) continue;
+      if (
+        _confirmationWindow != 0 &&
+        !PricePolicyLibrary.confirmBreach(_breachStarts, _confirmationWindow, policy, currentPrice, false)
+      ) continue;
+      uint256 payout = PricePolicyLibrary.payoutAtPrice(policy, currentPrice);
+      if (payout == 0) continue;
+      PricePolicyLibrary.resolvePolicy(
+        policy,
+        payout,
+        currentPrice,
+        _keeperReward,
+        _policyBuckets,
+        _bucketExposure,
+        _policyPool
+      );
+      paid[i] = true;
+    }
+  }
+
+  /**
+   * @dev Expires several policies through the PolicyPool, releasing their exposure and locked capital. The policies
+   *      that are unknown, already resolved or not expired yet are skipped instead of reverting.
+   *
+   * @param policyIds The ids of the policies to expire
+   * @return expired For each policy in `policyIds`, true if it was expired
+   */
+  function expirePolicies(uint256[] calldata policyIds) external whenNotPaused returns (bool[] memory expired) {
+    expired = new bool[](policyIds.length);
+    for (uint256 i = 0; i < policyIds.length; i++) {
+      PolicyData storage policy = _policies[policyIds[i]];
+      if (!_isActive(policy, policyIds[i]) || policy.ensuroPolicy.expiration > block.timestamp) continue;
+      _releaseBucketExposure(policyIds[i]);
+      _policyPool.expirePolicy(policy.ensuroPolicy);
+      expired[i] = true;
+    }
+  }
+
+  function _isActive(PolicyData storage policy, uint256 policyId) internal view returns (bool) {
+    return policy.ensuroPolicy.id == policyId && _policyPool.isActive(policyId);
+  }
+
+  function _triggerPolicy(PolicyData storage policy, uint256 price) internal {
+    PricePolicyLibrary.triggerPolicy(policy, price, _keeperReward, _policyBuckets, _bucketExposure, _policyPool);
+    // Be aware that `_policies` is not deleted when a policy is resolved, so getPolicyData will keep returning
+    // the policy information (with triggeredPrice and triggeredAt set), despite the policy is no longer claimable.
+    // To check if the policy is active, you should call PolicyPool.getPolicyHash(policyId) and if the output is
+    // bytes32(0), that means the policy is no longer active.
+  }
+
+  /**
+   * @dev Cancels the policy before its expiration, refunding the unearned part of the pure premium to the owner.
+   *      The PolicyPool doesn't have a cancellation path, so the policy is resolved with the refund as payout:
+   *      - The exposure and the SCR of the policy are released, like when it expires.
+   *      - The premiums account pays the refund out of the pure premium of the policy (refund <= purePremium), and
+   *        the rest of the pure premium goes to the surplus, like when it expires. So the refund never reaches the
+   *        funds of the eTokens.
+   *      - The eTokens keep the full cost of capital (the part not accrued yet is added when the SCR is unlocked)
+   *        and the commissions aren't refunded, since they were already distributed when the policy was created.
+   *      - The PolicyPool emits {PolicyResolved} with the refund as payout, so the off-chain accounting must use
+   *        {PricePolicyCancelled} to tell the refunds from the claims.
+   *
+   * Requirements:
+   * - The caller is the owner of the policy NFT
+   * - The policy is active and not expired
+   * - The trigger price hasn't been reached (in that case the policy should be triggered)
+   *
+   * Events:
+   * - Emits {PricePolicyCancelled} with the refunded amount
+   * - The PolicyPool emits {PolicyResolved} with the refund as payout
+   *
+   * @param policyId The id of the policy (as returned by `newPolicy(...)`
+   * @return refund The amount refunded to the policy owner, computed with `cancellationRefund(policyId)`
+   */
+  function cancelPolicy(uint256 policyId) external whenNotPaused returns (uint256 refund) {
+    require(IERC721(address(_policyPool)).ownerOf(policyId) == _msgSender(), "Only the policy owner can cancel it");
+    refund = PriceRiskModulePricing(address(this)).cancellationRefund(policyId);
+    _releaseBucketExposure(policyId);
+    _policyPool.resolvePolicy(_policies[policyId].ensuroPolicy, refund);
+    emit PricePolicyCancelled(_msgSender(), policyId, refund);
+  }
+
+  /**
+   * @dev Withdraws funds from the keeper rewards escrow (the balance of policyPool.currency() held by the module,
+   *      see `setKeeperReward(...)`)
+   *
+   * Requirements:
+   * - onlyGlobalOrComponentRole2(LEVEL1_ROLE, LEVEL2_ROLE)
+   *
+   * @param amount The amount to withdraw, expressed in policyPool.currency()
+   * @param destination The address that receives the funds
+   */
+  function withdrawKeeperRewards(
+    uint256 amount,
+    address destination
+  ) external onlyGlobalOrComponentRole2(LEVEL1_ROLE, LEVEL2_ROLE) {
+    _policyPool.currency().safeTransfer(destination, amount);
+  }
+
+  function _releaseBucketExposure(uint256 policyId) internal {
+    PricePolicyLibrary.releaseBucketExposure(
+      _policyBuckets,
+      _bucketExposure,
+      policyId,
+      _policies[policyId].ensuroPolicy.payout
+    );
+  }
+
+  /**
+   * @dev Returns true if `triggerPolicy(policyId)` can be called now, and the amount that the call pays. For linear
+   *      payout policies, the amount is the part of the payout payable at the current price, and only the owner of
+   *      the policy can trigger them. If a confirmation window is set, it's also true (with zero amount) when the
+   *      call records the start of a breach or clears a breach of a price that went back, and false while the breach
+   *      is pending of confirmation.
+   * @param policyId The id of the policy (as returned by `newPolicy(...)`
+   * @return canBeTriggered True if `triggerPolicy(policyId)` can be called now
+   * @return payout The amount paid by `triggerPolicy(policyId)` if called now (before the keeper reward)
+   */
+  function policyCanBeTriggered(uint256 policyId) external view returns (bool canBeTriggered, uint256 payout) {
+    payout = _triggerablePayout(policyId);
+    if (_confirmationWindow == 0 || payout != 0) return (payout != 0, payout);
+    PolicyData storage policy = _policies[policyId];
+    Asset memory asset = _asset(policy.assetId);
+    if ((block.timestamp - policy.ensuroPolicy.start) < asset.minDuration) return (false, 0);
+    bool breached = PricePolicyLibrary.payoutAtPrice(policy, asset.oracle.getCurrentPrice()) != 0;
+    // Without payout, the call only records the breach (none or expired) or clears it (!breached)
+    uint40 start = _breachStarts[policyId];
+    return (breached ? start == 0 || PricePolicyLibrary.breachExpired(start, _confirmationWindow) : start != 0, 0);
+  }
+
+  /**
+   * @dev Returns the amount that will be paid if the policy is triggered now, or zero if it can't be triggered.
+   *      For linear payout policies, it's the part of the payout proportional to how far the price went from the
+   *      trigger price towards the floor price. If a confirmation window is set, it's zero until the breach is
+   *      confirmed.
+   * @param policyId The id of the policy (as returned by `newPolicy(...)`
+   */
+  function triggerablePayout(uint256 policyId) external view returns (uint256) {
+    return _triggerablePayout(policyId);
+  }
+
+  /**
+   * @dev Returns the keeper reward configuration, see `setKeeperReward(...)`
+   */
+  function keeperReward() external view returns (KeeperReward memory) {
+    return _keeperReward;
+  }
+
+  /**
+   * @dev Returns the concentration limits of an asset, see `setConcentrationLimit(...)`
+   */
+  function concentrationLimit(uint16 assetId) external view returns (ConcentrationLimit memory) {
+    return _concentrationLimits[assetId];
+  }
+
+  /**
+   * @dev Returns the active payout of a range of trigger price buckets, for risk monitoring
+   * @param assetId The id of the asset (0 = default asset)
+   * @param lower The direction of the policies
+   * @param fromBucket First bucket of the range (triggerPrice / bucketSize)
+   * @param toBucket Last bucket of the range (inclusive)
+   * @param week The expiry week (expiration / 1 weeks)
+   * @return exposures The active payout of each bucket, exposures[i] is the one of the bucket fromBucket + i
+   */
+  function getBucketExposures(
+    uint16 assetId,
+    bool lower,
+    uint256 fromBucket,
+    uint256 toBucket,
+    uint256 week
+  ) external view returns (uint256[] memory exposures) {
+    require(fromBucket <= toBucket, "PriceRiskModule: invalid bucket range");
+    exposures = new uint256[](toBucket - fromBucket + 1);
+    for (uint256 i = 0; i < exposures.length; i++) {
+      exposures[i] = PricePolicyLibrary.activeBucketExposure(
+        _policyBuckets,
+        _bucketExposure,
+        _bucketPolicies,
+        _policies,
+        PricePolicyLibrary.bucketKey(assetId, lower, fromBucket + i, week)
+      );
+    }
+  }
+
+  function confirmationWindow() external view returns (uint32) {
+    return _confirmationWindow;
+  }
+
+  /**
+   * @dev Returns the timestamp when the breach of the trigger price of the policy was recorded by `triggerPolicy`,
+   *      or zero if there's no breach pending of confirmation
+   */
+  function breachStart(uint256 policyId) external view returns (uint40) {
+    return _breachStarts[policyId];
+  }
+
+  function getPolicyData(uint256 policyId) external view returns (PolicyData memory) {
+    return _policies[policyId];
+  }
+}
@@ -0,0 +1,121 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {IUniswapV3Pool} from "@uniswap/v3-core/contracts/interfaces/IUniswapV3Pool.sol";
+import {TickMath} from "./dependencies/uniswap-v3/TickMath.sol";
+import {IPriceOracle} from "./interfaces/IPriceOracle.sol";
+
+/**
+ * @title UniswapV3TwapPriceOracle
+ * @dev Implementation of IPriceOracle that returns the time-weighted average price (TWAP) of an asset in a
+ *      Uniswap V3 pool, expressed in the other token of the pool.
+ * @custom:security-contact security@ensuro.co
+ * @author Ensuro
+ */
+contract UniswapV3TwapPriceOracle is IPriceOracle {
+  uint8 internal constant WAD_DECIMALS = 18;
+
+  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+  IUniswapV3Pool internal immutable _pool;
+  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+  bool internal immutable _assetIsToken0;
+  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+  uint8 internal immutable _assetDecimals;
+  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+  uint8 internal immutable _quoteDecimals;
+  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+  uint32 internal immutable _twapWindow;
+  /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+  uint16 internal immutable _minCardinality;
+
+  /**
+   * @dev Constructs the UniswapV3TwapPriceOracle
+   *
+   * @param pool_ The Uniswap V3 pool of the asset
+   * @param asset_ The token of the pool whose price is returned. The price is expressed in the other token.
+   * @param twapWindow_ Seconds of the time window of the TWAP
+   * @param minCardinality_ Minimum observation cardinality of the pool. The pool must store enough observations to
+   *                        cover the time window, otherwise it's easier to manipulate the price.
+   */
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor(IUniswapV3Pool pool_, address asset_, uint32 twapWindow_, uint16 minCardinality_) {
+    require(address(pool_) != address(0), "UniswapV3TwapPriceOracle: pool cannot be the zero address");
+    require(twapWindow_ != 0, "UniswapV3TwapPriceOracle: twapWindow cannot be zero");
+    address token0 = pool_.token0();
+    address token1 = pool_.token1();
+    require(asset_ == token0 || asset_ == token1, "UniswapV3TwapPriceOracle: asset not in the pool");
+    _pool = pool_;
+    _assetIsToken0 = asset_ == token0;
+    _assetDecimals = IERC20Metadata(asset_).decimals();
+    _quoteDecimals = IERC20Metadata(asset_ == token0 ? token1 : token0).decimals();
+    _twapWindow = twapWindow_;
+    _minCardinality = minCardinality_;
+  }
+
+  /**
+   * @dev Returns the TWAP of the asset over the last `twapWindow()` seconds
+   *
+   * Requirements:
+   * - The observation cardinality of the pool is >= minCardinality()
+   * - The pool has observations older than `twapWindow()` seconds
+   *
+   * @return The price of the asset expressed in the other token of the pool, in Wad (18 decimals)
+   */
+  function getCurrentPrice() external view override returns (uint256) {
+    (, , , uint16 cardinality, , , ) = _pool.slot0();
+    require(cardinality >= _minCardinality, "UniswapV3TwapPriceOracle: observation cardinality too low");
+
+    uint32[] memory secondsAgos = new uint32[](2);
+    secondsAgos[0] = _twapWindow;
+    (int56[] memory tickCumulatives, ) = _pool.observe(secondsAgos);
+    int56 delta = tickCumulatives[1] - tickCumulatives[0];
+    int24 tick = int24(delta / int56(uint56(_twapWindow)));
+    // Always round to negative infinity
+    if (delta < 0 && (delta % int56(uint56(_twapWindow)) != 0)) tick--;
+
+    uint256 price = _quoteAtTick(tick, 10 ** _assetDecimals);
+    require(price != 0, "UniswapV3TwapPriceOracle: price not available");
+    return _scalePrice(price, _quoteDecimals, WAD_DECIMALS);
+  }
+
+  /**
+   * @dev Amount of the quote token received for `baseAmount` of the asset at a given tick. Same as
+   *      OracleLibrary.getQuoteAtTick of Uniswap V3 periphery.
+   */
+  function _quoteAtTick(int24 tick, uint256 baseAmount) internal view returns (uint256) {
+    uint160 sqrtRatioX96 = TickMath.getSqrtRatioAtTick(tick);
+    // Calculate quoteAmount with better precision if it doesn't overflow when multiplied by itself
+    if (sqrtRatioX96 <= type(uint128).max) {
+      uint256 ratioX192 = uint256(sqrtRatioX96) * sqrtRatioX96;
+      return
+        _assetIsToken0 ? Math.mulDiv(ratioX192, baseAmount, 1 << 192) : Math.mulDiv(1 << 192, baseAmount, ratioX192);
+    } else {
+      uint256 ratioX128 = Math.mulDiv(sqrtRatioX96, sqrtRatioX96, 1 << 64);
+      return
+        _assetIsToken0 ? Math.mulDiv(ratioX128, baseAmount, 1 << 128) : Math.mulDiv(1 << 128, baseAmount, ratioX128);
+    }
+  }
+
+  function _scalePrice(uint256 price, uint8 priceDecimals, uint8 decimals) internal pure returns (uint256) {
+    if (priceDecimals < decimals) return price * 10 ** (decimals - priceDecimals);
+    else return price / 10 ** (priceDecimals - decimals);
+  }
+
+  function pool() external view returns (IUniswapV3Pool) {
+    return _pool;
+  }
+
+  function asset() external view returns (address) {
+    return _assetIsToken0 ? _pool.token0() : _pool.token1();
+  }
+
+  function twapWindow() external view returns (uint32) {
+    return _twapWindow;
+  }
+
+  function minCardinality() external view returns (uint16) {
+    return _minCardinality;
+  }
+}
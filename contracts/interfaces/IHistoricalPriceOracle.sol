@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {IPriceOracle} from "./IPriceOracle.sol";
+
+/**
+ * @title IHistoricalPriceOracle interface
+ * @dev Interface for price oracles that, besides the current price, can return the prices reported in past rounds
+ *      of the underlying oracle.
+ * @author Ensuro
+ */
+interface IHistoricalPriceOracle is IPriceOracle {
+  /**
+   * @dev Returns the price of the asset reported in a given round of the underlying oracle
+   *
+   * Requirements:
+   * - The round is complete and its price was updated within [from, to]. It NEVER returns zero.
+   *
+   * @param roundId The id of the round in the underlying oracle
+   * @param from The minimum timestamp accepted for the update of the round
+   * @param to The maximum timestamp accepted for the update of the round
+   * @return The price of the asset in Wad (18 decimals)
+   */
+  function getHistoricalPrice(uint80 roundId, uint40 from, uint40 to) external view returns (uint256);
+
+  /**
+   * @dev Returns the price of the asset reported in a given round of the underlying oracle and when it was updated
+   *
+   * Requirements:
+   * - The round is complete. It NEVER returns a zero price.
+   *
+   * @param roundId The id of the round in the underlying oracle
+   * @return price The price of the asset in Wad (18 decimals)
+   * @return updatedAt The timestamp of the update of the round
+   */
+  function getRound(uint80 roundId) external view returns (uint256 price, uint40 updatedAt);
+
+  /**
+   * @dev Returns the id of the round that follows `roundId` in the underlying oracle. The ids aren't always
+   *      consecutive (for instance, in chainlink the phase of the round is in the high bits of the id).
+   *
+   * @param roundId The id of the round in the underlying oracle
+   * @return The id of the next round. If there's no next round yet, it's the id the next round would have.
+   */
+  function nextRoundId(uint80 roundId) external view returns (uint80);
+}
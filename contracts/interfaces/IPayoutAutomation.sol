@@ -39,6 +39,41 @@ interface IPayoutAutomation is IERC721EnumerableUpgradeable {
     address onBehalfOf
   ) external returns (uint256);
 
+  /**
+   * @dev Creates a new policy in a given PriceRiskModule, reverting if the premium exceeds `maxPremium` or if the
+   *      transaction is executed after `deadline`
+   *
+   * @param maxPremium The maximum premium the customer is willing to pay
+   * @param deadline The timestamp after which the transaction is no longer valid
+   * @return policyId
+   */
+  function newPolicy(
+    IPriceRiskModule riskModule,
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium,
+    uint40 deadline
+  ) external returns (uint256);
+
+  /**
+   * @dev Creates a new policy on one of the assets of the registry of a given PriceRiskModule (0 = default asset),
+   *      reverting if the premium exceeds `maxPremium` or if the transaction is executed after `deadline`
+   */
+  function newPolicy(
+    IPriceRiskModule riskModule,
+    uint16 assetId,
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium,
+    uint40 deadline
+  ) external returns (uint256);
+
   /**
    * @dev Creates a new policy in a given PriceRiskModule (using ERC20 permit)
    *
@@ -76,4 +111,130 @@ interface IPayoutAutomation is IERC721EnumerableUpgradeable {
     bytes32 permitR,
     bytes32 permitS
   ) external returns (uint256);
+
+  /**
+   * @dev Creates a new policy in a given PriceRiskModule (using ERC20 permit), reverting if the premium exceeds
+   *      `maxPremium`. The transaction can't be executed after `permitDeadline`, since the permit would fail.
+   */
+  function newPolicyWithPermit(
+    IPriceRiskModule riskModule,
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium,
+    uint256 permitValue,
+    uint256 permitDeadline,
+    uint8 permitV,
+    bytes32 permitR,
+    bytes32 permitS
+  ) external returns (uint256);
+
+  /**
+   * @dev Creates a new policy in a given PriceRiskModule with the trigger price at `jump` (in wad) below (lower) or
+   *      above the price at the execution of the transaction, reverting if the premium exceeds `maxPremium`
+   *
+   * @param riskModule   The PriceRiskModule where the policy will be created
+   * @param jump The change from the current price to the trigger price, in wad (0.1 = 10%)
+   * @param lower If true -> triggers if the price is lower, If false -> triggers if the price is higher
+   * @param payout Expressed in policyPool.currency()
+   * @param expiration The policy expiration timestamp
+   * @param onBehalfOf The address that will own the new policy
+   * @param maxPremium The maximum premium the customer is willing to pay
+   * @return policyId
+   */
+  function newPolicyRelative(
+    IPriceRiskModule riskModule,
+    uint256 jump,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium
+  ) external returns (uint256);
+
+  /**
+   * @dev Creates a new policy on one of the assets of the registry of a given PriceRiskModule (0 = default asset),
+   *      with the trigger price at `jump` (in wad) below (lower) or above the price of the asset at the execution of
+   *      the transaction, reverting if the premium exceeds `maxPremium`
+   */
+  function newPolicyRelative(
+    IPriceRiskModule riskModule,
+    uint16 assetId,
+    uint256 jump,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium
+  ) external returns (uint256);
+
+  /**
+   * @dev Creates several policies (a ladder) in a given PriceRiskModule, transferring the sum of the premiums only
+   *      once and minting one NFT per policy
+   *
+   * Requirements:
+   * - triggerPrices, payouts and expirations have the same length
+   * - Spending approval granted to this contract for the sum of the premiums
+   *
+   * @param riskModule   The PriceRiskModule where the policies will be created
+   * @param triggerPrices The prices at which each policy should trigger
+   * @param lower If true -> the policies trigger if the price is lower, If false -> if the price is higher
+   * @param payouts The payout of each policy, expressed in policyPool.currency()
+   * @param expirations The expiration timestamp of each policy
+   * @param onBehalfOf The address that will own the new policies
+   * @return policyIds The ids of the new policies
+   */
+  function newPolicies(
+    IPriceRiskModule riskModule,
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations,
+    address onBehalfOf
+  ) external returns (uint256[] memory policyIds);
+
+  /**
+   * @dev Creates several policies (a ladder) in a given PriceRiskModule, reverting if the sum of the premiums exceeds
+   *      `maxTotalPremium` or if the transaction is executed after `deadline`
+   */
+  function newPolicies(
+    IPriceRiskModule riskModule,
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations,
+    address onBehalfOf,
+    uint256 maxTotalPremium,
+    uint40 deadline
+  ) external returns (uint256[] memory policyIds);
+
+  /**
+   * @dev Creates several policies (a ladder) on one of the assets of the registry of a given PriceRiskModule
+   *      (0 = default asset), reverting if the sum of the premiums exceeds `maxTotalPremium` or if the transaction is
+   *      executed after `deadline`
+   */
+  function newPolicies(
+    IPriceRiskModule riskModule,
+    uint16 assetId,
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations,
+    address onBehalfOf,
+    uint256 maxTotalPremium,
+    uint40 deadline
+  ) external returns (uint256[] memory policyIds);
+
+  /**
+   * @dev Cancels a policy held by the payout automation, refunding the unearned premium to the NFT owner
+   *
+   * Requirements:
+   * - The caller must own the NFT of the policy
+   *
+   * @param riskModule The PriceRiskModule where the policy was created
+   * @param policyId The id of the policy to cancel
+   */
+  function cancelPolicy(IPriceRiskModule riskModule, uint256 policyId) external;
 }
@@ -37,6 +37,43 @@ interface IPriceRiskModule is IRiskModule {
     uint40 expiration
   ) external view returns (uint256 premium, SlotPricing memory price);
 
+  /**
+   * @dev Returns the premium and lossProb of a policy on a given asset of the risk module
+   * @param assetId The id of the asset whose price triggers the policy
+   */
+  function pricePolicy(
+    uint16 assetId,
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration
+  ) external view returns (uint256 premium, SlotPricing memory price);
+
+  /**
+   * @dev Returns the premiums of a ladder of policies on the default asset, as they would be charged by
+   *      `newPolicies(...)`
+   * @return premiums The premium of each policy
+   */
+  function pricePolicies(
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations
+  ) external view returns (uint256[] memory premiums);
+
+  /**
+   * @dev Returns the premiums of a ladder of policies on one of the assets of the registry (0 = default asset), as
+   *      they would be charged by `newPolicies(assetId, ...)`
+   * @return premiums The premium of each policy
+   */
+  function pricePolicies(
+    uint16 assetId,
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations
+  ) external view returns (uint256[] memory premiums);
+
   function newPolicy(
     uint256 triggerPrice,
     bool lower,
@@ -45,9 +82,140 @@ interface IPriceRiskModule is IRiskModule {
     address onBehalfOf
   ) external returns (uint256);
 
+  function newPolicy(
+    uint16 assetId,
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf
+  ) external returns (uint256);
+
+  /**
+   * @dev Creates a new policy, reverting if the premium exceeds `maxPremium` or if executed after `deadline`
+   */
+  function newPolicy(
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium,
+    uint40 deadline
+  ) external returns (uint256);
+
+  function newPolicy(
+    uint16 assetId,
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium,
+    uint40 deadline
+  ) external returns (uint256);
+
+  /**
+   * @dev Creates a new policy on the default asset with the trigger price at `jump` (in wad) below (lower) or above
+   *      the current price, reverting if the premium exceeds `maxPremium`
+   */
+  function newPolicyRelative(
+    uint256 jump,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium
+  ) external returns (uint256);
+
+  /**
+   * @dev Creates a new policy on one of the assets of the registry (0 = default asset) with the trigger price at
+   *      `jump` (in wad) below (lower) or above the current price of the asset, reverting if the premium exceeds
+   *      `maxPremium`
+   */
+  function newPolicyRelative(
+    uint16 assetId,
+    uint256 jump,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium
+  ) external returns (uint256);
+
+  /**
+   * @dev Returns the trigger price that `newPolicyRelative(jump, lower, ...)` fixes with the current price of the
+   *      default asset
+   */
+  function relativeTriggerPrice(uint256 jump, bool lower) external view returns (uint256);
+
+  /**
+   * @dev Returns the trigger price that `newPolicyRelative(assetId, jump, lower, ...)` fixes with the current price
+   *      of the asset
+   */
+  function relativeTriggerPrice(uint16 assetId, uint256 jump, bool lower) external view returns (uint256);
+
+  /**
+   * @dev Creates several policies (a ladder) on the default asset in a single transaction
+   * @return policyIds The ids of the new policies, in the same order as the parameters
+   */
+  function newPolicies(
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations,
+    address onBehalfOf
+  ) external returns (uint256[] memory policyIds);
+
+  /**
+   * @dev Creates several policies (a ladder) on one of the assets of the registry (0 = default asset) in a single
+   *      transaction
+   * @return policyIds The ids of the new policies, in the same order as the parameters
+   */
+  function newPolicies(
+    uint16 assetId,
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations,
+    address onBehalfOf
+  ) external returns (uint256[] memory policyIds);
+
   function triggerPolicy(uint256 policyId) external;
 
-  function policyCanBeTriggered(uint256 policyId) external view returns (bool);
+  /**
+   * @dev Triggers the policy with the price of a past round of the oracle, that must be within the coverage period
+   * @param policyId The id of the policy to trigger
+   * @param roundId The id of the round (in the underlying oracle) where the price breached the trigger price
+   */
+  function triggerPolicyWithRound(uint256 policyId, uint80 roundId) external;
+
+  /**
+   * @dev Triggers several policies, skipping the ones that can't be triggered
+   * @param policyIds The ids of the policies to trigger
+   * @return paid For each policy, true if it was triggered and paid
+   */
+  function triggerPolicies(uint256[] calldata policyIds) external returns (bool[] memory paid);
+
+  /**
+   * @dev Expires several policies through the PolicyPool, skipping the ones that aren't active or not expired yet
+   * @param policyIds The ids of the policies to expire
+   * @return expired For each policy, true if it was expired
+   */
+  function expirePolicies(uint256[] calldata policyIds) external returns (bool[] memory expired);
+
+  /**
+   * @dev Cancels an active policy, refunding the unearned part of the pure premium to the policy owner
+   * @param policyId The id of the policy to cancel. The caller must be the owner of the policy NFT.
+   * @return refund The amount refunded
+   */
+  function cancelPolicy(uint256 policyId) external returns (uint256 refund);
+
+  /**
+   * @dev Returns true if the policy can be triggered now, and the amount the trigger pays (the partial payout for
+   *      linear payout policies)
+   */
+  function policyCanBeTriggered(uint256 policyId) external view returns (bool canBeTriggered, uint256 payout);
 
   function oracle() external view returns (IPriceOracle);
 
@@ -23,6 +23,8 @@ contract AggregatorV3Mock is AggregatorV3Interface {
 
   address internal owner;
 
+  bool internal _newPhase;
+
   constructor(uint8 decimals_) {
     decimals = decimals_;
     owner = msg.sender;
@@ -50,7 +52,14 @@ contract AggregatorV3Mock is AggregatorV3Interface {
 
   function _addRound(int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound) public {
     require(msg.sender == owner, "Method meant for testing only");
-    _latestRound += 1;
+    _latestRound = _newPhase ? (((_latestRound >> 64) + 1) << 64) | 1 : _latestRound + 1;
+    _newPhase = false;
     _rounds[_latestRound] = RoundData(_latestRound, answer, startedAt, updatedAt, answeredInRound);
   }
+
+  // Simulates the change of the aggregator behind a proxy. The next round is the first one of the next phase.
+  function _nextPhase() public {
+    require(msg.sender == owner, "Method meant for testing only");
+    _newPhase = true;
+  }
 }
@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {AggregatorV3Interface} from "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @dev Mock of the chainlink L2 sequencer uptime feed. The answer is 0 when the sequencer is up and 1 when it's
+ *      down, startedAt is when the status changed.
+ */
+contract SequencerUptimeFeedMock is AggregatorV3Interface {
+  string public constant description = "SequencerUptimeFeedMock";
+  uint256 public constant version = 1;
+  uint8 public constant decimals = 0;
+
+  uint80 internal _latestRound;
+  int256 internal _answer;
+  uint256 internal _startedAt;
+
+  address internal owner;
+
+  constructor() {
+    owner = msg.sender;
+  }
+
+  function getRoundData(
+    uint80 _roundId
+  )
+    external
+    view
+    returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+  {
+    require(_roundId == _latestRound, "Only the latest round is available");
+    return (_latestRound, _answer, _startedAt, _startedAt, _latestRound);
+  }
+
+  function latestRoundData()
+    external
+    view
+    returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+  {
+    return this.getRoundData(_latestRound);
+  }
+
+  function _setStatus(bool isDown, uint256 startedAt) public {
+    require(msg.sender == owner, "Method meant for testing only");
+    _latestRound += 1;
+    _answer = isDown ? int256(1) : int256(0);
+    _startedAt = startedAt;
+  }
+}
@@ -0,0 +1,71 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+/**
+ * @dev Mock of the oracle functions of a Uniswap V3 pool. Each `setTick` call records an observation with the
+ *      tick accumulator, like the pool does on each swap.
+ */
+contract UniswapV3PoolMock {
+  address public immutable token0;
+  address public immutable token1;
+
+  struct Observation {
+    uint32 blockTimestamp;
+    int56 tickCumulative;
+    int24 tick;
+  }
+
+  Observation[] internal _observations;
+  uint16 internal _cardinality;
+
+  constructor(address token0_, address token1_, int24 tick_, uint16 cardinality_) {
+    token0 = token0_;
+    token1 = token1_;
+    _cardinality = cardinality_;
+    _observations.push(Observation(uint32(block.timestamp), 0, tick_));
+  }
+
+  function slot0()
+    external
+    view
+    returns (
+      uint160 sqrtPriceX96,
+      int24 tick,
+      uint16 observationIndex,
+      uint16 observationCardinality,
+      uint16 observationCardinalityNext,
+      uint8 feeProtocol,
+      bool unlocked
+    )
+  {
+    tick = _observations[_observations.length - 1].tick;
+    return (0, tick, uint16(_observations.length - 1), _cardinality, _cardinality, 0, true);
+  }
+
+  function setTick(int24 tick) external {
+    _observations.push(Observation(uint32(block.timestamp), _tickCumulativeAt(uint32(block.timestamp)), tick));
+  }
+
+  function setCardinality(uint16 cardinality) external {
+    _cardinality = cardinality;
+  }
+
+  function observe(
+    uint32[] calldata secondsAgos
+  ) external view returns (int56[] memory tickCumulatives, uint160[] memory secondsPerLiquidityCumulativeX128s) {
+    tickCumulatives = new int56[](secondsAgos.length);
+    secondsPerLiquidityCumulativeX128s = new uint160[](secondsAgos.length);
+    for (uint256 i = 0; i < secondsAgos.length; i++) {
+      uint32 target = uint32(block.timestamp) - secondsAgos[i];
+      require(target >= _observations[0].blockTimestamp, "OLD");
+      tickCumulatives[i] = _tickCumulativeAt(target);
+    }
+  }
+
+  function _tickCumulativeAt(uint32 target) internal view returns (int56) {
+    uint256 i = _observations.length - 1;
+    while (_observations[i].blockTimestamp > target) i--;
+    Observation storage last = _observations[i];
+    return last.tickCumulative + int56(last.tick) * int56(uint56(target - last.blockTimestamp));
+  }
+}
@@ -3,13 +3,11 @@ pragma solidity ^0.8.0;
 
 import {SwapLibrary} from "@ensuro/swaplibrary/contracts/SwapLibrary.sol";
 import {PayoutAutomationBaseGelato} from "./PayoutAutomationBaseGelato.sol";
-import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
-import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {PayoutAutomationLibrary} from "./PayoutAutomationLibrary.sol";
 import {IPolicyPool} from "@ensuro/core/contracts/interfaces/IPolicyPool.sol";
 import {IWETH9} from "../dependencies/uniswap-v3/IWETH9.sol";
 import {IPool} from "../dependencies/aave-v3/IPool.sol";
 import {IPriceOracle} from "../interfaces/IPriceOracle.sol";
-import {DataTypes} from "../dependencies/aave-v3/DataTypes.sol";
 
 contract AAVERepayPayoutAutomation is PayoutAutomationBaseGelato {
   using SwapLibrary for SwapLibrary.SwapConfig;
@@ -46,21 +44,7 @@ contract AAVERepayPayoutAutomation is PayoutAutomationBaseGelato {
   }
 
   function _handlePayout(address receiver, uint256 amount) internal override {
-    address asset = address(_policyPool.currency());
-    DataTypes.ReserveData memory reserveData = _aave.getReserveData(asset);
-    uint256 debt = IERC20Metadata(reserveData.variableDebtTokenAddress).balanceOf(receiver);
-    if (debt > 0) {
-      amount -= _aave.repay(asset, Math.min(debt, amount), 2, receiver);
-    }
-    if (amount != 0) {
-      debt = IERC20Metadata(reserveData.stableDebtTokenAddress).balanceOf(receiver);
-      if (debt > 0) {
-        amount -= _aave.repay(asset, Math.min(debt, amount), 1, receiver);
-      }
-    }
-    if (amount != 0) {
-      _aave.supply(asset, amount, receiver, 0);
-    }
+    PayoutAutomationLibrary.aaveRepay(_aave, address(_policyPool.currency()), receiver, amount);
   }
 
   /**
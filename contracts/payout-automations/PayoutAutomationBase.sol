@@ -17,6 +17,7 @@ import {IPolicyPool} from "@ensuro/core/contracts/interfaces/IPolicyPool.sol";
 
 import {IPayoutAutomation} from "../interfaces/IPayoutAutomation.sol";
 import {IPriceRiskModule} from "../interfaces/IPriceRiskModule.sol";
+import {PayoutAutomationLibrary} from "./PayoutAutomationLibrary.sol";
 
 /**
  * @title PayoutAutomationBase
@@ -119,7 +120,9 @@ abstract contract PayoutAutomationBase is
   ) external virtual override onlyPolicyPool returns (bytes4) {
     address paymentReceiver = ownerOf(tokenId);
     _burn(tokenId);
-    _handlePayout(paymentReceiver, amount);
+    // The NFT of the policies being cancelled with `cancelPolicy` is owned by this contract, the refund is
+    // transferred there
+    if (paymentReceiver != address(this)) _handlePayout(paymentReceiver, amount);
     return IPolicyHolder.onPayoutReceived.selector;
   }
 
@@ -142,7 +145,29 @@ abstract contract PayoutAutomationBase is
   }
 
   /**
-   * @dev Creates a new policy in a given PriceRiskModule
+   * @dev Cancels a policy held by this contract. The NFT is transferred to this contract before the cancellation,
+   *      so the refund (if any) isn't handled as a payout by `onPayoutReceived`, and it's transferred as it is to the
+   *      owner of the NFT.
+   *
+   * Requirements:
+   * - The caller must own the NFT of the policy
+   * - The policy was created by `riskModule`
+   * - The policy is resolved in the PolicyPool by the cancellation
+   *
+   * @param riskModule The PriceRiskModule where the policy was created
+   * @param policyId The id of the policy to cancel
+   */
+  function cancelPolicy(IPriceRiskModule riskModule, uint256 policyId) public virtual override {
+    require(ownerOf(policyId) == _msgSender(), "PayoutAutomationBase: you must own the NFT to cancel the policy");
+    _transfer(_msgSender(), address(this), policyId);
+    PayoutAutomationLibrary.cancelPolicy(_policyPool.currency(), riskModule, policyId);
+    // The NFT is burnt by onPayoutReceived or onPolicyExpired, when the PolicyPool resolves the policy
+    require(!_exists(policyId), "PayoutAutomationBase: the policy wasn't cancelled");
+  }
+
+  /**
+   * @dev Creates a new policy in a given PriceRiskModule, on its default asset (assetId == 0, see
+   *      `newPolicy(riskModule, assetId, ...)` for the other assets)
    *
    * Requirements:
    * - The oracle(s) are functional, returning non zero values and updated after (block.timestamp - oracleTolerance())
@@ -169,12 +194,244 @@ abstract contract PayoutAutomationBase is
     uint40 expiration,
     address onBehalfOf
   ) public virtual override returns (uint256 policyId) {
-    (uint256 premium, ) = riskModule.pricePolicy(triggerPrice, lower, payout, expiration);
-    require(premium != 0, "PayoutAutomationBase: premium = 0, policy not supported");
-    _policyPool.currency().safeTransferFrom(_msgSender(), address(this), premium);
-    policyId = riskModule.newPolicy(triggerPrice, lower, payout, expiration, address(this));
+    return _newPolicy(riskModule, 0, triggerPrice, lower, payout, expiration, onBehalfOf, type(uint256).max);
+  }
+
+  /**
+   * @dev Creates a new policy in a given PriceRiskModule, reverting if the premium exceeds `maxPremium` or if the
+   *      transaction is executed after `deadline`
+   *
+   * Requirements:
+   * - Same as `newPolicy(riskModule, triggerPrice, lower, payout, expiration, onBehalfOf)`
+   * - The premium doesn't exceed maxPremium
+   * - block.timestamp <= deadline
+   *
+   * @param maxPremium The maximum premium the customer is willing to pay
+   * @param deadline The timestamp after which the transaction is no longer valid
+   * @return policyId
+   */
+  function newPolicy(
+    IPriceRiskModule riskModule,
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium,
+    uint40 deadline
+  ) public virtual override returns (uint256 policyId) {
+    return newPolicy(riskModule, 0, triggerPrice, lower, payout, expiration, onBehalfOf, maxPremium, deadline);
+  }
+
+  /**
+   * @dev Creates a new policy on one of the assets of the registry of a given PriceRiskModule (see
+   *      `IPriceRiskModule.newPolicy(assetId, ...)`), with the same guards as
+   *      `newPolicy(riskModule, triggerPrice, lower, payout, expiration, onBehalfOf, maxPremium, deadline)`
+   *
+   * @param assetId The id of the asset in the registry of the riskModule (0 = default asset)
+   * @return policyId
+   */
+  function newPolicy(
+    IPriceRiskModule riskModule,
+    uint16 assetId,
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium,
+    uint40 deadline
+  ) public virtual override returns (uint256 policyId) {
+    require(block.timestamp <= deadline, "PayoutAutomationBase: deadline expired");
+    return _newPolicy(riskModule, assetId, triggerPrice, lower, payout, expiration, onBehalfOf, maxPremium);
+  }
+
+  /**
+   * @dev Creates a new policy in a given PriceRiskModule with the trigger price fixed as a percentage of the price at
+   *      the execution of the transaction (see `IPriceRiskModule.relativeTriggerPrice(jump, lower)`)
+   *
+   * Requirements:
+   * - Same as `newPolicy(riskModule, triggerPrice, lower, payout, expiration, onBehalfOf)`
+   * - jump > 0 and, if lower, jump < 1 (in wad)
+   * - The premium doesn't exceed maxPremium
+   *
+   * @param riskModule   The PriceRiskModule where the policy will be created
+   * @param jump The change from the current price to the trigger price, in wad (0.1 = 10%). Downwards if lower,
+   *             upwards if not.
+   * @param maxPremium The maximum premium the customer is willing to pay
+   * @return policyId
+   */
+  function newPolicyRelative(
+    IPriceRiskModule riskModule,
+    uint256 jump,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium
+  ) public virtual override returns (uint256 policyId) {
+    return newPolicyRelative(riskModule, 0, jump, lower, payout, expiration, onBehalfOf, maxPremium);
+  }
+
+  /**
+   * @dev Creates a new policy on one of the assets of the registry of a given PriceRiskModule, with the trigger price
+   *      relative to the current price of the asset (see `IPriceRiskModule.relativeTriggerPrice(assetId, jump, lower)`)
+   *
+   * Requirements:
+   * - Same as `newPolicyRelative(riskModule, jump, lower, payout, expiration, onBehalfOf, maxPremium)`
+   *
+   * @param assetId The id of the asset in the registry of the riskModule (0 = default asset)
+   * @return policyId
+   */
+  function newPolicyRelative(
+    IPriceRiskModule riskModule,
+    uint16 assetId,
+    uint256 jump,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium
+  ) public virtual override returns (uint256 policyId) {
+    uint256 triggerPrice = riskModule.relativeTriggerPrice(assetId, jump, lower);
+    return _newPolicy(riskModule, assetId, triggerPrice, lower, payout, expiration, onBehalfOf, maxPremium);
+  }
+
+  /**
+   * @dev Creates several policies (a ladder) in a given PriceRiskModule. The sum of the premiums is transferred
+   *      from the caller only once, and one NFT is minted to `onBehalfOf` for each policy.
+   *
+   * Requirements:
+   * - triggerPrices, payouts and expirations have the same length
+   * - Same as `newPolicy(riskModule, triggerPrice, lower, payout, expiration, onBehalfOf)` for each policy
+   *
+   * @param riskModule   The PriceRiskModule where the policies will be created
+   * @param triggerPrices The prices at which each policy should trigger
+   * @param lower If true -> the policies trigger if the price is lower, If false -> if the price is higher
+   * @param payouts The payout of each policy, expressed in policyPool.currency()
+   * @param expirations The expiration timestamp of each policy
+   * @param onBehalfOf The address that will own the new policies
+   * @return policyIds The ids of the new policies, in the same order as the parameters
+   */
+  function newPolicies(
+    IPriceRiskModule riskModule,
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations,
+    address onBehalfOf
+  ) public virtual override returns (uint256[] memory policyIds) {
+    return _newPolicies(riskModule, 0, triggerPrices, lower, payouts, expirations, onBehalfOf, type(uint256).max);
+  }
+
+  /**
+   * @dev Creates several policies (a ladder) in a given PriceRiskModule, reverting if the sum of the premiums exceeds
+   *      `maxTotalPremium` or if the transaction is executed after `deadline`
+   *
+   * Requirements:
+   * - Same as `newPolicies(riskModule, triggerPrices, lower, payouts, expirations, onBehalfOf)`
+   * - The sum of the premiums doesn't exceed maxTotalPremium
+   * - block.timestamp <= deadline
+   *
+   * @param maxTotalPremium The maximum the customer is willing to pay for all the policies
+   * @param deadline The timestamp after which the transaction is no longer valid
+   * @return policyIds The ids of the new policies, in the same order as the parameters
+   */
+  function newPolicies(
+    IPriceRiskModule riskModule,
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations,
+    address onBehalfOf,
+    uint256 maxTotalPremium,
+    uint40 deadline
+  ) public virtual override returns (uint256[] memory policyIds) {
+    return
+      newPolicies(riskModule, 0, triggerPrices, lower, payouts, expirations, onBehalfOf, maxTotalPremium, deadline);
+  }
+
+  /**
+   * @dev Creates several policies (a ladder) on one of the assets of the registry of a given PriceRiskModule, with
+   *      the same guards as
+   *      `newPolicies(riskModule, triggerPrices, lower, payouts, expirations, onBehalfOf, maxTotalPremium, deadline)`
+   *
+   * @param assetId The id of the asset in the registry of the riskModule (0 = default asset)
+   * @return policyIds The ids of the new policies, in the same order as the parameters
+   */
+  function newPolicies(
+    IPriceRiskModule riskModule,
+    uint16 assetId,
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations,
+    address onBehalfOf,
+    uint256 maxTotalPremium,
+    uint40 deadline
+  ) public virtual override returns (uint256[] memory policyIds) {
+    require(block.timestamp <= deadline, "PayoutAutomationBase: deadline expired");
+    return _newPolicies(riskModule, assetId, triggerPrices, lower, payouts, expirations, onBehalfOf, maxTotalPremium);
+  }
+
+  function _newPolicies(
+    IPriceRiskModule riskModule,
+    uint16 assetId,
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations,
+    address onBehalfOf,
+    uint256 maxTotalPremium
+  ) internal returns (uint256[] memory policyIds) {
+    policyIds = PayoutAutomationLibrary.newPolicies(
+      _policyPool.currency(),
+      riskModule,
+      assetId,
+      triggerPrices,
+      lower,
+      payouts,
+      expirations,
+      maxTotalPremium
+    );
+    for (uint256 i = 0; i < policyIds.length; i++) {
+      _policyCreated(riskModule, policyIds[i], onBehalfOf);
+    }
+  }
+
+  function _newPolicy(
+    IPriceRiskModule riskModule,
+    uint16 assetId,
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium
+  ) internal returns (uint256 policyId) {
+    policyId = PayoutAutomationLibrary.newPolicy(
+      _policyPool.currency(),
+      riskModule,
+      assetId,
+      triggerPrice,
+      lower,
+      payout,
+      expiration,
+      maxPremium
+    );
+    _policyCreated(riskModule, policyId, onBehalfOf);
+  }
+
+  /**
+   * @dev Called for every new policy, owned by this contract, to mint the NFT to `onBehalfOf`. Hook for the
+   *      subclasses that need to do something with every new policy.
+   */
+  function _policyCreated(
+    IPriceRiskModule, // riskModule, used by the subclasses
+    uint256 policyId,
+    address onBehalfOf
+  ) internal virtual {
     _safeMint(onBehalfOf, policyId, "");
-    return policyId;
   }
 
   function newPolicyWithPermit(
@@ -190,16 +447,35 @@ abstract contract PayoutAutomationBase is
     bytes32 permitR,
     bytes32 permitS
   ) public virtual override returns (uint256 policyId) {
-    IERC20Permit(address(_policyPool.currency())).permit(
-      _msgSender(),
-      address(this),
-      permitValue,
-      permitDeadline,
-      permitV,
-      permitR,
-      permitS
-    );
-    return newPolicy(riskModule, triggerPrice, lower, payout, expiration, onBehalfOf);
+    _permit(permitValue, permitDeadline, permitV, permitR, permitS);
+    return _newPolicy(riskModule, 0, triggerPrice, lower, payout, expiration, onBehalfOf, type(uint256).max);
+  }
+
+  /**
+   * @dev Creates a new policy in a given PriceRiskModule (using ERC20 permit), reverting if the premium exceeds
+   *      `maxPremium`. Without this guard, `permitValue` is the only (implicit) cap of the premium.
+   *      There's no `deadline` parameter because `permitDeadline` already limits when the transaction can be executed.
+   */
+  function newPolicyWithPermit(
+    IPriceRiskModule riskModule,
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    address onBehalfOf,
+    uint256 maxPremium,
+    uint256 permitValue,
+    uint256 permitDeadline,
+    uint8 permitV,
+    bytes32 permitR,
+    bytes32 permitS
+  ) external virtual override returns (uint256 policyId) {
+    _permit(permitValue, permitDeadline, permitV, permitR, permitS);
+    return _newPolicy(riskModule, 0, triggerPrice, lower, payout, expiration, onBehalfOf, maxPremium);
+  }
+
+  function _permit(uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+    IERC20Permit(address(_policyPool.currency())).permit(_msgSender(), address(this), value, deadline, v, r, s);
   }
 
   function _handlePayout(address receiver, uint256 amount) internal virtual;
@@ -3,7 +3,6 @@ pragma solidity ^0.8.0;
 
 import {IPolicyPool} from "@ensuro/core/contracts/interfaces/IPolicyPool.sol";
 import {IPolicyHolder} from "@ensuro/core/contracts/interfaces/IPolicyHolder.sol";
-import {WadRayMath} from "@ensuro/core/contracts/dependencies/WadRayMath.sol";
 
 import {SwapLibrary} from "@ensuro/swaplibrary/contracts/SwapLibrary.sol";
 import {SafeCast} from "@openzeppelin/contracts/utils/math/SafeCast.sol";
@@ -11,22 +10,19 @@ import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol
 import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 
 import {AutomateTaskCreator} from "../dependencies/gelato-v2/AutomateTaskCreator.sol";
-import {Module, ModuleData} from "../dependencies/gelato-v2/Types.sol";
 import {IWETH9} from "../dependencies/uniswap-v3/IWETH9.sol";
 
 import {IPriceRiskModule} from "../interfaces/IPriceRiskModule.sol";
 import {IPriceOracle} from "../interfaces/IPriceOracle.sol";
 
 import {PayoutAutomationBase} from "./PayoutAutomationBase.sol";
+import {PayoutAutomationLibrary} from "./PayoutAutomationLibrary.sol";
 
 abstract contract PayoutAutomationBaseGelato is AutomateTaskCreator, PayoutAutomationBase {
   using SwapLibrary for SwapLibrary.SwapConfig;
   using SafeERC20 for IERC20Metadata;
-  using WadRayMath for uint256;
   using SafeCast for uint256;
 
-  uint256 internal constant WAD = 1e18;
-
   /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
   uint256 internal immutable _wadToCurrencyFactor;
   /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
@@ -98,9 +94,12 @@ abstract contract PayoutAutomationBaseGelato is AutomateTaskCreator, PayoutAutom
     uint256 tokenId,
     uint256 amount
   ) external virtual override onlyPolicyPool returns (bytes4) {
+    _cancelTask(_taskIds[tokenId]);
     address paymentReceiver = ownerOf(tokenId);
     _burn(tokenId);
-    _cancelTask(_taskIds[tokenId]);
+    // The NFT of the policies being cancelled with `cancelPolicy` is owned by this contract, the refund is
+    // transferred there. The cancellations aren't executed by Gelato, so there's no tx fee to pay.
+    if (paymentReceiver == address(this)) return IPolicyHolder.onPayoutReceived.selector;
     uint256 remaining = _payTxFee(amount);
     _handlePayout(paymentReceiver, remaining);
     return IPolicyHolder.onPayoutReceived.selector;
@@ -128,17 +127,14 @@ abstract contract PayoutAutomationBaseGelato is AutomateTaskCreator, PayoutAutom
     (uint256 fee, address feeToken) = _getFeeDetails();
     require(feeToken == ETH, "Unsupported feeToken for gelato payment");
 
-    uint256 feeInUSDC = (fee.wadMul(_oracle.getCurrentPrice()) / _wadToCurrencyFactor).wadMul(
-      WAD + _swapConfig.maxSlippage
-    );
-
-    require(feeInUSDC < amount, "ForwardPayoutAutomationGelato: the payout is not enough to cover the tx fees");
-
-    uint256 actualFeeInUSDC = _swapConfig.exactOutput(
-      address(_policyPool.currency()),
+    uint256 actualFeeInUSDC = PayoutAutomationLibrary.swapTxFee(
+      _swapConfig,
+      _oracle,
+      _policyPool.currency(),
       address(weth),
+      _wadToCurrencyFactor,
       fee,
-      _oracle.getCurrentPrice()
+      amount
     );
 
     // Convert the WMATIC to MATIC for fee payment
@@ -149,26 +145,14 @@ abstract contract PayoutAutomationBaseGelato is AutomateTaskCreator, PayoutAutom
   }
 
   /**
-   * @inheritdoc PayoutAutomationBase
+   * @dev Creates the Gelato task that triggers the policy
    */
-  function newPolicy(
-    IPriceRiskModule riskModule,
-    uint256 triggerPrice,
-    bool lower,
-    uint256 payout,
-    uint40 expiration,
-    address onBehalfOf
-  ) public virtual override returns (uint256 policyId) {
-    policyId = super.newPolicy(riskModule, triggerPrice, lower, payout, expiration, onBehalfOf);
-    ModuleData memory moduleData = ModuleData({modules: new Module[](1), args: new bytes[](1)});
-    moduleData.modules[0] = Module.RESOLVER;
-    moduleData.args[0] = _resolverModuleArg(address(this), abi.encodeCall(this.checker, (riskModule, policyId)));
-
-    _taskIds[policyId] = _createTask(
-      address(riskModule),
-      abi.encode(riskModule.triggerPolicy.selector),
-      moduleData,
-      ETH
+  function _policyCreated(IPriceRiskModule riskModule, uint256 policyId, address onBehalfOf) internal virtual override {
+    super._policyCreated(riskModule, policyId, onBehalfOf);
+    _taskIds[policyId] = PayoutAutomationLibrary.createTask(
+      automate,
+      riskModule,
+      abi.encodeCall(this.checker, (riskModule, policyId))
     );
   }
 
@@ -183,7 +167,7 @@ abstract contract PayoutAutomationBaseGelato is AutomateTaskCreator, PayoutAutom
     IPriceRiskModule riskModule,
     uint256 policyId
   ) external view returns (bool canExec, bytes memory execPayload) {
-    canExec = riskModule.policyCanBeTriggered(policyId);
+    (canExec, ) = riskModule.policyCanBeTriggered(policyId);
     execPayload = abi.encodeCall(riskModule.triggerPolicy, (policyId));
   }
 
@@ -0,0 +1,186 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.0;
+
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {WadRayMath} from "@ensuro/core/contracts/dependencies/WadRayMath.sol";
+import {SwapLibrary} from "@ensuro/swaplibrary/contracts/SwapLibrary.sol";
+import {IAutomate, Module, ModuleData} from "../dependencies/gelato-v2/Types.sol";
+import {IPool} from "../dependencies/aave-v3/IPool.sol";
+import {DataTypes} from "../dependencies/aave-v3/DataTypes.sol";
+import {IPriceOracle} from "../interfaces/IPriceOracle.sol";
+import {IPriceRiskModule} from "../interfaces/IPriceRiskModule.sol";
+
+/**
+ * @title PayoutAutomationLibrary
+ * @dev Logic of the payout automations (policy creation, Gelato tasks and fees), deployed as a linked library to
+ *      keep the automations below the contract size limit. The functions run in the context of the automation
+ *      (delegatecall), so the premiums are transferred from the caller to the automation and the policies and the
+ *      Gelato tasks are owned by the automation.
+ * @custom:security-contact security@ensuro.co
+ * @author Ensuro
+ */
+library PayoutAutomationLibrary {
+  using SafeERC20 for IERC20Metadata;
+  using SwapLibrary for SwapLibrary.SwapConfig;
+  using WadRayMath for uint256;
+
+  uint256 internal constant WAD = 1e18;
+  // Same as AutomateReady.ETH, the fee token of the Gelato tasks
+  address internal constant ETH = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+
+  /**
+   * @dev Transfers the premium from the caller and creates the policy on the asset `assetId` (0 = default asset) of
+   *      the module, reverting if the policy isn't supported or the premium exceeds `maxPremium`
+   */
+  function newPolicy(
+    IERC20Metadata currency,
+    IPriceRiskModule riskModule,
+    uint16 assetId,
+    uint256 triggerPrice,
+    bool lower,
+    uint256 payout,
+    uint40 expiration,
+    uint256 maxPremium
+  ) external returns (uint256) {
+    (uint256 premium, ) = riskModule.pricePolicy(assetId, triggerPrice, lower, payout, expiration);
+    require(premium != 0, "PayoutAutomationBase: premium = 0, policy not supported");
+    require(premium <= maxPremium, "PayoutAutomationBase: premium exceeds maxPremium");
+    currency.safeTransferFrom(msg.sender, address(this), premium);
+    return riskModule.newPolicy(assetId, triggerPrice, lower, payout, expiration, address(this));
+  }
+
+  /**
+   * @dev Transfers the sum of the premiums from the caller and creates a ladder of policies on the asset `assetId`,
+   *      reverting if any of the policies isn't supported or the sum of the premiums exceeds `maxTotalPremium`
+   */
+  function newPolicies(
+    IERC20Metadata currency,
+    IPriceRiskModule riskModule,
+    uint16 assetId,
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations,
+    uint256 maxTotalPremium
+  ) external returns (uint256[] memory policyIds) {
+    _chargePremium(
+      currency,
+      _totalPremium(riskModule, assetId, triggerPrices, lower, payouts, expirations),
+      maxTotalPremium
+    );
+    return _createLadder(riskModule, assetId, triggerPrices, lower, payouts, expirations);
+  }
+
+  function _chargePremium(IERC20Metadata currency, uint256 totalPremium, uint256 maxTotalPremium) private {
+    require(totalPremium <= maxTotalPremium, "PayoutAutomationBase: total premium exceeds maxTotalPremium");
+    currency.safeTransferFrom(msg.sender, address(this), totalPremium);
+  }
+
+  function _createLadder(
+    IPriceRiskModule riskModule,
+    uint16 assetId,
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations
+  ) private returns (uint256[] memory) {
+    return riskModule.newPolicies(assetId, triggerPrices, lower, payouts, expirations, address(this));
+  }
+
+  function _totalPremium(
+    IPriceRiskModule riskModule,
+    uint16 assetId,
+    uint256[] calldata triggerPrices,
+    bool lower,
+    uint256[] calldata payouts,
+    uint40[] calldata expirations
+  ) private view returns (uint256 totalPremium) {
+    require(
+      triggerPrices.length == payouts.length && triggerPrices.length == expirations.length,
+      "PayoutAutomationBase: array lengths mismatch"
+    );
+    uint256[] memory premiums = riskModule.pricePolicies(assetId, triggerPrices, lower, payouts, expirations);
+    for (uint256 i = 0; i < premiums.length; i++) {
+      require(premiums[i] != 0, "PayoutAutomationBase: premium = 0, policy not supported");
+      totalPremium += premiums[i];
+    }
+  }
+
+  /**
+   * @dev Cancels a policy owned by the automation and transfers the refund received (if any) to the caller
+   */
+  function cancelPolicy(IERC20Metadata currency, IPriceRiskModule riskModule, uint256 policyId) external {
+    // The PolicyPool encodes the address of the risk module in the upper 160 bits of the policy id
+    require(
+      address(uint160(policyId >> 96)) == address(riskModule),
+      "PayoutAutomationBase: the policy doesn't belong to the riskModule"
+    );
+    uint256 balanceBefore = currency.balanceOf(address(this));
+    riskModule.cancelPolicy(policyId);
+    uint256 refund = currency.balanceOf(address(this)) - balanceBefore;
+    if (refund != 0) currency.safeTransfer(msg.sender, refund);
+  }
+
+  /**
+   * @dev Creates the Gelato task that calls `riskModule.triggerPolicy(policyId)` when `resolverData` (a call to this
+   *      contract) says so. Paid with the payout (synchronous fee payment in ETH).
+   */
+  function createTask(
+    IAutomate automate,
+    IPriceRiskModule riskModule,
+    bytes memory resolverData
+  ) external returns (bytes32) {
+    ModuleData memory moduleData = ModuleData({modules: new Module[](1), args: new bytes[](1)});
+    moduleData.modules[0] = Module.RESOLVER;
+    moduleData.args[0] = abi.encode(address(this), resolverData);
+    return automate.createTask(address(riskModule), abi.encode(riskModule.triggerPolicy.selector), moduleData, ETH);
+  }
+
+  /**
+   * @dev Swaps the payout currency for `fee` WETH, to pay the Gelato tx fee, reverting if the payout isn't enough
+   * @param wadToCurrencyFactor 10**(18 - currency.decimals())
+   * @param amount The payout amount that was received
+   * @return The amount of currency spent in the swap
+   */
+  function swapTxFee(
+    SwapLibrary.SwapConfig storage swapConfig,
+    IPriceOracle oracle,
+    IERC20Metadata currency,
+    address weth,
+    uint256 wadToCurrencyFactor,
+    uint256 fee,
+    uint256 amount
+  ) external returns (uint256) {
+    uint256 feeInUSDC = (fee.wadMul(oracle.getCurrentPrice()) / wadToCurrencyFactor).wadMul(
+      WAD + swapConfig.maxSlippage
+    );
+
+    require(feeInUSDC < amount, "ForwardPayoutAutomationGelato: the payout is not enough to cover the tx fees");
+
+    return swapConfig.exactOutput(address(currency), weth, fee, oracle.getCurrentPrice());
+  }
+
+  /**
+   * @dev Repays the variable and then the stable debt of `receiver` in AAVE with the payout, and supplies the rest
+   *      (if any) on behalf of `receiver`. Used by the AAVERepayPayoutAutomation, that approved AAVE to spend the
+   *      currency.
+   */
+  function aaveRepay(IPool aave, address asset, address receiver, uint256 amount) external {
+    DataTypes.ReserveData memory reserveData = aave.getReserveData(asset);
+    uint256 debt = IERC20Metadata(reserveData.variableDebtTokenAddress).balanceOf(receiver);
+    if (debt > 0) {
+      amount -= aave.repay(asset, Math.min(debt, amount), 2, receiver);
+    }
+    if (amount != 0) {
+      debt = IERC20Metadata(reserveData.stableDebtTokenAddress).balanceOf(receiver);
+      if (debt > 0) {
+        amount -= aave.repay(asset, Math.min(debt, amount), 1, receiver);
+      }
+    }
+    if (amount != 0) {
+      aave.supply(asset, amount, receiver, 0);
+    }
+  }
+}
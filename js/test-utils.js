@@ -0,0 +1,111 @@
+const hre = require("hardhat");
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { addRiskModule } = require("@ensuro/core/js/test-utils");
+const { _W } = require("@ensuro/core/js/utils");
+
+const { ethers } = hre;
+
+/**
+ * Deploys the libraries and the extensions of the PriceRiskModule (PriceRiskModuleCreation ->
+ * PriceRiskModulePricing -> PriceRiskModuleResolution -> PriceRiskModuleConfig), so the PriceRiskModule can be
+ * linked with the first one (see PriceRiskModuleCreationAddress).
+ *
+ * @returns The PriceRiskModule contract factory (linked with the extensions) and the extraConstructorArgs
+ */
+async function deployPriceRiskModuleExtensions(pool, premiumsAccount, slotSize) {
+  const poolAddr = await ethers.resolveAddress(pool);
+  const paAddr = await ethers.resolveAddress(premiumsAccount);
+
+  const PriceRiskModuleLibrary = await ethers.getContractFactory("PriceRiskModuleLibrary");
+  const rmLibrary = await ethers.resolveAddress(await PriceRiskModuleLibrary.deploy());
+  const PricePolicyLibrary = await ethers.getContractFactory("PricePolicyLibrary");
+  const policyLibrary = await ethers.resolveAddress(await PricePolicyLibrary.deploy());
+
+  async function deploy(name, libraries, ...args) {
+    const factory = await ethers.getContractFactory(name, { libraries });
+    return ethers.resolveAddress(await factory.deploy(poolAddr, paAddr, slotSize, ...args));
+  }
+
+  const config = await deploy("PriceRiskModuleConfig", { PriceRiskModuleLibrary: rmLibrary });
+  const resolution = await deploy("PriceRiskModuleResolution", { PricePolicyLibrary: policyLibrary }, config);
+  const pricing = await deploy("PriceRiskModulePricing", { PriceRiskModuleLibrary: rmLibrary }, resolution);
+  const creation = await deploy("PriceRiskModuleCreation", { PricePolicyLibrary: policyLibrary }, pricing);
+
+  const PriceRiskModule = await ethers.getContractFactory("PriceRiskModule", {
+    libraries: { PriceRiskModuleCreationAddress: creation },
+  });
+  return { PriceRiskModule, extraConstructorArgs: [slotSize] };
+}
+
+/**
+ * Returns the PriceRiskModule at `address` with the combined interface of the five contracts of the module
+ */
+async function getPriceRiskModuleAt(address) {
+  const fragments = [];
+  for (const name of [
+    "PriceRiskModule",
+    "PriceRiskModuleCreation",
+    "PriceRiskModulePricing",
+    "PriceRiskModuleResolution",
+    "PriceRiskModuleConfig",
+  ]) {
+    const { abi } = await hre.artifacts.readArtifact(name);
+    // The constructor, the fallback and the functions inherited from PriceRiskModuleBase are in all of them
+    fragments.push(
+      ...abi.filter(
+        (f) =>
+          f.type !== "constructor" &&
+          f.type !== "fallback" &&
+          !fragments.some((g) => g.type === f.type && g.name === f.name && sameInputs(f, g))
+      )
+    );
+  }
+  // The errors of the validation of the CDFs are declared (and raised) in the PriceRiskModuleLibrary
+  const { abi } = await hre.artifacts.readArtifact("PriceRiskModuleLibrary");
+  fragments.push(...abi.filter((f) => f.type === "error"));
+  return ethers.getContractAt(fragments, address);
+}
+
+function sameInputs(f, g) {
+  return JSON.stringify(f.inputs || []) === JSON.stringify(g.inputs || []);
+}
+
+/**
+ * Deploys a PriceRiskModule (with its extensions) and adds it to the pool, see `addRiskModule` of @ensuro/core.
+ *
+ * @param options The options of `addRiskModule`, where extraConstructorArgs is replaced by slotSize
+ * @returns The proxy of the module with the combined interface of the five contracts
+ */
+async function addPriceRiskModule(pool, premiumsAccount, oracle, { slotSize, ...options } = {}) {
+  const { PriceRiskModule, extraConstructorArgs } = await deployPriceRiskModuleExtensions(
+    pool,
+    premiumsAccount,
+    slotSize || _W("0.01")
+  );
+  const rm = await addRiskModule(pool, premiumsAccount, PriceRiskModule, {
+    ...options,
+    extraConstructorArgs,
+    extraArgs: [await ethers.resolveAddress(oracle)],
+  });
+  return getPriceRiskModuleAt(await ethers.resolveAddress(rm));
+}
+
+/**
+ * Adds a round to an AggregatorV3Mock. By default, the round starts and it's updated at the timestamp of the latest
+ * block, and it's answered in the round that's being added.
+ */
+async function addRound(aggregator, price, startedAt, updatedAt, answeredInRound) {
+  const now = await helpers.time.latest();
+  if (answeredInRound === undefined) {
+    const [latestRound] = await aggregator.latestRoundData();
+    answeredInRound = latestRound + 1n;
+  }
+  return aggregator._addRound(price, startedAt || now, updatedAt || now, answeredInRound);
+}
+
+module.exports = {
+  addPriceRiskModule,
+  addRound,
+  deployPriceRiskModuleExtensions,
+  getPriceRiskModuleAt,
+};
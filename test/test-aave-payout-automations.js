@@ -8,11 +8,11 @@ const { _W, _E, amountFunction, grantComponentRole, makePolicyId } = require("@e
 const {
   deployPool,
   deployPremiumsAccount,
-  addRiskModule,
   addEToken,
   initForkCurrency,
   setupChain,
 } = require("@ensuro/core/js/test-utils");
+const { addPriceRiskModule } = require("../js/test-utils");
 const { buildUniswapConfig } = require("@ensuro/swaplibrary/js/utils");
 
 const HOUR = 3600;
@@ -321,14 +321,9 @@ describe("Test AAVE payout automation contracts", function () {
 
     const PriceOracleMock = await ethers.getContractFactory("PriceOracleMock");
     const oracle = await PriceOracleMock.deploy(_W(1500));
-    const oracleAddr = await ethers.resolveAddress(oracle);
     const maticOracle = await PriceOracleMock.deploy(_W("0.6"));
 
-    const PriceRiskModule = await ethers.getContractFactory("PriceRiskModule");
-    const rm = await addRiskModule(pool, premiumsAccount, PriceRiskModule, {
-      extraConstructorArgs: [_W("0.01")],
-      extraArgs: [oracleAddr],
-    });
+    const rm = await addPriceRiskModule(pool, premiumsAccount, oracle);
 
     await grantComponentRole(hre, accessManager, rm, "PRICER_ROLE", owner);
 
@@ -339,11 +334,16 @@ describe("Test AAVE payout automation contracts", function () {
     const deployedSwapLibrary = await SwapLibrary.deploy();
     const swapAddr = await ethers.resolveAddress(deployedSwapLibrary);
 
-    const AAVERepayPayoutAutomation = await ethers.getContractFactory("AAVERepayPayoutAutomation", {
+    const PayoutAutomationLibrary = await ethers.getContractFactory("PayoutAutomationLibrary", {
       libraries: { SwapLibrary: swapAddr },
     });
+    const libraryAddr = await ethers.resolveAddress(await PayoutAutomationLibrary.deploy());
+
+    const AAVERepayPayoutAutomation = await ethers.getContractFactory("AAVERepayPayoutAutomation", {
+      libraries: { SwapLibrary: swapAddr, PayoutAutomationLibrary: libraryAddr },
+    });
     const AAVEBuyEthPayoutAutomation = await ethers.getContractFactory("AAVEBuyEthPayoutAutomation", {
-      libraries: { SwapLibrary: swapAddr },
+      libraries: { SwapLibrary: swapAddr, PayoutAutomationLibrary: libraryAddr },
     });
 
     return {
@@ -358,7 +358,6 @@ describe("Test AAVE payout automation contracts", function () {
       rm,
       oracle,
       maticOracle,
-      PriceRiskModule,
       PriceOracleMock,
       AAVERepayPayoutAutomation,
       AAVEBuyEthPayoutAutomation,
@@ -5,6 +5,7 @@ const { ZeroAddress } = ethers;
 const helpers = require("@nomicfoundation/hardhat-network-helpers");
 const { _E, _W, amountFunction } = require("@ensuro/core/js/utils");
 const { fork } = require("@ensuro/core/js/test-utils");
+const { addRound } = require("../js/test-utils");
 
 const HOUR = 3600;
 
@@ -20,11 +21,6 @@ describe("Test PriceRiskModule contract", function () {
     ChainlinkPriceOracle = await ethers.getContractFactory("ChainlinkPriceOracle");
   });
 
-  async function addRound(oracle, price, startedAt, updatedAt, answeredInRound) {
-    const now = await helpers.time.latest();
-    return oracle._addRound(price, startedAt || now, updatedAt || now, answeredInRound || 0);
-  }
-
   async function deployAggMock(decimals = 8) {
     const AggregatorV3Mock = await ethers.getContractFactory("AggregatorV3Mock");
     const aggContract = AggregatorV3Mock.deploy(decimals);
@@ -58,18 +54,22 @@ describe("Test PriceRiskModule contract", function () {
     const asset = await deployAggMock(8);
     const oracle = await ChainlinkPriceOracle.deploy(asset, reference, 3600);
 
-    await expect(oracle.getCurrentPrice()).to.be.revertedWith("Price is older than tolerable");
+    await expect(oracle.getCurrentPrice()).to.be.revertedWith("Round not complete");
 
     await addRound(asset, 0);
-    await expect(oracle.getCurrentPrice()).to.be.revertedWith("Price from not available");
+    await expect(oracle.getCurrentPrice())
+      .to.be.revertedWithCustomError(oracle, "ChainlinkPriceNotPositive")
+      .withArgs(asset, 1, 0);
     await addRound(asset, _A8("1.5"), now - 3800, now - 3800);
     await expect(oracle.getCurrentPrice()).to.be.revertedWith("Price is older than tolerable");
     await addRound(asset, _A8("2.5"), now, now);
 
     // Keeps failing because of referenceOracle missing price
-    await expect(oracle.getCurrentPrice()).to.be.revertedWith("Price is older than tolerable");
-    await addRound(reference, 0);
-    await expect(oracle.getCurrentPrice()).to.be.revertedWith("Price to not available");
+    await expect(oracle.getCurrentPrice()).to.be.revertedWith("Round not complete");
+    await addRound(reference, _A8("-0.1"));
+    await expect(oracle.getCurrentPrice())
+      .to.be.revertedWithCustomError(oracle, "ChainlinkPriceNotPositive")
+      .withArgs(reference, 1, _A8("-0.1"));
     await addRound(reference, _A8("0.1"), now - 3800, now - 3800);
     await expect(oracle.getCurrentPrice()).to.be.revertedWith("Price is older than tolerable");
     await addRound(reference, _A8("0.5"), now, now);
@@ -77,6 +77,49 @@ describe("Test PriceRiskModule contract", function () {
     expect(await oracle.getCurrentPrice()).to.be.equal(_W("5"));
   });
 
+  it("getCurrentPrice should revert if the round is not complete", async () => {
+    const now = await helpers.time.latest();
+    const asset = await deployAggMock(8);
+    const oracle = await ChainlinkPriceOracle.deploy(asset, ZeroAddress, 3600);
+
+    // Not started
+    await asset._addRound(_A8("1.5"), 0, now, 1);
+    await expect(oracle.getCurrentPrice()).to.be.revertedWith("Round not complete");
+    // Answer carried over from a previous round
+    await addRound(asset, _A8("1.5"), now, now, 1);
+    await expect(oracle.getCurrentPrice()).to.be.revertedWith("Round answer is stale");
+    await expect(oracle.getRound(2)).to.be.revertedWith("Round answer is stale");
+    await addRound(asset, _A8("1.5"), now, now);
+    expect(await oracle.getCurrentPrice()).to.be.equal(_W("1.5"));
+  });
+
+  it("getPriceDetails returns the latest rounds of the asset and reference oracles", async () => {
+    const now = await helpers.time.latest();
+    const reference = await deployAggMock(8);
+    const asset = await deployAggMock(6);
+    let oracle = await ChainlinkPriceOracle.deploy(asset, reference, 3600);
+
+    await addRound(asset, _A("10"), now - 3800, now - 3800);
+    await addRound(asset, _A("12"), now - 3700, now - 3700);
+    await addRound(reference, _A8("2"), now, now);
+    // Doesn't check the age of the rounds, so it can explain why getCurrentPrice fails
+    await expect(oracle.getCurrentPrice()).to.be.revertedWith("Price is older than tolerable");
+    const [assetDetails, referenceDetails] = await oracle.getPriceDetails();
+    expect(assetDetails).to.deep.equal([_W("12"), 2n, BigInt(now - 3700)]);
+    expect(referenceDetails).to.deep.equal([_W("2"), 1n, BigInt(now)]);
+
+    await addRound(reference, 0);
+    await expect(oracle.getPriceDetails())
+      .to.be.revertedWithCustomError(oracle, "ChainlinkPriceNotPositive")
+      .withArgs(reference, 2, 0);
+
+    oracle = await ChainlinkPriceOracle.deploy(asset, ZeroAddress, 3600);
+    expect(await oracle.getPriceDetails()).to.deep.equal([
+      [_W("12"), 2n, BigInt(now - 3700)],
+      [0n, 0n, 0n],
+    ]);
+  });
+
   it("If not reference, returns just the asset price", async () => {
     const asset = await deployAggMock(8);
     const oracle = await ChainlinkPriceOracle.deploy(asset, ZeroAddress, 3600);
@@ -85,6 +128,79 @@ describe("Test PriceRiskModule contract", function () {
     expect(await oracle.getCurrentPrice()).to.be.equal(_W("34.2"));
   });
 
+  it("getCurrentPrice should revert if the sequencer is down or the grace period is not over", async () => {
+    const asset = await deployAggMock(8);
+    const SequencerUptimeFeedMock = await ethers.getContractFactory("SequencerUptimeFeedMock");
+    const sequencer = await SequencerUptimeFeedMock.deploy();
+    const ChainlinkL2PriceOracle = await ethers.getContractFactory("ChainlinkL2PriceOracle");
+    await expect(ChainlinkL2PriceOracle.deploy(asset, ZeroAddress, 3600, ZeroAddress, HOUR)).to.be.revertedWith(
+      "PriceRiskModule: sequencerUptimeFeed_ cannot be the zero address"
+    );
+    const oracle = await ChainlinkL2PriceOracle.deploy(asset, ZeroAddress, 3600, sequencer, HOUR);
+    expect(await oracle.sequencerUptimeFeed()).to.be.equal(sequencer);
+    expect(await oracle.gracePeriod()).to.be.equal(HOUR);
+
+    await addRound(asset, _A8("34.2"));
+    await expect(oracle.getCurrentPrice()).to.be.revertedWith("Sequencer status not available");
+
+    let now = await helpers.time.latest();
+    await sequencer._setStatus(false, now - 2 * HOUR);
+    expect(await oracle.getCurrentPrice()).to.be.equal(_W("34.2"));
+
+    // The sequencer goes down, the price is still within the tolerance but it's not accepted
+    now = await helpers.time.latest();
+    await sequencer._setStatus(true, now);
+    await expect(oracle.getCurrentPrice()).to.be.revertedWith("Sequencer is down");
+
+    // The sequencer recovers, the price isn't accepted until the grace period is over
+    await helpers.time.increase(HOUR / 2);
+    now = await helpers.time.latest();
+    await sequencer._setStatus(false, now);
+    await addRound(asset, _A8("35"));
+    await expect(oracle.getCurrentPrice()).to.be.revertedWith("Sequencer grace period not over");
+
+    await helpers.time.increase(HOUR);
+    await addRound(asset, _A8("35"));
+    expect(await oracle.getCurrentPrice()).to.be.equal(_W("35"));
+  });
+
+  it("getRound and getHistoricalPrice should revert for the rounds before the sequencer grace period", async () => {
+    const asset = await deployAggMock(8);
+    const SequencerUptimeFeedMock = await ethers.getContractFactory("SequencerUptimeFeedMock");
+    const sequencer = await SequencerUptimeFeedMock.deploy();
+    const ChainlinkL2PriceOracle = await ethers.getContractFactory("ChainlinkL2PriceOracle");
+    const oracle = await ChainlinkL2PriceOracle.deploy(asset, ZeroAddress, 3600, sequencer, HOUR);
+
+    const firstAt = await helpers.time.latest();
+    await addRound(asset, _A8("34.2"));
+    await expect(oracle.getRound(1)).to.be.revertedWith("Sequencer status not available");
+
+    await sequencer._setStatus(false, firstAt - 2 * HOUR);
+    expect(await oracle.getRound(1)).to.deep.equal([_W("34.2"), firstAt]);
+    expect(await oracle.getHistoricalPrice(1, firstAt, firstAt)).to.be.equal(_W("34.2"));
+
+    // Round updated while the sequencer was down
+    const downAt = await helpers.time.latest();
+    await sequencer._setStatus(true, downAt);
+    await addRound(asset, _A8("30"));
+    await expect(oracle.getRound(2)).to.be.revertedWith("Sequencer is down");
+    await expect(oracle.getHistoricalPrice(2, downAt, downAt + 1)).to.be.revertedWith("Sequencer is down");
+
+    await helpers.time.increase(HOUR / 2);
+    await sequencer._setStatus(false, await helpers.time.latest());
+    await helpers.time.increase(HOUR);
+    const upAt = await helpers.time.latest();
+    await addRound(asset, _A8("35"));
+
+    // The rounds before the sequencer came back up (and the grace period) aren't accepted anymore
+    await expect(oracle.getRound(1)).to.be.revertedWith("Round updated before the sequencer grace period");
+    await expect(oracle.getHistoricalPrice(2, downAt, downAt + 1)).to.be.revertedWith(
+      "Round updated before the sequencer grace period"
+    );
+    expect(await oracle.getRound(3)).to.deep.equal([_W("35"), upAt]);
+    expect(await oracle.getHistoricalPrice(3, upAt, upAt)).to.be.equal(_W("35"));
+  });
+
   it("It works fine with different decimal combinations", async () => {
     // Asset = 6 decimals / Reference = 8 decimals
     let asset = await deployAggMock(6);
@@ -121,6 +237,68 @@ describe("Test PriceRiskModule contract", function () {
     expect(await oracle.getCurrentPrice()).to.be.equal(_W("8"));
   });
 
+  it("getHistoricalPrice and getRound validate the round and the time window", async () => {
+    const now = await helpers.time.latest();
+    const asset = await deployAggMock(8);
+    const reference = await deployAggMock(8);
+
+    let oracle = await ChainlinkPriceOracle.deploy(asset, reference, 3600);
+    await expect(oracle.getHistoricalPrice(1, now - HOUR, now)).to.be.revertedWith(
+      "Historical prices not supported with referenceOracle"
+    );
+
+    oracle = await ChainlinkPriceOracle.deploy(asset, ZeroAddress, 3600);
+    await expect(oracle.getHistoricalPrice(1, now - HOUR, now)).to.be.revertedWith("Round not complete");
+
+    await addRound(asset, _A8("1.5"), now - 1800, now - 1800); // Round 1
+    await addRound(asset, 0, now - 600, now - 600); // Round 2
+    await addRound(asset, _A8("2.5"), now, now); // Round 3
+
+    expect(await oracle.getHistoricalPrice(1, now - HOUR, now)).to.be.equal(_W("1.5"));
+    expect(await oracle.getHistoricalPrice(1, now - 1800, now - 1800)).to.be.equal(_W("1.5"));
+    await expect(oracle.getHistoricalPrice(1, now - 1799, now)).to.be.revertedWith(
+      "Round outside of the valid time window"
+    );
+    await expect(oracle.getHistoricalPrice(3, now - HOUR, now - 1)).to.be.revertedWith(
+      "Round outside of the valid time window"
+    );
+    await expect(oracle.getHistoricalPrice(2, now - HOUR, now))
+      .to.be.revertedWithCustomError(oracle, "ChainlinkPriceNotPositive")
+      .withArgs(asset, 2, 0);
+    expect(await oracle.getHistoricalPrice(3, now - HOUR, now)).to.be.equal(_W("2.5"));
+
+    const [price, updatedAt] = await oracle.getRound(1);
+    expect(price).to.be.equal(_W("1.5"));
+    expect(updatedAt).to.be.equal(now - 1800);
+    await expect(oracle.getRound(2))
+      .to.be.revertedWithCustomError(oracle, "ChainlinkPriceNotPositive")
+      .withArgs(asset, 2, 0);
+    await expect(oracle.getRound(4)).to.be.revertedWith("Round not complete");
+  });
+
+  it("nextRoundId returns the next round, moving to the next phase after the last round of a phase", async () => {
+    const asset = await deployAggMock(8);
+    const reference = await deployAggMock(8);
+
+    let oracle = await ChainlinkPriceOracle.deploy(asset, reference, 3600);
+    await expect(oracle.nextRoundId(1)).to.be.revertedWith("Historical prices not supported with referenceOracle");
+
+    oracle = await ChainlinkPriceOracle.deploy(asset, ZeroAddress, 3600);
+    await addRound(asset, _A8("1.5")); // Round 1
+    await addRound(asset, _A8("1.6")); // Round 2
+    expect(await oracle.nextRoundId(1)).to.be.equal(2);
+    // Without next round, it's the id the next round would have in the same phase
+    expect(await oracle.nextRoundId(2)).to.be.equal(3);
+
+    const phase1 = 1n << 64n;
+    await asset._nextPhase();
+    await addRound(asset, _A8("1.7"), 0, 0, phase1 | 1n); // Round 1 of phase 1
+    expect(await oracle.nextRoundId(2)).to.be.equal(phase1 | 1n);
+    expect(await oracle.nextRoundId(phase1 | 1n)).to.be.equal(phase1 | 2n);
+    const [price] = await oracle.getRound(await oracle.nextRoundId(2));
+    expect(price).to.be.equal(_W("1.7"));
+  });
+
   fork.it("Should work with real chainlink oracles", 54659737, async () => {
     // Forking at https://polygonscan.com/block/54659737
     const _U = amountFunction(8);
@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { ZeroAddress } = ethers;
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { _W, amountFunction } = require("@ensuro/core/js/utils");
+
+const HOUR = 3600;
+
+describe("Test FallbackPriceOracle contract", function () {
+  const _A8 = amountFunction(8);
+  let FallbackPriceOracle, PriceOracleMock;
+
+  beforeEach(async () => {
+    FallbackPriceOracle = await ethers.getContractFactory("FallbackPriceOracle");
+    PriceOracleMock = await ethers.getContractFactory("PriceOracleMock");
+  });
+
+  it("Should not accept the zero address", async () => {
+    const source = await PriceOracleMock.deploy(_W(1));
+    await expect(FallbackPriceOracle.deploy(ZeroAddress, source)).to.be.revertedWith(
+      "FallbackPriceOracle: primary cannot be the zero address"
+    );
+    await expect(FallbackPriceOracle.deploy(source, ZeroAddress)).to.be.revertedWith(
+      "FallbackPriceOracle: fallback cannot be the zero address"
+    );
+
+    const oracle = await FallbackPriceOracle.deploy(source, source);
+    expect(await oracle.primary()).to.equal(source);
+    expect(await oracle.fallbackOracle()).to.equal(source);
+  });
+
+  it("Should fail over to the fallback oracle and back to the primary when it recovers", async () => {
+    const AggregatorV3Mock = await ethers.getContractFactory("AggregatorV3Mock");
+    const aggregator = await AggregatorV3Mock.deploy(8);
+    const ChainlinkPriceOracle = await ethers.getContractFactory("ChainlinkPriceOracle");
+    const primary = await ChainlinkPriceOracle.deploy(aggregator, ZeroAddress, HOUR);
+    const fallback = await PriceOracleMock.deploy(_W("1.49"));
+    const oracle = await FallbackPriceOracle.deploy(primary, fallback);
+
+    let now = await helpers.time.latest();
+    await aggregator._addRound(_A8("1.5"), now, now, 1);
+    expect(await oracle.getCurrentPrice()).to.equal(_W("1.5"));
+    expect(await oracle.getCurrentPriceWithSource()).to.deep.equal([_W("1.5"), await primary.getAddress()]);
+    expect(await oracle.activeSource()).to.equal(primary);
+
+    // The primary gets stale
+    await helpers.time.increase(HOUR);
+    await expect(primary.getCurrentPrice()).to.be.revertedWith("Price is older than tolerable");
+    expect(await oracle.getCurrentPrice()).to.equal(_W("1.49"));
+    expect(await oracle.getCurrentPriceWithSource()).to.deep.equal([_W("1.49"), await fallback.getAddress()]);
+    expect(await oracle.activeSource()).to.equal(fallback);
+
+    // Both fail
+    await fallback.setPrice(0);
+    await expect(oracle.getCurrentPrice()).to.be.revertedWith("FallbackPriceOracle: price not available");
+
+    // The primary recovers
+    now = await helpers.time.latest();
+    await aggregator._addRound(_A8("1.52"), now, now, 2);
+    expect(await oracle.getCurrentPrice()).to.equal(_W("1.52"));
+    expect(await oracle.activeSource()).to.equal(primary);
+  });
+
+  it("Should use the fallback oracle if the primary returns zero", async () => {
+    const primary = await PriceOracleMock.deploy(0);
+    const fallback = await PriceOracleMock.deploy(_W(2));
+    const oracle = await FallbackPriceOracle.deploy(primary, fallback);
+
+    expect(await oracle.getCurrentPrice()).to.equal(_W(2));
+    expect(await oracle.activeSource()).to.equal(fallback);
+    await primary.setPrice(_W(3));
+    expect(await oracle.getCurrentPrice()).to.equal(_W(3));
+    expect(await oracle.activeSource()).to.equal(primary);
+  });
+});
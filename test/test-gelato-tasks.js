@@ -19,12 +19,12 @@ const {
 } = require("@ensuro/core/js/utils");
 const {
   addEToken,
-  addRiskModule,
   deployPool,
   deployPremiumsAccount,
   initForkCurrency,
   setupChain,
 } = require("@ensuro/core/js/test-utils");
+const { addPriceRiskModule } = require("../js/test-utils");
 
 const { HOUR } = require("@ensuro/core/js/constants");
 
@@ -555,11 +555,7 @@ async function forwardPayoutAutomationFixture() {
   const oracle = await PriceOracleMock.deploy(_W("0.62"));
   const oracleAddr = await ethers.resolveAddress(oracle);
 
-  const PriceRiskModule = await ethers.getContractFactory("PriceRiskModule");
-  const rm = await addRiskModule(pool, premiumsAccount, PriceRiskModule, {
-    extraConstructorArgs: [_W("0.01")],
-    extraArgs: [oracleAddr],
-  });
+  const rm = await addPriceRiskModule(pool, premiumsAccount, oracle);
 
   await grantComponentRole(hre, accessManager, rm, "PRICER_ROLE", owner);
 
@@ -574,9 +570,14 @@ async function forwardPayoutAutomationFixture() {
   const deployedSwapLibrary = await SwapLibrary.deploy();
   const swapAddr = await ethers.resolveAddress(deployedSwapLibrary);
 
-  const ForwardPayoutAutomation = await ethers.getContractFactory("ForwardPayoutAutomation", {
+  const PayoutAutomationLibrary = await ethers.getContractFactory("PayoutAutomationLibrary", {
     libraries: { SwapLibrary: swapAddr },
   });
+  const libraryAddr = await ethers.resolveAddress(await PayoutAutomationLibrary.deploy());
+
+  const ForwardPayoutAutomation = await ethers.getContractFactory("ForwardPayoutAutomation", {
+    libraries: { SwapLibrary: swapAddr, PayoutAutomationLibrary: libraryAddr },
+  });
   const adminAddr = await ethers.resolveAddress(admin);
 
   const swapConfig = buildUniswapConfig(_W("0.02"), _A("0.0005"), ADDRESSES.SwapRouter);
@@ -615,7 +616,6 @@ async function forwardPayoutAutomationFixture() {
     pool,
     premiumsAccount,
     PriceOracleMock,
-    PriceRiskModule,
     rm,
     signers,
     srEtk,
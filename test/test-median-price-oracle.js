@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { ZeroAddress } = ethers;
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { _W, amountFunction } = require("@ensuro/core/js/utils");
+
+const HOUR = 3600;
+
+describe("Test MedianPriceOracle contract", function () {
+  const _A8 = amountFunction(8);
+  let MedianPriceOracle, PriceOracleMock;
+
+  beforeEach(async () => {
+    MedianPriceOracle = await ethers.getContractFactory("MedianPriceOracle");
+    PriceOracleMock = await ethers.getContractFactory("PriceOracleMock");
+  });
+
+  async function deploySources(prices) {
+    return Promise.all(prices.map((price) => PriceOracleMock.deploy(price)));
+  }
+
+  it("Should validate the construction parameters", async () => {
+    const sources = await deploySources([_W(1), _W(2), _W(3)]);
+
+    await expect(MedianPriceOracle.deploy(sources, 0, _W("0.1"))).to.be.revertedWith(
+      "MedianPriceOracle: invalid quorum"
+    );
+    await expect(MedianPriceOracle.deploy(sources, 4, _W("0.1"))).to.be.revertedWith(
+      "MedianPriceOracle: invalid quorum"
+    );
+    await expect(MedianPriceOracle.deploy([sources[0], ZeroAddress], 1, _W("0.1"))).to.be.revertedWith(
+      "MedianPriceOracle: source cannot be the zero address"
+    );
+    await expect(MedianPriceOracle.deploy(Array(11).fill(sources[0]), 1, _W("0.1"))).to.be.revertedWith(
+      "MedianPriceOracle: too many sources"
+    );
+
+    const oracle = await MedianPriceOracle.deploy(sources, 2, _W("0.1"));
+    expect(await oracle.sources()).to.deep.equal(await Promise.all(sources.map((s) => s.getAddress())));
+    expect(await oracle.quorum()).to.equal(2);
+    expect(await oracle.maxDeviation()).to.equal(_W("0.1"));
+  });
+
+  it("Should return the median of the valid prices", async () => {
+    const sources = await deploySources([_W("100"), _W("102"), _W("99")]);
+    const oracle = await MedianPriceOracle.deploy(sources, 2, _W("0.05"));
+    expect(await oracle.getCurrentPrice()).to.equal(_W("100"));
+
+    // Sources returning zero are ignored, with an even number of prices it's the average of the middle ones
+    await sources[2].setPrice(0);
+    expect(await oracle.getCurrentPrice()).to.equal(_W("101"));
+
+    await sources[0].setPrice(0);
+    await expect(oracle.getCurrentPrice()).to.be.revertedWith("MedianPriceOracle: quorum not reached");
+  });
+
+  it("Should ignore the sources that revert", async () => {
+    const AggregatorV3Mock = await ethers.getContractFactory("AggregatorV3Mock");
+    const aggregator = await AggregatorV3Mock.deploy(8);
+    const ChainlinkPriceOracle = await ethers.getContractFactory("ChainlinkPriceOracle");
+    const chainlinkOracle = await ChainlinkPriceOracle.deploy(aggregator, ZeroAddress, HOUR);
+    const now = await helpers.time.latest();
+    await aggregator._addRound(_A8("101"), now, now, 1);
+
+    const sources = await deploySources([_W("100"), _W("103")]);
+    const oracle = await MedianPriceOracle.deploy([chainlinkOracle, ...sources], 3, _W("0.05"));
+    expect(await oracle.getCurrentPrice()).to.equal(_W("101"));
+
+    // The chainlink price gets stale
+    await helpers.time.increase(HOUR);
+    await expect(chainlinkOracle.getCurrentPrice()).to.be.revertedWith("Price is older than tolerable");
+    await expect(oracle.getCurrentPrice()).to.be.revertedWith("MedianPriceOracle: quorum not reached");
+
+    const oracleQuorum2 = await MedianPriceOracle.deploy([chainlinkOracle, ...sources], 2, _W("0.05"));
+    expect(await oracleQuorum2.getCurrentPrice()).to.equal(_W("101.5"));
+  });
+
+  it("Should revert if the prices deviate from the median more than maxDeviation", async () => {
+    const sources = await deploySources([_W("100"), _W("105"), _W("95")]);
+    const oracle = await MedianPriceOracle.deploy(sources, 2, _W("0.05"));
+    expect(await oracle.getCurrentPrice()).to.equal(_W("100"));
+
+    await sources[1].setPrice(_W("105.1"));
+    await expect(oracle.getCurrentPrice()).to.be.revertedWith(
+      "MedianPriceOracle: sources deviation exceeds maxDeviation"
+    );
+    await sources[1].setPrice(_W("100"));
+    await sources[2].setPrice(_W("94.9"));
+    await expect(oracle.getCurrentPrice()).to.be.revertedWith(
+      "MedianPriceOracle: sources deviation exceeds maxDeviation"
+    );
+  });
+});
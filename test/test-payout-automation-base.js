@@ -12,7 +12,8 @@ const {
   grantRole,
   accessControlMessage,
 } = require("@ensuro/core/js/utils");
-const { deployPool, deployPremiumsAccount, addRiskModule, addEToken } = require("@ensuro/core/js/test-utils");
+const { deployPool, deployPremiumsAccount, addEToken } = require("@ensuro/core/js/test-utils");
+const { addPriceRiskModule } = require("../js/test-utils");
 
 const HOUR = 3600;
 
@@ -44,6 +45,7 @@ describe("Test PayoutAutomationBase contract", function () {
     const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", lpAddr], {
       kind: "uups",
       constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
     });
 
     await expect(fps.initialize("Another Name", "SYMB", lp)).to.be.revertedWith(
@@ -57,6 +59,7 @@ describe("Test PayoutAutomationBase contract", function () {
     const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", ZeroAddress], {
       kind: "uups",
       constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
     });
 
     await expect(grantRole(hre, fps.connect(owner), "GUARDIAN_ROLE", lp)).to.be.revertedWith(
@@ -71,6 +74,7 @@ describe("Test PayoutAutomationBase contract", function () {
     const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", ownerAddr], {
       kind: "uups",
       constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
     });
 
     await grantRole(hre, fps.connect(owner), "GUARDIAN_ROLE", lp);
@@ -89,6 +93,7 @@ describe("Test PayoutAutomationBase contract", function () {
     const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", ZeroAddress], {
       kind: "uups",
       constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
     });
 
     await expect(fps.connect(cust).onERC721Received(pool, cust, 1, ZeroHash)).to.be.revertedWith(
@@ -111,6 +116,7 @@ describe("Test PayoutAutomationBase contract", function () {
     const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", lpAddr], {
       kind: "uups",
       constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
     });
 
     expect(await fps.name()).to.be.equal("The Name");
@@ -126,6 +132,7 @@ describe("Test PayoutAutomationBase contract", function () {
     const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", lpAddr], {
       kind: "uups",
       constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
     });
 
     const interfaceIds = {
@@ -152,6 +159,7 @@ describe("Test PayoutAutomationBase contract", function () {
     const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", lpAddr], {
       kind: "uups",
       constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
     });
 
     await expect(rm.connect(cust).newPolicy(_W(1400), true, _A(1000), start + HOUR * 24, cust)).not.to.be.reverted;
@@ -190,6 +198,7 @@ describe("Test PayoutAutomationBase contract", function () {
     const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", lpAddr], {
       kind: "uups",
       constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
     });
 
     // Create two policies, one with 1400 as price and the other with 1200
@@ -237,6 +246,33 @@ describe("Test PayoutAutomationBase contract", function () {
     await expect(fps.ownerOf(policyId2)).to.be.revertedWith("ERC721: invalid token ID");
   });
 
+  it("Pays the keeper reward out of the payout of the policies held by the FPS", async () => {
+    const { pool, DummyPayoutAutomation, rm, oracle, currency } = await helpers.loadFixture(deployPoolFixture);
+    const start = await helpers.time.latest();
+    const lpAddr = await ethers.resolveAddress(lp);
+    const poolAddr = await ethers.resolveAddress(pool);
+    const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", lpAddr], {
+      kind: "uups",
+      constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
+    });
+
+    await currency.connect(cust).approve(fps, _A(100));
+    const policyId = makePolicyId(rm, 1);
+    await expect(fps.connect(cust).newPolicy(rm, _W(1400), true, _A(1000), start + HOUR * 24, cust)).not.to.be.reverted;
+
+    // The FPS can't approve the module to spend the reward, it's paid with the funds of the module
+    await rm.setKeeperReward(_A(5), 0, _A(5));
+    await currency.connect(owner).transfer(rm, _A(5));
+
+    await helpers.time.increase(HOUR);
+    await oracle.setPrice(_E("1390"));
+    const tx = rm.connect(lp).triggerPolicy(policyId);
+    await expect(tx).to.emit(rm, "KeeperRewardPaid").withArgs(lp, policyId, _A(5));
+    await expect(tx).to.emit(fps, "Payout").withArgs(_A(995), cust);
+    await expect(tx).to.changeTokenBalances(currency, [fps, lp, rm], [_A(995), _A(5), -_A(5)]);
+  });
+
   it("Can create the policy through the FPS and works the same way", async () => {
     const { pool, DummyPayoutAutomation, rm, oracle, currency } = await helpers.loadFixture(deployPoolFixture);
     const start = await helpers.time.latest();
@@ -245,6 +281,7 @@ describe("Test PayoutAutomationBase contract", function () {
     const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", lpAddr], {
       kind: "uups",
       constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
     });
 
     // To use newPolicy you need to approve the fps as spender
@@ -292,6 +329,50 @@ describe("Test PayoutAutomationBase contract", function () {
     await expect(fps.ownerOf(policyId2)).to.be.revertedWith("ERC721: invalid token ID");
   });
 
+  it("Can cancel the policy through the FPS and the refund goes to the NFT owner", async () => {
+    const { pool, DummyPayoutAutomation, rm, currency } = await helpers.loadFixture(deployPoolFixture);
+    const start = await helpers.time.latest();
+    const lpAddr = await ethers.resolveAddress(lp);
+    const poolAddr = await ethers.resolveAddress(pool);
+    const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", lpAddr], {
+      kind: "uups",
+      constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
+    });
+
+    await currency.connect(cust).approve(fps, _A(2000));
+    const policyId = makePolicyId(rm, 1);
+    await expect(fps.connect(cust).newPolicy(rm, _W(1400), true, _A(1000), start + HOUR * 24, cust)).not.to.be.reverted;
+
+    await expect(fps.connect(lp).cancelPolicy(rm, policyId)).to.be.revertedWith(
+      "PayoutAutomationBase: you must own the NFT to cancel the policy"
+    );
+
+    // The risk module must be the one that created the policy
+    await expect(fps.connect(cust).cancelPolicy(pool, policyId)).to.be.revertedWith(
+      "PayoutAutomationBase: the policy doesn't belong to the riskModule"
+    );
+
+    // The policy can't be cancelled directly in the risk module, since the pool NFT is owned by the FPS
+    await expect(rm.connect(cust).cancelPolicy(policyId)).to.be.revertedWith("Only the policy owner can cancel it");
+
+    // Pricing for the remaining duration, so the prorated pure premium is refunded
+    await rm.setCDF(23, Array(Number(await rm.PRICE_SLOTS())).fill([_W("0.01"), _W("0.05"), _W("1.0")]));
+    const policy = (await rm.getPolicyData(policyId))[0];
+    const refund = (policy.purePremium * BigInt(HOUR * 23)) / (policy.expiration - policy.start);
+    await helpers.time.setNextBlockTimestamp(policy.expiration - BigInt(HOUR * 23));
+
+    // The refund isn't handled as a payout, it's transferred to the owner of the NFT
+    const tx = await fps.connect(cust).cancelPolicy(rm, policyId);
+    await expect(tx).to.emit(fps, "Transfer").withArgs(cust, fps, policyId);
+    await expect(tx).to.emit(fps, "Transfer").withArgs(fps, ZeroAddress, policyId);
+    await expect(tx).not.to.emit(fps, "Payout");
+    await expect(tx).to.changeTokenBalance(currency, cust, refund);
+
+    expect(await pool.isActive(policyId)).to.be.equal(false);
+    await expect(fps.ownerOf(policyId)).to.be.revertedWith("ERC721: invalid token ID");
+  });
+
   it("Can create the policy through the FPS using permit", async () => {
     const { pool, DummyPayoutAutomation, rm, oracle, currency } = await helpers.loadFixture(deployPoolFixture);
     const start = await helpers.time.latest();
@@ -300,6 +381,7 @@ describe("Test PayoutAutomationBase contract", function () {
     const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", lpAddr], {
       kind: "uups",
       constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
     });
 
     // To use newPolicyWithPermit you need a valid signature
@@ -471,6 +553,311 @@ describe("Test PayoutAutomationBase contract", function () {
     await expect(fps.ownerOf(policyId2)).to.be.revertedWith("ERC721: invalid token ID");
   });
 
+  it("Can limit the premium and the deadline when creating the policy through the FPS", async () => {
+    const { pool, DummyPayoutAutomation, rm, currency } = await helpers.loadFixture(deployPoolFixture);
+    const start = await helpers.time.latest();
+    const lpAddr = await ethers.resolveAddress(lp);
+    const poolAddr = await ethers.resolveAddress(pool);
+    const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", lpAddr], {
+      kind: "uups",
+      constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
+    });
+    const fpsAddr = await ethers.resolveAddress(fps);
+    const newPolicy = fps.connect(cust)["newPolicy(address,uint256,bool,uint256,uint40,address,uint256,uint40)"];
+    const newPolicyWithPermit =
+      fps.connect(cust)[
+        "newPolicyWithPermit(address,uint256,bool,uint256,uint40,address,uint256,uint256,uint256,uint8,bytes32,bytes32)"
+      ];
+
+    const pricePolicy = rm["pricePolicy(uint256,bool,uint256,uint40)"];
+    await currency.connect(cust).approve(fps, _A(2000));
+    // The premium decreases with the duration of the policy, so it's priced in the pending block, at the timestamp of
+    // the transaction
+    await helpers.time.setNextBlockTimestamp((await helpers.time.latest()) + 60);
+    const [premium] = await pricePolicy(_W(1400), true, _A(1000), start + HOUR * 24, { blockTag: "pending" });
+
+    await expect(
+      newPolicy(rm, _W(1400), true, _A(1000), start + HOUR * 24, cust, premium - 1n, start + HOUR)
+    ).to.be.revertedWith("PayoutAutomationBase: premium exceeds maxPremium");
+    await expect(newPolicy(rm, _W(1400), true, _A(1000), start + HOUR * 24, cust, premium, start)).to.be.revertedWith(
+      "PayoutAutomationBase: deadline expired"
+    );
+    await expect(newPolicy(rm, _W(1400), true, _A(1000), start + HOUR * 24, cust, premium, start + HOUR))
+      .to.emit(fps, "Transfer")
+      .withArgs(ZeroAddress, cust, makePolicyId(rm, 1));
+
+    // With permit, maxPremium limits the premium even if the permitValue is higher
+    await currency.connect(cust).approve(fps, 0);
+    const sig = await makeEIP2612Signature(hre, currency, cust, fpsAddr, _A(200), start + HOUR);
+    await helpers.time.setNextBlockTimestamp((await helpers.time.latest()) + 60);
+    const [premium2] = await pricePolicy(_W(1200), true, _A(700), start + HOUR * 24, { blockTag: "pending" });
+    await expect(
+      newPolicyWithPermit(
+        rm,
+        _W(1200),
+        true,
+        _A(700),
+        start + HOUR * 24,
+        cust,
+        premium2 - 1n,
+        _A(200),
+        start + HOUR,
+        sig.v,
+        sig.r,
+        sig.s
+      )
+    ).to.be.revertedWith("PayoutAutomationBase: premium exceeds maxPremium");
+    await expect(
+      newPolicyWithPermit(
+        rm,
+        _W(1200),
+        true,
+        _A(700),
+        start + HOUR * 24,
+        cust,
+        premium2,
+        _A(200),
+        start + HOUR,
+        sig.v,
+        sig.r,
+        sig.s
+      )
+    )
+      .to.emit(fps, "Transfer")
+      .withArgs(ZeroAddress, cust, makePolicyId(rm, 2));
+  });
+
+  it("Can create a ladder of policies through the FPS, paying the premiums in a single transfer", async () => {
+    const { pool, DummyPayoutAutomation, rm, oracle, currency } = await helpers.loadFixture(deployPoolFixture);
+    const start = await helpers.time.latest();
+    const lpAddr = await ethers.resolveAddress(lp);
+    const poolAddr = await ethers.resolveAddress(pool);
+    const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", lpAddr], {
+      kind: "uups",
+      constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
+    });
+    const expiration = start + HOUR * 24;
+
+    await expect(
+      fps.connect(cust).newPolicies(rm, [_W(1400), _W(1300)], true, [_A(1000)], [expiration, expiration], cust)
+    ).to.be.revertedWith("PayoutAutomationBase: array lengths mismatch");
+
+    let totalPremium = 0n;
+    for (const [triggerPrice, payout] of [
+      [_W(1400), _A(1000)],
+      [_W(1300), _A(500)],
+      [_W(1200), _A(700)],
+    ]) {
+      totalPremium += (await rm.pricePolicy(triggerPrice, true, payout, expiration))[0];
+    }
+    await currency.connect(cust).approve(fps, _A(2000));
+    const balanceBefore = await currency.balanceOf(cust);
+
+    const policyIds = [1, 2, 3].map((i) => makePolicyId(rm, i));
+    const tx = fps
+      .connect(cust)
+      .newPolicies(
+        rm,
+        [_W(1400), _W(1300), _W(1200)],
+        true,
+        [_A(1000), _A(500), _A(700)],
+        Array(3).fill(expiration),
+        cust
+      );
+    await expect(tx)
+      .to.emit(fps, "Transfer")
+      .withArgs(ZeroAddress, cust, policyIds[0])
+      .to.emit(fps, "Transfer")
+      .withArgs(ZeroAddress, cust, policyIds[1])
+      .to.emit(fps, "Transfer")
+      .withArgs(ZeroAddress, cust, policyIds[2]);
+    expect(balanceBefore - (await currency.balanceOf(cust))).to.closeTo(totalPremium, _A("0.0001"));
+    expect(await currency.balanceOf(fps)).to.equal(0);
+    expect(await fps.balanceOf(cust)).to.equal(3);
+    for (const policyId of policyIds) {
+      expect(await pool.ownerOf(policyId)).to.be.equal(fps);
+      expect(await fps.ownerOf(policyId)).to.be.equal(cust);
+    }
+
+    // Each policy is triggered independently
+    await helpers.time.increase(HOUR);
+    await oracle.setPrice(_E("1250"));
+    await expect(rm.triggerPolicy(policyIds[1])).to.emit(fps, "Payout").withArgs(_A(500), cust);
+    await expect(rm.triggerPolicy(policyIds[2])).to.be.revertedWith("Condition not met CurrentPrice > triggerPrice");
+  });
+
+  it("Can limit the total premium and the deadline when creating a ladder through the FPS", async () => {
+    const { pool, DummyPayoutAutomation, rm, currency } = await helpers.loadFixture(deployPoolFixture);
+    const start = await helpers.time.latest();
+    const lpAddr = await ethers.resolveAddress(lp);
+    const poolAddr = await ethers.resolveAddress(pool);
+    const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", lpAddr], {
+      kind: "uups",
+      constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
+    });
+    const newPolicies =
+      fps.connect(cust)["newPolicies(address,uint256[],bool,uint256[],uint40[],address,uint256,uint40)"];
+    const ladder = [[_W(1400), _W(1300)], true, [_A(1000), _A(500)], Array(2).fill(start + HOUR * 24)];
+    await currency.connect(cust).approve(fps, _A(2000));
+
+    // The premiums decrease with the duration of the policies, so they're priced in the pending block, at the
+    // timestamp of the transaction
+    async function totalPremiumOfNextBlock() {
+      await helpers.time.setNextBlockTimestamp((await helpers.time.latest()) + 60);
+      const premiums = await rm["pricePolicies(uint256[],bool,uint256[],uint40[])"](...ladder, { blockTag: "pending" });
+      return premiums[0] + premiums[1];
+    }
+
+    let totalPremium = await totalPremiumOfNextBlock();
+    await expect(newPolicies(rm, ...ladder, cust, totalPremium - 1n, start + HOUR)).to.be.revertedWith(
+      "PayoutAutomationBase: total premium exceeds maxTotalPremium"
+    );
+    await expect(newPolicies(rm, ...ladder, cust, _A(2000), start)).to.be.revertedWith(
+      "PayoutAutomationBase: deadline expired"
+    );
+    totalPremium = await totalPremiumOfNextBlock();
+    await expect(newPolicies(rm, ...ladder, cust, totalPremium, start + HOUR)).to.changeTokenBalance(
+      currency,
+      cust,
+      -totalPremium
+    );
+    expect(await fps.balanceOf(cust)).to.equal(2);
+  });
+
+  it("Can create policies through the FPS with the trigger price relative to the current price", async () => {
+    const { pool, DummyPayoutAutomation, rm, oracle, currency } = await helpers.loadFixture(deployPoolFixture);
+    const start = await helpers.time.latest();
+    const lpAddr = await ethers.resolveAddress(lp);
+    const poolAddr = await ethers.resolveAddress(pool);
+    const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", lpAddr], {
+      kind: "uups",
+      constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
+    });
+    const expiration = start + HOUR * 24;
+
+    const [premium] = await rm.pricePolicy(_W(1200), true, _A(1000), expiration);
+    await currency.connect(cust).approve(fps, premium);
+
+    // The price moves before the transaction is executed, the trigger price follows it (20% below)
+    await oracle.setPrice(_E("1600"));
+    // The premium decreases with the duration of the policy, so the one charged is priced in the pending block, at
+    // the timestamp of the transaction
+    await helpers.time.setNextBlockTimestamp((await helpers.time.latest()) + 60);
+    const [chargedPremium] = await rm["pricePolicy(uint256,bool,uint256,uint40)"](
+      _W(1280),
+      true,
+      _A(1000),
+      expiration,
+      {
+        blockTag: "pending",
+      }
+    );
+    expect(chargedPremium).to.be.lte(premium);
+    await expect(
+      fps.connect(cust).newPolicyRelative(rm, _W("0.2"), true, _A(1000), expiration, cust, chargedPremium - 1n)
+    ).to.be.revertedWith("PayoutAutomationBase: premium exceeds maxPremium");
+    await expect(
+      fps.connect(cust).newPolicyRelative(rm, 0, true, _A(1000), expiration, cust, premium)
+    ).to.be.revertedWith("PriceRiskModule: invalid relative jump");
+
+    const policyId = makePolicyId(rm, 1);
+    await expect(fps.connect(cust).newPolicyRelative(rm, _W("0.2"), true, _A(1000), expiration, cust, premium))
+      .to.emit(rm, "NewPricePolicy")
+      .withArgs(fps, policyId, _W(1280), true)
+      .to.emit(fps, "Transfer")
+      .withArgs(ZeroAddress, cust, policyId);
+    expect(await fps.ownerOf(policyId)).to.be.equal(cust);
+  });
+
+  it("Can create policies through the FPS on the assets of the registry of the module", async () => {
+    const { pool, DummyPayoutAutomation, rm, currency, accessManager } = await helpers.loadFixture(deployPoolFixture);
+    const start = await helpers.time.latest();
+    const lpAddr = await ethers.resolveAddress(lp);
+    const poolAddr = await ethers.resolveAddress(pool);
+    const fps = await hre.upgrades.deployProxy(DummyPayoutAutomation, ["The Name", "SYMB", lpAddr], {
+      kind: "uups",
+      constructorArgs: [poolAddr],
+      unsafeAllowLinkedLibraries: true,
+    });
+    const PriceOracleMock = await ethers.getContractFactory("PriceOracleMock");
+    const assetOracle = await PriceOracleMock.deploy(_W(100));
+    await grantComponentRole(hre, accessManager, rm, "ORACLE_ADMIN_ROLE", owner);
+    await rm.addAsset(1, assetOracle, _W("0.05"));
+    const cdf = Array(Number(await rm.PRICE_SLOTS())).fill([_W("0.02"), _W("0.05"), _W("1.0")]);
+    await rm["setCDF(uint16,int40,(uint64,uint64,uint64)[30])"](1, 24, cdf);
+
+    const expiration = start + HOUR * 24;
+    const [premium] = await rm["pricePolicy(uint16,uint256,bool,uint256,uint40)"](1, _W(90), true, _A(100), expiration);
+    await currency.connect(cust).approve(fps, premium * 5n);
+    const fpsCust = fps.connect(cust);
+
+    await expect(
+      fpsCust["newPolicy(address,uint16,uint256,bool,uint256,uint40,address,uint256,uint40)"](
+        rm,
+        2,
+        _W(90),
+        true,
+        _A(100),
+        expiration,
+        cust,
+        premium,
+        start + HOUR
+      )
+    ).to.be.revertedWith("PriceRiskModule: asset not found");
+    await expect(
+      fpsCust["newPolicy(address,uint16,uint256,bool,uint256,uint40,address,uint256,uint40)"](
+        rm,
+        1,
+        _W(90),
+        true,
+        _A(100),
+        expiration,
+        cust,
+        premium,
+        start + HOUR
+      )
+    )
+      .to.emit(rm, "NewPricePolicy")
+      .withArgs(fps, makePolicyId(rm, 1), _W(90), true);
+
+    await expect(
+      fpsCust["newPolicyRelative(address,uint16,uint256,bool,uint256,uint40,address,uint256)"](
+        rm,
+        1,
+        _W("0.1"),
+        true,
+        _A(100),
+        expiration,
+        cust,
+        premium
+      )
+    )
+      .to.emit(rm, "NewPricePolicy")
+      .withArgs(fps, makePolicyId(rm, 2), _W(90), true);
+
+    await expect(
+      fpsCust["newPolicies(address,uint16,uint256[],bool,uint256[],uint40[],address,uint256,uint40)"](
+        rm,
+        1,
+        [_W(90), _W(85)],
+        true,
+        [_A(100), _A(100)],
+        [expiration, expiration],
+        cust,
+        premium * 2n,
+        start + HOUR
+      )
+    )
+      .to.emit(fps, "Transfer")
+      .withArgs(ZeroAddress, cust, makePolicyId(rm, 4));
+    expect(await fps.balanceOf(cust)).to.equal(4);
+    for (let i = 1; i <= 4; i++) expect((await rm.getPolicyData(makePolicyId(rm, i)))[5]).to.equal(1);
+  });
+
   // eslint-disable-next-line no-shadow
   async function makeEIP2612Signature(hre, token, owner, spenderAddress, value, deadline = HOUR) {
     // From: https://www.quicknode.com/guides/ethereum-development/transactions/how-to-use-erc20-permit-approval
@@ -583,20 +970,23 @@ describe("Test PayoutAutomationBase contract", function () {
 
     const PriceOracleMock = await ethers.getContractFactory("PriceOracleMock");
     const oracle = await PriceOracleMock.deploy(_W(1500));
-    const oracleAddr = await ethers.resolveAddress(oracle);
 
-    const PriceRiskModule = await ethers.getContractFactory("PriceRiskModule");
-    const rm = await addRiskModule(pool, premiumsAccount, PriceRiskModule, {
-      extraConstructorArgs: [_W("0.01")],
-      extraArgs: [oracleAddr],
-    });
+    const rm = await addPriceRiskModule(pool, premiumsAccount, oracle);
 
     await grantComponentRole(hre, accessManager, rm, "PRICER_ROLE", owner);
 
     const newCdf = Array(Number(await rm.PRICE_SLOTS())).fill([_W("0.01"), _W("0.05"), _W("1.0")]);
     await rm.setCDF(24, newCdf);
 
-    const DummyPayoutAutomation = await ethers.getContractFactory("DummyPayoutAutomation");
+    const SwapLibrary = await ethers.getContractFactory("SwapLibrary");
+    const deployedSwapLibrary = await SwapLibrary.deploy();
+    const PayoutAutomationLibrary = await ethers.getContractFactory("PayoutAutomationLibrary", {
+      libraries: { SwapLibrary: await ethers.resolveAddress(deployedSwapLibrary) },
+    });
+    const deployedLibrary = await PayoutAutomationLibrary.deploy();
+    const DummyPayoutAutomation = await ethers.getContractFactory("DummyPayoutAutomation", {
+      libraries: { PayoutAutomationLibrary: await ethers.resolveAddress(deployedLibrary) },
+    });
 
     return {
       pool,
@@ -607,7 +997,6 @@ describe("Test PayoutAutomationBase contract", function () {
       premiumsAccount,
       rm,
       oracle,
-      PriceRiskModule,
       PriceOracleMock,
       DummyPayoutAutomation,
     };
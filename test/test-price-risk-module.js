@@ -13,15 +13,12 @@ const {
   grantComponentRole,
   makePolicyId,
 } = require("@ensuro/core/js/utils");
-const {
-  initCurrency,
-  deployPool,
-  deployPremiumsAccount,
-  addRiskModule,
-  addEToken,
-} = require("@ensuro/core/js/test-utils");
+const { initCurrency, deployPool, deployPremiumsAccount, addEToken } = require("@ensuro/core/js/test-utils");
+const { addPriceRiskModule, addRound } = require("../js/test-utils");
 
 const HOUR = 3600;
+const WEEK = HOUR * 24 * 7;
+const PRICE_SLOTS = 30;
 
 hre.upgrades.silenceWarnings();
 
@@ -52,6 +49,25 @@ describe("Test PriceRiskModule contract", function () {
     expect(await rm.minDuration()).to.equal(HOUR);
   });
 
+  it("Should implement IPriceRiskModule and keep the constructor arguments", async () => {
+    const { pool, premiumsAccount } = await helpers.loadFixture(deployPoolFixture);
+
+    const { rm } = await addRiskModuleWithOracles(pool, premiumsAccount);
+    const { interface: iface } = await ethers.getContractAt("IPriceRiskModule", rm);
+    const { interface: rmIface } = await ethers.getContractAt("PriceRiskModule", rm);
+
+    iface.forEachFunction((fn) => {
+      expect(rmIface.getFunction(fn.selector), fn.format()).not.to.be.null;
+    });
+    expect(rmIface.deploy.inputs.map((input) => input.name)).to.deep.equal([
+      "policyPool_",
+      "premiumsAccount_",
+      "slotSize_",
+    ]);
+    expect(await rm.extension()).not.to.equal(ZeroAddress);
+    expect(await rm.minDuration()).to.equal(HOUR);
+  });
+
   it("Should revert if oracle = address(0)", async () => {
     const { pool, premiumsAccount } = await helpers.loadFixture(deployPoolFixture);
 
@@ -338,7 +354,16 @@ describe("Test PriceRiskModule contract", function () {
     expect(policyId).to.be.equal(makePolicyId(rm, 1));
     await expect(tx).to.emit(rm, "NewPricePolicy").withArgs(cust, policyId, lowTriggerPrice, true);
 
-    expect(await rm.getPolicyData(policyId)).to.be.deep.equal([newPolicyEvt.args.policy, lowTriggerPrice, true]);
+    expect(await rm.getPolicyData(policyId)).to.be.deep.equal([
+      newPolicyEvt.args.policy,
+      lowTriggerPrice,
+      true,
+      0n,
+      0n,
+      0n,
+      0n,
+      0n,
+    ]);
 
     const [hPremium, highPricing] = await rm.pricePolicy(highTriggerPrice, false, _A(100), expiration);
     expect(highPricing.lossProb).to.be.equal(_W("0.20"));
@@ -354,16 +379,37 @@ describe("Test PriceRiskModule contract", function () {
 
     await helpers.time.increase(HOUR);
     await oracle.setPrice(_E("1.09"));
-    await expect(() => rm.triggerPolicy(policyId)).to.changeTokenBalance(currency, cust, _A(1000));
-
-    // getPolicyData remains the same even when the policy has triggered
-    expect(await rm.getPolicyData(policyId)).to.be.deep.equal([newPolicyEvt.args.policy, lowTriggerPrice, true]);
+    let triggerTx = await rm.triggerPolicy(policyId);
+    await expect(triggerTx).to.changeTokenBalance(currency, cust, _A(1000));
+    let triggeredAt = await helpers.time.latest();
+    await expect(triggerTx)
+      .to.emit(rm, "PolicyTriggered")
+      .withArgs(policyId, _E("1.09"), lowTriggerPrice, true, triggeredAt);
+
+    // getPolicyData keeps the policy terms when the policy has triggered, with the price and time of the trigger
+    expect(await rm.getPolicyData(policyId)).to.be.deep.equal([
+      newPolicyEvt.args.policy,
+      lowTriggerPrice,
+      true,
+      0n,
+      0n,
+      0n,
+      _E("1.09"),
+      triggeredAt,
+    ]);
 
     await oracle.setPrice(_E("1.80"));
-    await expect(() => rm.triggerPolicy(policyId2)).to.changeTokenBalance(currency, cust, _A(100));
+    triggerTx = await rm.triggerPolicy(policyId2);
+    await expect(triggerTx).to.changeTokenBalance(currency, cust, _A(100));
+    triggeredAt = await helpers.time.latest();
+    await expect(triggerTx)
+      .to.emit(rm, "PolicyTriggered")
+      .withArgs(policyId2, _E("1.80"), highTriggerPrice, false, triggeredAt);
 
     expect((await rm.getPolicyData(policyId2))[1]).to.be.equal(highTriggerPrice);
     expect((await rm.getPolicyData(policyId2))[2]).to.be.equal(false);
+    expect((await rm.getPolicyData(policyId2)).triggeredPrice).to.be.equal(_E("1.80"));
+    expect((await rm.getPolicyData(policyId2)).triggeredAt).to.be.equal(triggeredAt);
   });
 
   it("Should calculate policy premium and loss probability (1% slots)", async () => {
@@ -542,6 +588,298 @@ describe("Test PriceRiskModule contract", function () {
     await expect(() => rm.triggerPolicy(policyId)).to.changeTokenBalance(currency, cust, _A(1000));
   });
 
+  it("Should create a ladder of policies in a single transaction", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, currency } = fixture;
+    const { rm } = await addRiskModuleWithCDF(fixture, {
+      price: _E("1.4"),
+      cdf: makeCDF([0, 0, 0], { 7: [_W("0.2"), 0, _W(1)], 14: [_W("0.1"), 0, _W(1)], 21: [_W("0.05"), 0, _W(1)] }),
+    });
+
+    const start = await helpers.time.latest();
+    const expiration = start + HOUR * 2;
+    const triggerPrices = [_E("1.3"), _E("1.2"), _E("1.1")];
+    const payouts = [_A(100), _A(200), _A(300)];
+
+    await expect(
+      rm.connect(cust).newPolicies(triggerPrices, true, payouts, [expiration, expiration], cust)
+    ).to.be.revertedWith("Array lengths mismatch");
+
+    await currency.connect(cust).approve(pool, _A(200));
+    expect(
+      await rm.connect(cust).newPolicies.staticCall(triggerPrices, true, payouts, Array(3).fill(expiration), cust)
+    ).to.deep.equal([1, 2, 3].map((i) => makePolicyId(rm, i)));
+    const tx = rm.connect(cust).newPolicies(triggerPrices, true, payouts, Array(3).fill(expiration), cust);
+    for (let i = 0; i < 3; i++) {
+      await expect(tx)
+        .to.emit(rm, "NewPricePolicy")
+        .withArgs(cust, makePolicyId(rm, i + 1), triggerPrices[i], true);
+    }
+    const lossProbs = [_W("0.2"), _W("0.1"), _W("0.05")];
+    for (let i = 0; i < 3; i++) {
+      const policy = (await rm.getPolicyData(makePolicyId(rm, i + 1))).ensuroPolicy;
+      expect(policy.payout).to.equal(payouts[i]);
+      expect(policy.lossProb).to.equal(lossProbs[i]);
+      expect(await pool.ownerOf(makePolicyId(rm, i + 1))).to.equal(cust);
+    }
+  });
+
+  it("Should trigger and expire policies in batch, skipping the ones that can't be resolved", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, currency } = fixture;
+
+    const { rm, oracle } = await addRiskModuleWithCDF(fixture, {
+      price: _E("1.4"),
+      cdf: makeCDF([0, 0, 0], { 21: [_W("0.05"), 0, _W(1)], [PRICE_SLOTS - 1]: [_W("0.1"), 0, _W(1)] }),
+    });
+
+    const start = await helpers.time.latest();
+    const expiration = start + HOUR * 2;
+    await currency.connect(cust).approve(pool, _A(500));
+    await rm.connect(cust).newPolicy(_E("1.1"), true, _A(1000), expiration, cust);
+    await rm.connect(cust).newPolicy(_E("1.1"), true, _A(1000), expiration, cust);
+    await rm.connect(cust).newPolicy(_E("1.0"), true, _A(1000), expiration, cust);
+    const [policy1, policy2, policy3] = [1, 2, 3].map((i) => makePolicyId(rm, i));
+    const unknownPolicy = makePolicyId(rm, 4);
+
+    await oracle.setPrice(_E("1.05"));
+    // Too soon to trigger
+    expect(await rm.triggerPolicies.staticCall([policy1, policy2, policy3])).to.deep.equal([false, false, false]);
+
+    await helpers.time.increase(HOUR);
+    expect(await rm.triggerPolicies.staticCall([policy1, policy2, policy3, unknownPolicy])).to.deep.equal([
+      true,
+      true,
+      false,
+      false,
+    ]);
+    await expect(() => rm.triggerPolicies([policy1, policy2, policy3, unknownPolicy])).to.changeTokenBalance(
+      currency,
+      cust,
+      _A(2000)
+    );
+    expect(await pool.isActive(policy1)).to.equal(false);
+    expect(await pool.isActive(policy3)).to.equal(true);
+
+    // Already resolved
+    expect(await rm.triggerPolicies.staticCall([policy1])).to.deep.equal([false]);
+
+    // Not expired yet
+    expect(await rm.expirePolicies.staticCall([policy1, policy3])).to.deep.equal([false, false]);
+
+    await helpers.time.increaseTo(expiration);
+    // Expired policies can't be triggered
+    await oracle.setPrice(_E("0.9"));
+    expect(await rm.triggerPolicies.staticCall([policy3])).to.deep.equal([false]);
+
+    expect(await rm.expirePolicies.staticCall([policy1, policy3, unknownPolicy])).to.deep.equal([false, true, false]);
+    await expect(rm.expirePolicies([policy1, policy3, unknownPolicy]))
+      .to.emit(pool, "PolicyResolved")
+      .withArgs(rm, policy3, 0);
+    expect(await pool.isActive(policy3)).to.equal(false);
+  });
+
+  it("Should pay the keeper reward to the caller of triggerPolicy, out of the payout", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, currency } = fixture;
+
+    const { rm, oracle } = await addRiskModuleWithCDF(fixture, {
+      price: _E("1.4"),
+      cdf: makeCDF([0, 0, 0], { 21: [_W("0.05"), 0, _W(1)] }),
+    });
+
+    await expect(rm.connect(cust).setKeeperReward(_A(5), 100, _A(8))).to.be.revertedWith(
+      accessControlMessage(cust, rm, "LEVEL2_ROLE")
+    );
+    await expect(rm.setKeeperReward(_A(5), 10001, _A(8))).to.be.revertedWith(
+      "PriceRiskModule: rewardBps can't exceed 10000"
+    );
+    // 5 + 1% of the payout, up to 8
+    await expect(rm.setKeeperReward(_A(5), 100, _A(8)))
+      .to.emit(rm, "GovernanceAction")
+      .withArgs(22 /* rmFiller4 */, (1n << 248n) | _A(5))
+      .to.emit(rm, "GovernanceAction")
+      .withArgs(22 /* rmFiller4 */, (2n << 248n) | 100n)
+      .to.emit(rm, "GovernanceAction")
+      .withArgs(22 /* rmFiller4 */, (3n << 248n) | _A(8));
+    expect(await rm.keeperReward()).to.deep.equal([_A(5), 100n, _A(8)]);
+
+    const start = await helpers.time.latest();
+    await currency.connect(cust).approve(pool, _A(450));
+    for (let i = 0; i < 3; i++) {
+      await rm.connect(cust).newPolicy(_E("1.1"), true, _A(1000), start + HOUR * 2, cust);
+    }
+    await helpers.time.increase(HOUR);
+    await oracle.setPrice(_E("1.1"));
+
+    // The policy is resolved with the payout minus the reward, and the reward is paid with the funds of the module,
+    // without any allowance of the owner of the policy
+    await currency.connect(owner).transfer(rm, _A(8));
+    let tx = rm.connect(lp).triggerPolicy(makePolicyId(rm, 1));
+    await expect(tx).to.emit(pool, "PolicyResolved").withArgs(rm, makePolicyId(rm, 1), _A(992));
+    await expect(tx).to.emit(rm, "KeeperRewardPaid").withArgs(lp, makePolicyId(rm, 1), _A(8));
+    await expect(tx).to.changeTokenBalances(currency, [cust, lp, rm], [_A(992), _A(8), -_A(8)]);
+
+    // No reward if the owner of the policy triggers it
+    tx = rm.connect(cust).triggerPolicy(makePolicyId(rm, 2));
+    await expect(tx).not.to.emit(rm, "KeeperRewardPaid");
+    await expect(tx).to.changeTokenBalance(currency, cust, _A(1000));
+
+    // Without funds in the module, the policy is paid in full and the reward isn't
+    tx = rm.connect(lp).triggerPolicy(makePolicyId(rm, 3));
+    await expect(tx).to.emit(rm, "KeeperRewardNotPaid").withArgs(lp, makePolicyId(rm, 3), _A(8));
+    await expect(tx).not.to.emit(rm, "KeeperRewardPaid");
+    await expect(tx).to.emit(pool, "PolicyResolved").withArgs(rm, makePolicyId(rm, 3), _A(1000));
+    await expect(tx).to.changeTokenBalances(currency, [cust, lp], [_A(1000), 0]);
+
+    // The funds of the module can be withdrawn by governance
+    await currency.connect(owner).transfer(rm, _A(10));
+    await expect(rm.connect(cust).withdrawKeeperRewards(_A(10), cust)).to.be.revertedWith(
+      accessControlMessage(cust, rm, "LEVEL2_ROLE")
+    );
+    await expect(rm.withdrawKeeperRewards(_A(10), owner)).to.changeTokenBalances(
+      currency,
+      [rm, owner],
+      [-_A(10), _A(10)]
+    );
+  });
+
+  it("Should enforce the concentration limits per direction, trigger price bucket and expiry week", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, currency } = fixture;
+
+    const { rm, oracle } = await addRiskModuleWithCDF(fixture, {
+      price: _E("1.4"),
+      cdf: makeCDF([0, 0, 0], { 21: [_W("0.05"), 0, _W(1)], 22: [_W("0.05"), 0, _W(1)] }),
+    });
+
+    await expect(rm.connect(cust).setConcentrationLimit(0, _E("0.05"), _A(1500))).to.be.revertedWith(
+      accessControlMessage(cust, rm, "LEVEL2_ROLE")
+    );
+    await expect(rm.setConcentrationLimit(0, _E("0.05"), 0)).to.be.revertedWith(
+      "PriceRiskModule: invalid concentration limit"
+    );
+    await expect(rm.setConcentrationLimit(0, _E("0.05"), _A(1500)))
+      .to.emit(rm, "GovernanceAction")
+      .withArgs(22 /* rmFiller4 */, (4n << 248n) | _E("0.05"))
+      .to.emit(rm, "GovernanceAction")
+      .withArgs(22 /* rmFiller4 */, (5n << 248n) | _A(1500));
+    expect(await rm.concentrationLimit(0)).to.deep.equal([_E("0.05"), _A(1500)]);
+
+    // Starts at the beginning of a week, so all the policies expire in the same week
+    const week = Math.floor((await helpers.time.latest()) / WEEK) + 1;
+    await helpers.time.increaseTo(week * WEEK);
+    const start = await helpers.time.latest();
+    const expiration = start + HOUR * 2;
+    await currency.connect(cust).approve(pool, _A(500));
+
+    // Bucket 22 = [1.10, 1.15)
+    await rm.connect(cust).newPolicy(_E("1.1"), true, _A(1000), expiration, cust);
+    await expect(rm.connect(cust).newPolicy(_E("1.1"), true, _A(1000), expiration, cust)).to.be.revertedWith(
+      "Concentration limit exceeded"
+    );
+    // Bucket 21 = [1.05, 1.10)
+    await rm.connect(cust).newPolicy(_E("1.09"), true, _A(1000), expiration, cust);
+    await rm.connect(cust).newPolicy(_E("1.1"), true, _A(500), expiration, cust);
+
+    expect(await rm.getBucketExposures(0, true, 21, 22, week)).to.deep.equal([_A(1000), _A(1500)]);
+    expect(await rm.getBucketExposures(0, false, 21, 22, week)).to.deep.equal([0n, 0n]);
+    expect(await rm.getBucketExposures(0, true, 21, 22, week + 1)).to.deep.equal([0n, 0n]);
+    await expect(rm.getBucketExposures(0, true, 22, 21, week)).to.be.revertedWith(
+      "PriceRiskModule: invalid bucket range"
+    );
+
+    // The exposure is released when the policy is triggered
+    await helpers.time.increase(HOUR);
+    await oracle.setPrice(_E("1.1"));
+    await rm.triggerPolicy(makePolicyId(rm, 1));
+    expect(await rm.getBucketExposures(0, true, 21, 22, week)).to.deep.equal([_A(1000), _A(500)]);
+
+    // The exposure of the expired policies doesn't count, even if they were expired directly in the PolicyPool
+    await helpers.time.increaseTo(expiration);
+    await pool.expirePolicy([...(await rm.getPolicyData(makePolicyId(rm, 3))).ensuroPolicy]);
+    expect(await rm.getBucketExposures(0, true, 21, 22, week)).to.deep.equal([0n, 0n]);
+
+    // And it's released when a new policy is added to the bucket
+    await oracle.setPrice(_E("1.4"));
+    await rm.connect(cust).newPolicy(_E("1.1"), true, _A(1000), expiration + HOUR * 2, cust);
+    await rm.connect(cust).newPolicy(_E("1.1"), true, _A(500), expiration + HOUR * 2, cust);
+    expect(await rm.getBucketExposures(0, true, 21, 22, week)).to.deep.equal([0n, _A(1500)]);
+    await expect(rm.connect(cust).newPolicy(_E("1.1"), true, _A(1), expiration + HOUR * 2, cust)).to.be.revertedWith(
+      "Concentration limit exceeded"
+    );
+
+    // The policies expired through the module release their exposure only once
+    await rm.expirePolicies([1, 2, 3].map((i) => makePolicyId(rm, i)));
+    expect(await rm.getBucketExposures(0, true, 21, 22, week)).to.deep.equal([0n, _A(1500)]);
+    await rm.connect(cust).newPolicy(_E("1.09"), true, _A(1000), expiration + HOUR * 2, cust);
+    expect(await rm.getBucketExposures(0, true, 21, 22, week)).to.deep.equal([_A(1000), _A(1500)]);
+  });
+
+  it("Should apply the utilization markup curve to the lossProb of new policies", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, currency } = fixture;
+
+    const { rm } = await addRiskModuleWithCDF(fixture, {
+      price: _E("1.4"),
+      cdf: makeCDF([0, 0, 0], { 21: [_W("0.05"), 0, _W(1)] }),
+    });
+    await rm.setParam(8 /* exposureLimit */, _A(4000));
+
+    expect(await rm.utilizationMarkup(_A(1000))).to.equal(_W(1));
+
+    const curve = [
+      [_W("0.25"), _W(1)],
+      [_W("0.75"), _W(2)],
+    ];
+    await expect(rm.connect(cust).setMarkupCurve(curve)).to.be.revertedWith(
+      accessControlMessage(cust, rm, "PRICER_ROLE")
+    );
+    await expect(rm.setMarkupCurve([curve[1], curve[0]])).to.be.revertedWith(
+      "PriceRiskModule: invalid markup utilization"
+    );
+    await expect(rm.setMarkupCurve([[_W("1.1"), _W(2)]])).to.be.revertedWith(
+      "PriceRiskModule: invalid markup utilization"
+    );
+    await expect(rm.setMarkupCurve([[_W("0.5"), _W("0.9")]])).to.be.revertedWith(
+      "PriceRiskModule: markup can't be lower than 1"
+    );
+    await expect(rm.setMarkupCurve(Array(11).fill(curve[0]))).to.be.revertedWith(
+      "PriceRiskModule: too many markup points"
+    );
+    await expect(rm.setMarkupCurve(curve))
+      .to.emit(rm, "GovernanceAction")
+      .withArgs(22 /* rmFiller4 */, (6n << 248n) | 2n);
+    expect(await rm.markupCurve()).to.deep.equal(curve);
+
+    const start = await helpers.time.latest();
+    const expiration = start + HOUR * 2;
+    await currency.connect(cust).approve(pool, _A(450));
+
+    // Utilization = 25% => no markup
+    let [, pricing] = await rm.pricePolicy(_E("1.1"), true, _A(1000), expiration);
+    expect(pricing.lossProb).to.equal(_W("0.05"));
+    await rm.connect(cust).newPolicy(_E("1.1"), true, _A(1000), expiration, cust);
+
+    // Utilization = 50% => markup = 1.5
+    [, pricing] = await rm.pricePolicy(_E("1.1"), true, _A(1000), expiration);
+    expect(pricing.lossProb).to.equal(_W("0.075"));
+    expect(await rm.utilizationMarkup(_A(1000))).to.equal(_W("1.5"));
+    // Utilization = 100% => markup of the last point
+    expect(await rm.utilizationMarkup(_A(3000))).to.equal(_W(2));
+
+    // In a ladder, the utilization grows with each policy
+    const ladder = [[_E("1.1"), _E("1.1")], true, [_A(1000), _A(1000)], [expiration, expiration]];
+    const premiums = await rm.pricePolicies(...ladder);
+    expect(premiums).to.deep.equal([
+      await rm.getMinimumPremiumForPricing(_A(1000), [_W("0.075"), 0, _W(1)], expiration),
+      await rm.getMinimumPremiumForPricing(_A(1000), [_W("0.1"), 0, _W(1)], expiration),
+    ]);
+    await rm.connect(cust).newPolicies(...ladder, cust);
+    expect((await rm.getPolicyData(makePolicyId(rm, 2))).ensuroPolicy.lossProb).to.equal(_W("0.075"));
+    expect((await rm.getPolicyData(makePolicyId(rm, 3))).ensuroPolicy.lossProb).to.equal(_W("0.1"));
+  });
+
   it("Should trigger the policy only if threshold met - Shorted asset", async () => {
     const { pool, premiumsAccount, accessManager, currency } = await helpers.loadFixture(deployPoolFixture);
 
@@ -589,6 +927,1055 @@ describe("Test PriceRiskModule contract", function () {
     await expect(() => rm.triggerPolicy(policyId)).to.changeTokenBalance(currency, cust, _A(1000));
   });
 
+  it("Should trigger the policy with a past round of the oracle within the coverage period", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, currency } = fixture;
+
+    const { aggregator, oracle } = await deployChainlinkOracle();
+    const { rm } = await addRiskModuleWithCDF(fixture, { oracle });
+    const _A8 = amountFunction(8);
+
+    await addRound(aggregator, _A8("1.5")); // Round 1
+    const start = await helpers.time.latest();
+    const [premium] = await rm.pricePolicy(_E("1.2"), true, _A(100), start + HOUR * 2);
+    await currency.connect(cust).approve(pool, premium);
+    await rm.connect(cust).newPolicy(_E("1.2"), true, _A(100), start + HOUR * 2, cust);
+    const policyId = makePolicyId(rm, 1);
+
+    // Rounds before start + minDuration aren't accepted
+    await addRound(aggregator, _A8("1.1")); // Round 2
+    await expect(rm.triggerPolicyWithRound(policyId, 2)).to.be.revertedWith("Round outside of the valid time window");
+
+    await helpers.time.increase(HOUR);
+    await addRound(aggregator, _A8("1.1")); // Round 3
+    await addRound(aggregator, _A8("1.5")); // Round 4 - The price recovered
+
+    await expect(rm.triggerPolicy(policyId)).to.be.revertedWith("Condition not met CurrentPrice > triggerPrice");
+    await expect(rm.triggerPolicyWithRound(policyId, 4)).to.be.revertedWith(
+      "Condition not met CurrentPrice > triggerPrice"
+    );
+    await expect(rm.triggerPolicyWithRound(policyId, 5)).to.be.revertedWith("Round not complete");
+    await expect(() => rm.triggerPolicyWithRound(policyId, 3)).to.changeTokenBalance(currency, cust, _A(100));
+    await expect(rm.triggerPolicyWithRound(policyId, 3)).to.be.revertedWith("Policy not found");
+  });
+
+  it("Should trigger the policy only if the price stays past the trigger price for the confirmation window", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, accessManager, currency } = fixture;
+
+    const { rm, oracle } = await addRiskModuleWithCDF(fixture, { price: _E("1.4") });
+
+    await expect(rm.setConfirmationWindow(600)).to.be.revertedWith(
+      accessControlMessage(owner, rm, "ORACLE_ADMIN_ROLE")
+    );
+    await grantComponentRole(hre, accessManager, rm, "ORACLE_ADMIN_ROLE", owner);
+    await expect(rm.setConfirmationWindow(600)).to.emit(rm, "GovernanceAction");
+    expect(await rm.confirmationWindow()).to.equal(600);
+
+    const start = await helpers.time.latest();
+    const [premium] = await rm.pricePolicy(_E("1.1"), true, _A(1000), start + HOUR * 2);
+    await currency.connect(cust).approve(pool, premium);
+    await rm.connect(cust).newPolicy(_E("1.1"), true, _A(1000), start + HOUR * 2, cust);
+    const policyId = makePolicyId(rm, 1);
+
+    await helpers.time.increase(HOUR);
+    expect(await rm.policyCanBeTriggered(policyId)).to.deep.equal([false, 0n]);
+    await expect(rm.triggerPolicy(policyId)).to.be.revertedWith("Condition not met CurrentPrice > triggerPrice");
+
+    // The first call only records the breach
+    await oracle.setPrice(_E("1.05"));
+    expect(await rm.policyCanBeTriggered(policyId)).to.deep.equal([true, 0n]);
+    expect(await rm.triggerablePayout(policyId)).to.equal(0);
+    await expect(rm.triggerPolicy(policyId)).to.emit(rm, "BreachStarted").withArgs(policyId, _E("1.05"));
+    expect(await rm.breachStart(policyId)).to.equal(await helpers.time.latest());
+    expect(await rm.policyCanBeTriggered(policyId)).to.deep.equal([false, 0n]);
+    await expect(rm.triggerPolicy(policyId)).to.be.revertedWith("Breach not confirmed yet");
+
+    // The price went back before the window, the breach is cleared
+    await helpers.time.increase(300);
+    await oracle.setPrice(_E("1.2"));
+    expect(await rm.policyCanBeTriggered(policyId)).to.deep.equal([true, 0n]);
+    await expect(rm.triggerPolicy(policyId)).to.emit(rm, "BreachCleared").withArgs(policyId, _E("1.2"));
+    expect(await rm.breachStart(policyId)).to.equal(0);
+    expect(await rm.policyCanBeTriggered(policyId)).to.deep.equal([false, 0n]);
+
+    // Two separated spikes: the breach of the first one wasn't confirmed in time, the second one starts a new window
+    await oracle.setPrice(_E("1.05"));
+    await expect(rm.triggerPolicy(policyId)).to.emit(rm, "BreachStarted");
+    await oracle.setPrice(_E("1.2"));
+    await helpers.time.increase(1200);
+    await oracle.setPrice(_E("1.05"));
+    expect(await rm.policyCanBeTriggered(policyId)).to.deep.equal([true, 0n]);
+    expect(await rm.triggerablePayout(policyId)).to.equal(0);
+    await expect(rm.triggerPolicy(policyId)).to.emit(rm, "BreachStarted").withArgs(policyId, _E("1.05"));
+    expect(await rm.breachStart(policyId)).to.equal(await helpers.time.latest());
+    await oracle.setPrice(_E("1.2"));
+    await expect(rm.triggerPolicy(policyId)).to.emit(rm, "BreachCleared");
+
+    // A new breach, that is still there after the window
+    await oracle.setPrice(_E("1.1"));
+    await expect(rm.triggerPolicy(policyId)).to.emit(rm, "BreachStarted");
+    const [paid] = await rm.triggerPolicies.staticCall([policyId]);
+    expect(paid).to.equal(false);
+    await helpers.time.increase(600);
+    expect(await rm.policyCanBeTriggered(policyId)).to.deep.equal([true, _A(1000)]);
+    expect(await rm.triggerablePayout(policyId)).to.equal(_A(1000));
+    await expect(() => rm.triggerPolicy(policyId)).to.changeTokenBalance(currency, cust, _A(1000));
+    expect(await rm.breachStart(policyId)).to.equal(0);
+  });
+
+  it("Should trigger with a past round only if the following rounds stayed past the trigger price", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, accessManager, currency } = fixture;
+
+    const { aggregator, oracle } = await deployChainlinkOracle();
+    const { rm } = await addRiskModuleWithCDF(fixture, { oracle });
+    const _A8 = amountFunction(8);
+    await grantComponentRole(hre, accessManager, rm, "ORACLE_ADMIN_ROLE", owner);
+    await rm.setConfirmationWindow(600);
+
+    await addRound(aggregator, _A8("1.5")); // Round 1
+    const start = await helpers.time.latest();
+    const [premium] = await rm.pricePolicy(_E("1.2"), true, _A(100), start + HOUR * 2);
+    await currency.connect(cust).approve(pool, premium);
+    await rm.connect(cust).newPolicy(_E("1.2"), true, _A(100), start + HOUR * 2, cust);
+    const policyId = makePolicyId(rm, 1);
+
+    await helpers.time.increase(HOUR);
+    await addRound(aggregator, _A8("1.1")); // Round 2
+    await helpers.time.increase(300);
+    await addRound(aggregator, _A8("1.3")); // Round 3 - Recovered before the window
+    await helpers.time.increase(300);
+    await addRound(aggregator, _A8("1.15")); // Round 4
+    await helpers.time.increase(300);
+    await addRound(aggregator, _A8("1.19")); // Round 5
+
+    await expect(rm.triggerPolicyWithRound(policyId, 2)).to.be.revertedWith(
+      "Breach not sustained during the confirmation window"
+    );
+    // Round 6 doesn't exist yet
+    await expect(rm.triggerPolicyWithRound(policyId, 4)).to.be.revertedWith("Round not complete");
+
+    // The aggregator behind the proxy is replaced, the next round is the first one of the next phase
+    await aggregator._nextPhase();
+    await helpers.time.increase(300);
+    const round6 = (1n << 64n) | 1n;
+    const now = await helpers.time.latest();
+    await aggregator._addRound(_A8("1.18"), now, now, round6); // Round 6 - Confirms the breach of round 4
+    expect(await oracle.nextRoundId(5)).to.equal(round6);
+    // The payout is computed with the price of the round that confirms the breach
+    await expect(() => rm.triggerPolicyWithRound(policyId, 4)).to.changeTokenBalance(currency, cust, _A(100));
+  });
+
+  it("Should reject the trigger with a past round if the oracle doesn't support historical prices", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, currency } = fixture;
+
+    const AggregatorV3Mock = await ethers.getContractFactory("AggregatorV3Mock");
+    const aggregator = await AggregatorV3Mock.deploy(8);
+    const reference = await AggregatorV3Mock.deploy(8);
+    await addRound(aggregator, amountFunction(8)("1.5"));
+    await addRound(reference, amountFunction(8)("1"));
+    const ChainlinkPriceOracle = await ethers.getContractFactory("ChainlinkPriceOracle");
+    const chainlinkOracle = await ChainlinkPriceOracle.deploy(aggregator, reference, HOUR * 24);
+
+    for (const [oracle, error] of [
+      [undefined, "The oracle doesn't support historical prices"],
+      [chainlinkOracle, "Historical prices not supported with referenceOracle"],
+    ]) {
+      const { rm } = await addRiskModuleWithCDF(fixture, { oracle, price: _E("1.5") });
+      const expiration = (await helpers.time.latest()) + HOUR * 2;
+      await currency.connect(cust).approve(pool, _A(100));
+      await rm.connect(cust).newPolicy(_E("1.2"), true, _A(100), expiration, cust);
+
+      await expect(rm.triggerPolicyWithRound(makePolicyId(rm, 1), 1)).to.be.revertedWith(error);
+    }
+  });
+
+  it("Should interpolate the pricing between durations and slots in the interpolated mode", async () => {
+    const { pool, premiumsAccount, accessManager } = await helpers.loadFixture(deployPoolFixture);
+
+    const { rm } = await addRiskModuleWithOracles(pool, premiumsAccount, undefined, _W("0.01"), _E("1"));
+
+    await grantComponentRole(hre, accessManager, rm, "PRICER_ROLE", owner);
+    const priceSlots = Number(await rm.PRICE_SLOTS());
+    const cdf2h = new Array(priceSlots);
+    const cdf6h = new Array(priceSlots);
+    for (let i = 0; i < priceSlots; i++) {
+      cdf2h[i] = [_W((i + 1) / 100), _W("0.1"), _W("0.5")];
+      cdf6h[i] = [_W((2 * (i + 1)) / 100), _W("0.2"), _W("0.6")];
+    }
+    await rm.setCDF(6, cdf6h);
+    await rm.setCDF(2, cdf2h);
+    await rm.setCDF(-3, cdf2h);
+    expect(await rm.getCDFDurations(0, true)).to.deep.equal([2n, 6n]);
+    expect(await rm.getCDFDurations(0, false)).to.deep.equal([3n]);
+
+    let expiration = (await helpers.time.latest()) + HOUR * 4;
+
+    // In the nearest mode, there's no CDF for 4 hours
+    expect(await rm.pricingMode()).to.equal(0);
+    let [premium, pricing] = await rm.pricePolicy(_E("0.9"), true, _A(1000), expiration);
+    expect(premium).to.equal(0);
+
+    await expect(rm.connect(lp).setPricingMode(1)).to.be.revertedWith(accessControlMessage(lp, rm, "PRICER_ROLE"));
+    await expect(rm.setPricingMode(1)).to.emit(rm, "GovernanceAction").withArgs(22 /* rmFiller4 */, 1);
+    expect(await rm.pricingMode()).to.equal(1);
+
+    // 4 hours is in the middle of 2h and 6h. The views run at the timestamp of the latest block, so the expiration is
+    // computed again after the setPricingMode transaction to price exactly 4 hours
+    expiration = (await helpers.time.latest()) + HOUR * 4;
+    [premium, pricing] = await rm.pricePolicy(_E("0.9"), true, _A(1000), expiration);
+    expect(pricing.lossProb).to.closeTo(_W("0.165"), _W("0.00001"));
+    expect(pricing.jrCollRatio).to.closeTo(_W("0.15"), _W("0.00001"));
+    expect(pricing.collRatio).to.closeTo(_W("0.55"), _W("0.00001"));
+    expect(premium).to.equal(await rm.getMinimumPremiumForPricing(_A(1000), [...pricing], expiration));
+
+    // A 10.5% jump is in the middle of the slots 10 and 11
+    [, pricing] = await rm.pricePolicy(_E("0.895"), true, _A(1000), expiration);
+    expect(pricing.lossProb).to.closeTo(_W("0.1725"), _W("0.00001"));
+
+    // Outside of the populated durations it works as the nearest mode
+    [premium] = await rm.pricePolicy(_E("0.9"), true, _A(1000), expiration + HOUR * 3);
+    expect(premium).to.equal(0);
+    [, pricing] = await rm.pricePolicy(_E("1.1"), false, _A(1000), expiration - HOUR);
+    expect(pricing.lossProb).to.equal(_W("0.11"));
+
+    // Removing a CDF removes it from the populated durations
+    await rm.setCDF(6, Array(priceSlots).fill([0, 0, 0]));
+    expect(await rm.getCDFDurations(0, true)).to.deep.equal([2n]);
+    [premium] = await rm.pricePolicy(_E("0.9"), true, _A(1000), expiration);
+    expect(premium).to.equal(0);
+  });
+
+  it("Should revert if the premium exceeds maxPremium or the deadline expired", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, currency } = fixture;
+
+    const { rm } = await addRiskModuleWithCDF(fixture, { price: _E("1.5"), durations: [1, 2] });
+
+    await currency.connect(cust).approve(pool, _A(100));
+    const start = await helpers.time.latest();
+    const expiration = start + HOUR * 2;
+    const newPolicy = rm.connect(cust)["newPolicy(uint256,bool,uint256,uint40,address,uint256,uint40)"];
+    // The premium decreases with the duration of the policy, so it's priced in the pending block, at the timestamp of
+    // the transaction
+    await helpers.time.setNextBlockTimestamp(start + 60);
+    const [premium] = await rm["pricePolicy(uint256,bool,uint256,uint40)"](_E("1.2"), true, _A(100), expiration, {
+      blockTag: "pending",
+    });
+
+    await expect(newPolicy(_E("1.2"), true, _A(100), expiration, cust, premium - 1n, start + HOUR)).to.be.revertedWith(
+      "Premium exceeds maxPremium"
+    );
+    await expect(newPolicy(_E("1.2"), true, _A(100), expiration, cust, premium, start)).to.be.revertedWith(
+      "Deadline expired"
+    );
+    await expect(newPolicy(_E("1.2"), true, _A(100), expiration, cust, premium, start + HOUR))
+      .to.emit(rm, "NewPricePolicy")
+      .withArgs(cust, makePolicyId(rm, 1), _E("1.2"), true);
+  });
+
+  it("Should create policies with the trigger price relative to the current price", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, currency } = fixture;
+
+    const { rm, oracle } = await addRiskModuleWithCDF(fixture, { price: _E("1.5"), durations: [2, -2] });
+
+    expect(await rm.relativeTriggerPrice(_W("0.2"), true)).to.equal(_E("1.2"));
+    expect(await rm.relativeTriggerPrice(_W("0.2"), false)).to.equal(_E("1.8"));
+    await expect(rm.relativeTriggerPrice(0, true)).to.be.revertedWith("PriceRiskModule: invalid relative jump");
+    await expect(rm.relativeTriggerPrice(_W(1), true)).to.be.revertedWith("PriceRiskModule: invalid relative jump");
+    expect(await rm.relativeTriggerPrice(_W(1), false)).to.equal(_E("3"));
+
+    const expiration = (await helpers.time.latest()) + HOUR * 2;
+    const [premium] = await rm.pricePolicy(_E("1.2"), true, _A(100), expiration);
+    await currency.connect(cust).approve(pool, premium * 2n);
+
+    // The price moves before the transaction is executed, the trigger price follows it
+    await oracle.setPrice(_E("1.6"));
+    // The premium decreases with the duration of the policy, so the one charged is priced in the pending block, at
+    // the timestamp of the transaction
+    await helpers.time.setNextBlockTimestamp((await helpers.time.latest()) + 60);
+    const [chargedPremium] = await rm["pricePolicy(uint256,bool,uint256,uint40)"](
+      _E("1.28"),
+      true,
+      _A(100),
+      expiration,
+      {
+        blockTag: "pending",
+      }
+    );
+    expect(chargedPremium).to.be.lte(premium);
+    await expect(
+      rm.connect(cust).newPolicyRelative(_W("0.2"), true, _A(100), expiration, cust, chargedPremium - 1n)
+    ).to.be.revertedWith("Premium exceeds maxPremium");
+    await expect(rm.connect(cust).newPolicyRelative(_W("0.2"), true, _A(100), expiration, cust, premium))
+      .to.emit(rm, "NewPricePolicy")
+      .withArgs(cust, makePolicyId(rm, 1), _E("1.28"), true);
+    expect((await rm.getPolicyData(makePolicyId(rm, 1))).triggerPrice).to.equal(_E("1.28"));
+
+    await expect(rm.connect(cust).newPolicyRelative(_W("0.25"), false, _A(100), expiration, cust, premium))
+      .to.emit(rm, "NewPricePolicy")
+      .withArgs(cust, makePolicyId(rm, 2), _E("2"), false);
+  });
+
+  it("Should return the quote matrix with a status for the cells that can't be priced", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+
+    const cdf = makeCDF().fill([0, 0, 0], 25);
+    const { rm } = await addRiskModuleWithCDF(fixture, { price: _E("1.5"), cdf });
+
+    const OK = 0n;
+    const INVALID_JUMP = 1n;
+    const EXPIRES_TOO_SOON = 2n;
+    const NOT_SUPPORTED = 3n;
+
+    const jumps = [_W("0.1"), _W("0.27"), 0, _W(1)];
+    const durations = [HOUR * 2, HOUR * 5, HOUR / 2];
+    const cells = await rm.quoteMatrix(jumps, true, durations, _A(1000));
+    expect(cells.length).to.equal(4);
+    expect(cells[0].length).to.equal(3);
+
+    const now = await helpers.time.latest();
+    const [premium, pricing] = await rm.pricePolicy(_E("1.35"), true, _A(1000), now + HOUR * 2);
+    expect(cells[0][0].status).to.equal(OK);
+    expect(cells[0][0].triggerPrice).to.equal(_E("1.35"));
+    expect(cells[0][0].premium).to.closeTo(premium, _A("0.0001"));
+    expect(cells[0][0].pricing).to.deep.equal(pricing);
+
+    // No CDF for 5 hours and too short for minDuration
+    expect(cells[0][1].status).to.equal(NOT_SUPPORTED);
+    expect(cells[0][1].premium).to.equal(0);
+    expect(cells[0][2].status).to.equal(EXPIRES_TOO_SOON);
+    // The CDF doesn't price jumps of 27%
+    expect(cells[1].map((cell) => cell.status)).to.deep.equal([NOT_SUPPORTED, NOT_SUPPORTED, EXPIRES_TOO_SOON]);
+    expect(cells[1][0].triggerPrice).to.equal(_E("1.095"));
+    expect(cells[2].map((cell) => cell.status)).to.deep.equal(Array(3).fill(INVALID_JUMP));
+    expect(cells[3].map((cell) => cell.status)).to.deep.equal(Array(3).fill(INVALID_JUMP));
+
+    // Rises aren't priced
+    const upCells = await rm.quoteMatrix([_W("0.1"), _W(1)], false, [HOUR * 2], _A(1000));
+    expect(upCells.map((row) => row[0].status)).to.deep.equal([NOT_SUPPORTED, NOT_SUPPORTED]);
+    expect(upCells[1][0].triggerPrice).to.equal(_E("3"));
+  });
+
+  it("Should refuse to price policies with stale CDF tables", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, currency } = fixture;
+
+    const { rm, cdf } = await addRiskModuleWithCDF(fixture, { price: _E("1.5") });
+    const updatedAt = await helpers.time.latest();
+    await rm.setCDF(3, cdf);
+    expect((await rm.getCDFValidity(0, 2)).updatedAt).to.equal(updatedAt);
+    expect((await rm.getCDFValidity(0, 2)).validity).to.equal(0);
+
+    await expect(rm.connect(cust).setCDFValidity(0, 2, HOUR * 24)).to.be.revertedWith(
+      accessControlMessage(cust, rm, "PRICER_ROLE")
+    );
+    await expect(rm.setCDFValidity(0, 2, HOUR * 24)).to.emit(rm, "GovernanceAction");
+    expect((await rm.getCDFValidity(0, 2)).validity).to.equal(HOUR * 24);
+    expect((await rm.getCDFValidity(0, 2)).updatedAt).to.equal(updatedAt);
+    expect(await rm.getStaleCDFDurations(0, true)).to.deep.equal([]);
+
+    // For the tables never updated since the freshness is tracked (updatedAt = 0), the validity starts when it's set
+    expect((await rm.getCDFValidity(0, 4)).updatedAt).to.equal(0);
+    await rm.setCDFValidity(0, 4, HOUR * 24);
+    expect((await rm.getCDFValidity(0, 4)).updatedAt).to.equal(await helpers.time.latest());
+
+    await helpers.time.increase(HOUR * 24 + 1);
+    expect(await rm.getStaleCDFDurations(0, true)).to.deep.equal([2n]);
+    let now = await helpers.time.latest();
+    await expect(rm.pricePolicy(_E("1.2"), true, _A(100), now + HOUR * 2)).to.be.revertedWith(
+      "PriceRiskModule: stale CDF table"
+    );
+    await expect(rm.connect(cust).newPolicy(_E("1.2"), true, _A(100), now + HOUR * 2, cust)).to.be.revertedWith(
+      "PriceRiskModule: stale CDF table"
+    );
+    // The table of 3 hours never gets stale
+    const [premium] = await rm.pricePolicy(_E("1.2"), true, _A(100), now + HOUR * 3);
+    expect(premium).not.to.equal(0);
+    const cells = await rm.quoteMatrix([_W("0.2")], true, [HOUR * 2, HOUR * 3], _A(100));
+    expect(cells[0].map((cell) => cell.status)).to.deep.equal([4n, 0n]);
+
+    // Updating the table makes it valid again
+    await rm.setCDF(2, cdf);
+    expect(await rm.getStaleCDFDurations(0, true)).to.deep.equal([]);
+    now = await helpers.time.latest();
+    const [premium2] = await rm.pricePolicy(_E("1.2"), true, _A(100), now + HOUR * 2);
+    await currency.connect(cust).approve(pool, premium2);
+    await expect(rm.connect(cust).newPolicy(_E("1.2"), true, _A(100), now + HOUR * 2, cust)).to.emit(
+      rm,
+      "NewPricePolicy"
+    );
+  });
+
+  it("Should validate the shape of the CDFs when enabled", async () => {
+    const { pool, premiumsAccount, accessManager } = await helpers.loadFixture(deployPoolFixture);
+
+    const { rm } = await addRiskModuleWithOracles(pool, premiumsAccount);
+    await grantComponentRole(hre, accessManager, rm, "PRICER_ROLE", owner);
+    const priceSlots = Number(await rm.PRICE_SLOTS());
+    // lossProb decreasing with the jump and growing with the scale (duration)
+    function makeCdf(scale) {
+      return Array.from({ length: priceSlots }, (_, i) => [
+        _W(((priceSlots - i) * scale) / 1000),
+        _W("0.1"),
+        _W("0.5"),
+      ]);
+    }
+
+    const increasing = makeCdf(1);
+    increasing[5] = [_W("0.5"), _W("0.1"), _W("0.5")];
+    // Without validation, any shape is accepted
+    await expect(rm.setCDF(-1, increasing)).not.to.be.reverted;
+
+    await expect(rm.connect(cust).setCDFShapeValidation(true)).to.be.revertedWith(
+      accessControlMessage(cust, rm, "LEVEL2_ROLE")
+    );
+    await expect(rm.setCDFShapeValidation(true)).to.emit(rm, "GovernanceAction");
+    expect(await rm.cdfShapeValidation()).to.equal(true);
+
+    await expect(rm.setCDF(1, increasing)).to.be.revertedWithCustomError(rm, "CDFLossProbIncreasing").withArgs(1, 5);
+    const outOfRange = makeCdf(1);
+    outOfRange[0] = [_W("1.1"), _W("0.1"), _W("0.5")];
+    await expect(rm.setCDF(1, outOfRange)).to.be.revertedWithCustomError(rm, "CDFLossProbOutOfRange").withArgs(1, 0);
+    // The unsupported slots (lossProb = 0) are skipped
+    const withGaps = makeCdf(1);
+    withGaps[0] = [0, 0, 0];
+    withGaps[1] = [0, 0, 0];
+    await expect(rm.setCDF(1, withGaps)).not.to.be.reverted;
+
+    await rm.setCDF(1, makeCdf(1));
+    await rm.setCDF(3, makeCdf(3));
+    await expect(rm.setCDF(2, makeCdf(4)))
+      .to.be.revertedWithCustomError(rm, "CDFLossProbInconsistentWithDuration")
+      .withArgs(2, 3, 0);
+    const cheaperThan1h = makeCdf(1);
+    cheaperThan1h[7] = cheaperThan1h[8];
+    await expect(rm.setCDF(2, cheaperThan1h))
+      .to.be.revertedWithCustomError(rm, "CDFLossProbInconsistentWithDuration")
+      .withArgs(2, 1, 7);
+    await expect(rm.setCDF(2, makeCdf(2))).not.to.be.reverted;
+    // The tables of price rises are validated against their own neighbours, even if set without validation
+    await expect(rm.setCDF(-2, makeCdf(4)))
+      .to.be.revertedWithCustomError(rm, "CDFLossProbInconsistentWithDuration")
+      .withArgs(-2, -1, 5);
+  });
+
+  it("Should create policies with quotes signed by a pricer", async () => {
+    const { pool, premiumsAccount, accessManager, currency } = await helpers.loadFixture(deployPoolFixture);
+    const { rm } = await addRiskModuleWithOracles(pool, premiumsAccount, undefined, _W("0.01"), _E("1.5"));
+    await grantComponentRole(hre, accessManager, rm, "PRICER_ROLE", owner);
+
+    const start = await helpers.time.latest();
+    const quote = {
+      assetId: 0,
+      triggerPrice: _E("1.2"),
+      lower: true,
+      payout: _A(1000),
+      expiration: start + HOUR * 24,
+      lossProb: _W("0.03"),
+      jrCollRatio: _W("0.1"),
+      collRatio: _W("0.5"),
+      payer: cust.address,
+      onBehalfOf: cust.address,
+      validUntil: start + 600,
+      nonce: 1n,
+    };
+    const signature = await signQuote(rm, owner, quote);
+    await currency.connect(cust).approve(pool, _A(500));
+
+    const [, name, version, , verifyingContract] = await rm.eip712Domain();
+    expect([name, version, verifyingContract]).to.deep.equal(["PriceRiskModule", "1", await ethers.resolveAddress(rm)]);
+    expect(await rm.quoteDomainSeparator()).to.equal(ethers.TypedDataEncoder.hashDomain(await quoteDomain(rm)));
+
+    // The quote must be signed by a pricer
+    await expect(rm.connect(cust).newPolicyWithQuote(quote, await signQuote(rm, cust, quote))).to.be.revertedWith(
+      "Quote not signed by a pricer"
+    );
+    // Any change in the terms invalidates the signature
+    await expect(rm.connect(cust).newPolicyWithQuote({ ...quote, lossProb: _W("0.01") }, signature)).to.be.revertedWith(
+      "Quote not signed by a pricer"
+    );
+    await expect(rm.connect(cust).newPolicyWithQuote({ ...quote, assetId: 1 }, signature)).to.be.revertedWith(
+      "Quote not signed by a pricer"
+    );
+    await expect(
+      rm.connect(cust).newPolicyWithQuote({ ...quote, onBehalfOf: owner.address }, signature)
+    ).to.be.revertedWith("Quote not signed by a pricer");
+
+    // The quote can only be used by the payer
+    await expect(rm.connect(owner).newPolicyWithQuote(quote, signature)).to.be.revertedWith(
+      "Quote not issued for the sender"
+    );
+    const zeroOwnerQuote = { ...quote, onBehalfOf: ZeroAddress };
+    await expect(
+      rm.connect(cust).newPolicyWithQuote(zeroOwnerQuote, await signQuote(rm, owner, zeroOwnerQuote))
+    ).to.be.revertedWith("onBehalfOf cannot be the zero address");
+
+    // The pricing and the expiration of the quote are validated, even if signed by a pricer
+    for (const invalidPricing of [
+      { lossProb: _W("1.01") },
+      { jrCollRatio: _W("0.6") },
+      { jrCollRatio: _W("1.1"), collRatio: _W("1.1") },
+    ]) {
+      const invalidQuote = { ...quote, ...invalidPricing };
+      await expect(
+        rm.connect(cust).newPolicyWithQuote(invalidQuote, await signQuote(rm, owner, invalidQuote))
+      ).to.be.revertedWith("Quote with invalid lossProb or collateralization ratios");
+    }
+    const expiredQuote = { ...quote, expiration: start - 1 };
+    await expect(
+      rm.connect(cust).newPolicyWithQuote(expiredQuote, await signQuote(rm, owner, expiredQuote))
+    ).to.be.revertedWith("Quote with expiration in the past");
+
+    const premium = await rm.getMinimumPremiumForPricing(
+      _A(1000),
+      [quote.lossProb, quote.jrCollRatio, quote.collRatio],
+      quote.expiration
+    );
+    expect(await rm.quoteNonceUsed(1n)).to.equal(false);
+    await expect(rm.connect(cust).newPolicyWithQuote(quote, signature))
+      .to.emit(rm, "NewPricePolicy")
+      .withArgs(cust, makePolicyId(rm, 1), _E("1.2"), true);
+    expect(await rm.quoteNonceUsed(1n)).to.equal(true);
+    const policyData = await rm.getPolicyData(makePolicyId(rm, 1));
+    expect(policyData.ensuroPolicy.lossProb).to.equal(quote.lossProb);
+    expect(policyData.ensuroPolicy.premium).to.closeTo(premium, _A("0.0001"));
+    expect(policyData.assetId).to.equal(0);
+
+    // Replay is not allowed
+    await expect(rm.connect(cust).newPolicyWithQuote(quote, signature)).to.be.revertedWith("Quote already used");
+
+    // Expired quote
+    const quote2 = { ...quote, nonce: 2n };
+    const signature2 = await signQuote(rm, owner, quote2);
+    await helpers.time.increaseTo(quote.validUntil + 1);
+    await expect(rm.connect(cust).newPolicyWithQuote(quote2, signature2)).to.be.revertedWith("Quote expired");
+  });
+
+  it("Should price with the non-uniform slot boundaries set with the CDF", async () => {
+    const { pool, premiumsAccount, accessManager } = await helpers.loadFixture(deployPoolFixture);
+
+    const { rm, oracle } = await addRiskModuleWithOracles(pool, premiumsAccount);
+    await oracle.setPrice(_E("1"));
+    await grantComponentRole(hre, accessManager, rm, "PRICER_ROLE", owner);
+    const setCDF = rm["setCDF(uint16,int40,(uint64,uint64,uint64)[30],uint64[30])"];
+
+    const priceSlots = Number(await rm.PRICE_SLOTS());
+    const cdf = new Array(priceSlots);
+    for (let i = 0; i < priceSlots; i++) cdf[i] = [_W((i + 1) / 100), 0, _W(1)];
+    // 0.5% steps up to 5%, 1% steps up to 15% and 5% steps up to 60%
+    const boundaries = new Array(priceSlots);
+    for (let i = 0; i < priceSlots; i++) {
+      if (i < 10) boundaries[i] = _W((i * 5) / 1000);
+      else if (i < 20) boundaries[i] = _W("0.05") + _W((i - 10) / 100);
+      else boundaries[i] = _W("0.15") + _W(((i - 20) * 5) / 100);
+    }
+
+    const wrongBoundaries = [...boundaries];
+    wrongBoundaries[10] = wrongBoundaries[9];
+    await expect(setCDF(0, 2, cdf, wrongBoundaries)).to.be.revertedWith("Validation: invalid slot boundaries");
+    await expect(setCDF(0, 2, cdf, [_W("0.01"), ...boundaries.slice(1)])).to.be.revertedWith(
+      "Validation: invalid slot boundaries"
+    );
+    await expect(setCDF(0, 2, cdf, boundaries))
+      .to.emit(rm, "GovernanceAction")
+      .withArgs(19 /* rmFiller1 */, 2);
+    expect(await rm.getSlotBoundaries(0, 2)).to.deep.equal(boundaries);
+
+    const start = await helpers.time.latest();
+    const expiration = start + HOUR * 2;
+    async function lossProbAt(triggerPrice) {
+      return (await rm.pricePolicy(triggerPrice, true, _A(1000), expiration))[1][0];
+    }
+
+    // Nearest mode, rounded to the nearest boundary
+    expect(await lossProbAt(_E("0.98"))).to.equal(_W("0.05")); // 2% => slot 4
+    expect(await lossProbAt(_E("0.978"))).to.equal(_W("0.05")); // 2.2% => slot 4
+    expect(await lossProbAt(_E("0.977"))).to.equal(_W("0.06")); // 2.3% => slot 5
+    expect(await lossProbAt(_E("0.9"))).to.equal(_W("0.16")); // 10% => slot 15
+    expect(await lossProbAt(_E("0.5"))).to.equal(_W("0.28")); // 50% => slot 27
+    expect(await lossProbAt(_E("0.3"))).to.equal(_W("0.3")); // 70% => beyond the last slot
+
+    // Interpolated mode, interpolated between the boundaries
+    await rm.setPricingMode(1);
+    expect(await lossProbAt(_E("0.7"))).to.equal(_W("0.24")); // 30% => slot 23
+    expect(await lossProbAt(_E("0.725"))).to.equal(_W("0.235")); // 27.5% => between slots 22 and 23
+
+    // Setting the CDF without boundaries goes back to uniform slots
+    await rm.setCDF(2, cdf);
+    expect(await rm.getSlotBoundaries(0, 2)).to.deep.equal(boundaries.map((_, i) => _W(i / 100)));
+    expect(await lossProbAt(_E("0.9"))).to.equal(_W("0.11")); // 10% => slot 10
+  });
+
+  it("Should price linear payout policies integrating the CDF between trigger and floor price", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, currency } = fixture;
+
+    const cdf = makeCDF().map((_, i) => [_W((30 - i) / 100), _W("0.1"), _W(1)]);
+    const { rm, oracle } = await addRiskModuleWithCDF(fixture, { price: _E("1.4"), cdf });
+
+    const start = await helpers.time.latest();
+    const expiration = start + HOUR * 2;
+
+    await expect(rm.priceLinearPolicy(_E("1.26"), _E("1.3"), true, _A(1000), expiration)).to.be.revertedWith(
+      "Invalid floor price"
+    );
+    await expect(rm.priceLinearPolicy(_E("1.26"), 0, true, _A(1000), expiration)).to.be.revertedWith(
+      "Invalid floor price"
+    );
+    await expect(rm.priceLinearPolicy(_E("1.54"), _E("1.5"), false, _A(1000), expiration)).to.be.revertedWith(
+      "Invalid floor price"
+    );
+
+    // Trigger at -10% (slot 10, lossProb 0.2) and floor at -20% (slot 20, lossProb 0.1)
+    const [premium, pricing] = await rm.priceLinearPolicy(_E("1.26"), _E("1.12"), true, _A(1000), expiration);
+    expect(pricing.lossProb).to.equal(_W("0.15"));
+    expect(pricing.jrCollRatio).to.equal(_W("0.1"));
+    expect(pricing.collRatio).to.equal(_W("1"));
+    expect(premium).to.equal(await rm.getMinimumPremiumForPricing(_A(1000), [...pricing], expiration));
+
+    // When trigger and floor are in the same slot, it's priced like a binary policy
+    const [, samePricing] = await rm.priceLinearPolicy(_E("1.26"), _E("1.259"), true, _A(1000), expiration);
+    expect(samePricing.lossProb).to.equal(_W("0.2"));
+
+    await currency.connect(cust).approve(pool, premium);
+    await expect(rm.connect(cust).newLinearPolicy(_E("1.26"), _E("1.12"), true, _A(1000), expiration, cust))
+      .to.emit(rm, "NewPricePolicy")
+      .withArgs(cust, makePolicyId(rm, 1), _E("1.26"), true);
+    const policyId = makePolicyId(rm, 1);
+    const policyData = await rm.getPolicyData(policyId);
+    expect(policyData.floorPrice).to.equal(_E("1.12"));
+    expect(policyData.ensuroPolicy.lossProb).to.equal(_W("0.15"));
+
+    await helpers.time.increase(HOUR);
+    expect(await rm.policyCanBeTriggered(policyId)).to.deep.equal([false, 0n]);
+    expect(await rm.triggerablePayout(policyId)).to.equal(0);
+
+    await oracle.setPrice(_E("1.26"));
+    expect(await rm.policyCanBeTriggered(policyId)).to.deep.equal([false, 0n]);
+    await expect(rm.connect(cust).triggerPolicy(policyId)).to.be.revertedWith(
+      "Condition not met CurrentPrice = triggerPrice"
+    );
+
+    // Half way between trigger and floor price
+    await oracle.setPrice(_E("1.19"));
+    expect(await rm.policyCanBeTriggered(policyId)).to.deep.equal([true, _A(500)]);
+    expect(await rm.triggerablePayout(policyId)).to.equal(_A(500));
+
+    await oracle.setPrice(_E("1.0"));
+    expect(await rm.triggerablePayout(policyId)).to.equal(_A(1000));
+
+    await oracle.setPrice(_E("1.19"));
+    // Only the owner can trigger the policy, so nobody can end the coverage with a near-zero payout
+    await expect(rm.connect(lp).triggerPolicy(policyId)).to.be.revertedWith(
+      "Only the policy owner can trigger linear policies"
+    );
+    expect(await rm.connect(lp).triggerPolicies.staticCall([policyId])).to.deep.equal([false]);
+    await expect(() => rm.connect(cust).triggerPolicy(policyId)).to.changeTokenBalance(currency, cust, _A(500));
+    expect(await pool.isActive(policyId)).to.equal(false);
+  });
+
+  it("Should price and trigger corridor policies from both sides", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, currency } = fixture;
+
+    const { rm, oracle, cdf } = await addRiskModuleWithCDF(fixture, {
+      price: _E("1.4"),
+      cdf: makeCDF([0, 0, 0], { 10: [_W("0.05"), _W("0.1"), _W("0.5")] }),
+    });
+
+    const start = await helpers.time.latest();
+    const expiration = start + HOUR * 2;
+
+    await expect(rm.priceCorridorPolicy(_E("1.26"), _E("1.4"), _A(1000), expiration)).to.be.revertedWith(
+      "Price already at trigger value"
+    );
+    await expect(rm.priceCorridorPolicy(_E("1.4"), _E("1.54"), _A(1000), expiration)).to.be.revertedWith(
+      "Price already at trigger value"
+    );
+    // upperPrice must be above lowerPrice, so upperPrice = 0 doesn't create a plain lower policy
+    await expect(rm.priceCorridorPolicy(_E("1.26"), 0, _A(1000), expiration)).to.be.revertedWith(
+      "Invalid corridor prices"
+    );
+    await expect(rm.connect(cust).newCorridorPolicy(_E("1.26"), 0, _A(1000), expiration, cust)).to.be.revertedWith(
+      "Invalid corridor prices"
+    );
+    await expect(
+      rm.connect(cust).newCorridorPolicy(_E("1.54"), _E("1.26"), _A(1000), expiration, cust)
+    ).to.be.revertedWith("Invalid corridor prices");
+
+    // Not supported if the upper side isn't priced
+    let [premium, pricing] = await rm.priceCorridorPolicy(_E("1.26"), _E("1.54"), _A(1000), expiration);
+    expect(premium).to.equal(0);
+    expect(pricing.lossProb).to.equal(0);
+    await expect(
+      rm.connect(cust).newCorridorPolicy(_E("1.26"), _E("1.54"), _A(1000), expiration, cust)
+    ).to.be.revertedWith("Either duration or percentage jump not supported");
+
+    cdf[10] = [_W("0.03"), _W("0.2"), _W("0.4")];
+    await rm.connect(owner).setCDF(-2, cdf);
+
+    // The lossProb is the sum of both sides, but the collateral is the max of both sides
+    [premium, pricing] = await rm.priceCorridorPolicy(_E("1.26"), _E("1.54"), _A(1000), expiration);
+    expect(pricing.lossProb).to.equal(_W("0.08"));
+    expect(pricing.jrCollRatio).to.equal(_W("0.2"));
+    expect(pricing.collRatio).to.equal(_W("0.5"));
+    expect(premium).to.equal(await rm.getMinimumPremiumForPricing(_A(1000), [...pricing], expiration));
+
+    await currency.connect(cust).approve(pool, premium * 2n);
+    await rm.connect(cust).newCorridorPolicy(_E("1.26"), _E("1.54"), _A(1000), expiration, cust);
+    await rm.connect(cust).newCorridorPolicy(_E("1.26"), _E("1.54"), _A(1000), expiration, cust);
+    const policyId = makePolicyId(rm, 1);
+    const policyId2 = makePolicyId(rm, 2);
+    const policyData = await rm.getPolicyData(policyId);
+    expect(policyData.triggerPrice).to.equal(_E("1.26"));
+    expect(policyData.upperTriggerPrice).to.equal(_E("1.54"));
+    expect(policyData.lower).to.equal(true);
+
+    await helpers.time.increase(HOUR);
+    await oracle.setPrice(_E("1.5"));
+    expect(await rm.policyCanBeTriggered(policyId)).to.deep.equal([false, 0n]);
+    await expect(rm.triggerPolicy(policyId)).to.be.revertedWith("Condition not met CurrentPrice inside the corridor");
+
+    await oracle.setPrice(_E("1.3"));
+    await expect(rm.triggerPolicy(policyId)).to.be.revertedWith("Condition not met CurrentPrice inside the corridor");
+
+    // Triggers from the upper side
+    await oracle.setPrice(_E("1.55"));
+    expect(await rm.policyCanBeTriggered(policyId)).to.deep.equal([true, _A(1000)]);
+    let tx = await rm.triggerPolicy(policyId);
+    await expect(tx).to.changeTokenBalance(currency, cust, _A(1000));
+    await expect(tx)
+      .to.emit(rm, "PolicyTriggered")
+      .withArgs(policyId, _E("1.55"), _E("1.54"), false, await helpers.time.latest());
+
+    // Triggers from the lower side
+    await oracle.setPrice(_E("1.26"));
+    expect(await rm.policyCanBeTriggered(policyId2)).to.deep.equal([true, _A(1000)]);
+    tx = await rm.triggerPolicy(policyId2);
+    await expect(tx).to.changeTokenBalance(currency, cust, _A(1000));
+    await expect(tx)
+      .to.emit(rm, "PolicyTriggered")
+      .withArgs(policyId2, _E("1.26"), _E("1.26"), true, await helpers.time.latest());
+  });
+
+  it("Should allow the policy owner to cancel the policy and get the unearned pure premium", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, currency, srEtk, jrEtk, premiumsAccount } = fixture;
+
+    const { rm } = await addRiskModuleWithCDF(fixture, {
+      price: _E("1.4"),
+      cdf: makeCDF([0, 0, 0], { 21: [_W("0.05"), 0, _W(1)] }),
+    });
+    await rm.setCDF(1, makeCDF([0, 0, 0], { 21: [_W("0.03"), 0, _W(1)] }));
+
+    const start = await helpers.time.latest();
+    const [premium] = await rm.pricePolicy(_E("1.1"), true, _A(1000), start + HOUR * 2);
+    await currency.connect(cust).approve(pool, premium);
+
+    const tx = await rm.connect(cust).newPolicy(_E("1.1"), true, _A(1000), start + HOUR * 2, cust);
+    const receipt = await tx.wait();
+    const policy = getTransactionEvent(pool.interface, receipt, "NewPolicy").args.policy;
+    expect(policy.purePremium).to.equal(_A(1000 * 0.05));
+    expect(await rm.activeExposure()).to.equal(_A(1000));
+
+    await expect(rm.connect(lp).cancelPolicy(policy.id)).to.be.revertedWith("Only the policy owner can cancel it");
+
+    // With one hour remaining, the prorated pure premium (~25) is lower than the current one (1000 * 0.03)
+    const cancelTime = policy.expiration - BigInt(HOUR);
+    const refund = (policy.purePremium * BigInt(HOUR)) / (policy.expiration - policy.start);
+    expect(refund).to.be.lessThan(_A(1000 * 0.03));
+
+    const surplusBefore = await premiumsAccount.surplus();
+    await helpers.time.setNextBlockTimestamp(cancelTime);
+    const cancelTx = await rm.connect(cust).cancelPolicy(policy.id);
+    await expect(cancelTx).to.emit(rm, "PricePolicyCancelled").withArgs(cust, policy.id, refund);
+    await expect(cancelTx).to.emit(pool, "PolicyResolved").withArgs(rm, policy.id, refund);
+    await expect(cancelTx).to.changeTokenBalances(
+      currency,
+      [cust, premiumsAccount, srEtk, jrEtk],
+      [refund, -refund, 0, 0]
+    );
+
+    expect(await pool.isActive(policy.id)).to.equal(false);
+    expect(await rm.activeExposure()).to.equal(0);
+
+    // The premiums account keeps the rest of the pure premium and the eTokens the full cost of capital, with the SCR
+    // unlocked, as if the policy expired
+    expect(await premiumsAccount.activePurePremiums()).to.equal(0);
+    expect(await premiumsAccount.surplus()).to.equal(surplusBefore + policy.purePremium - refund);
+    expect(await srEtk.scr()).to.equal(0);
+    expect(await jrEtk.scr()).to.equal(0);
+    expect(await srEtk.totalSupply()).to.closeTo(_A(5000) + policy.srCoc, 1n);
+    expect(await jrEtk.totalSupply()).to.closeTo(_A(3000) + policy.jrCoc, 1n);
+    await expect(rm.connect(cust).cancelPolicy(policy.id)).to.be.revertedWith("Policy not found");
+  });
+
+  it("Should not allow to cancel a policy that can be triggered", async () => {
+    const fixture = await helpers.loadFixture(deployPoolFixture);
+    const { pool, currency } = fixture;
+
+    const { rm, oracle } = await addRiskModuleWithCDF(fixture, {
+      price: _E("1.4"),
+      durations: [2, 1],
+      cdf: makeCDF([_W("0.05"), 0, _W(1)]),
+    });
+
+    const start = await helpers.time.latest();
+    await currency.connect(cust).approve(pool, _A(100));
+    await rm.connect(cust).newPolicy(_E("1.1"), true, _A(1000), start + HOUR * 2, cust);
+    const policyId = makePolicyId(rm, 1);
+
+    await oracle.setPrice(_E("1.05"));
+    await expect(rm.connect(cust).cancelPolicy(policyId)).to.be.revertedWith("Price already at trigger value");
+
+    await oracle.setPrice(_E("1.4"));
+    await helpers.time.increase(HOUR * 2);
+    await expect(rm.connect(cust).cancelPolicy(policyId)).to.be.revertedWith("The policy is expired");
+  });
+
+  it("Should only allow ORACLE_ADMIN to add and configure assets", async () => {
+    const { pool, premiumsAccount, accessManager } = await helpers.loadFixture(deployPoolFixture);
+
+    const { rm, oracle } = await addRiskModuleWithOracles(pool, premiumsAccount);
+
+    const PriceOracleMock = await ethers.getContractFactory("PriceOracleMock");
+    const assetOracle = await PriceOracleMock.deploy(_E("100"));
+
+    await expect(rm.addAsset(1, assetOracle, _W("0.05"))).to.be.revertedWith(
+      accessControlMessage(owner, rm, "ORACLE_ADMIN_ROLE")
+    );
+    await expect(rm["oracle(uint16)"](1)).to.be.revertedWith("PriceRiskModule: asset not found");
+
+    await grantComponentRole(hre, accessManager, rm, "ORACLE_ADMIN_ROLE", owner);
+
+    await expect(rm.addAsset(0, assetOracle, _W("0.05"))).to.be.revertedWith(
+      "PriceRiskModule: assetId 0 is the default asset"
+    );
+    await expect(rm.addAsset(1, ZeroAddress, _W("0.05"))).to.be.revertedWith(
+      "PriceRiskModule: oracle_ cannot be the zero address"
+    );
+    await expect(rm.addAsset(1, assetOracle, 0)).to.be.revertedWith("PriceRiskModule: invalid slotSize_");
+
+    // The asset id is encoded in the upper 16 bits of the governance action value
+    const assetParam = (1n << 240n) | BigInt(await ethers.resolveAddress(assetOracle));
+    const tx = await rm.addAsset(1, assetOracle, _W("0.05"));
+    await expect(tx).to.emit(rm, "AssetAdded").withArgs(1, assetOracle, _W("0.05"));
+    await expect(tx).to.emit(rm, "GovernanceAction").withArgs(21 /* rmFiller3 */, assetParam);
+    await expect(rm.addAsset(1, assetOracle, _W("0.05"))).to.be.revertedWith(
+      "PriceRiskModule: asset already registered"
+    );
+
+    expect(await rm["oracle(uint16)"](1)).to.equal(assetOracle);
+    expect(await rm["minDuration(uint16)"](1)).to.equal(HOUR);
+    expect(await rm.slotSize(1)).to.equal(_W("0.05"));
+    // The default asset is still the one of the initialization
+    expect(await rm["oracle(uint16)"](0)).to.equal(oracle);
+    expect(await rm.slotSize(0)).to.equal(_W("0.01"));
+
+    await expect(rm["setMinDuration(uint16,uint40)"](1, HOUR / 2)).not.to.be.reverted;
+    expect(await rm["minDuration(uint16)"](1)).to.equal(HOUR / 2);
+    expect(await rm.minDuration()).to.equal(HOUR);
+
+    const newOracle = await PriceOracleMock.deploy(_E("101"));
+    await expect(rm["setOracle(uint16,address)"](2, newOracle)).to.be.revertedWith("PriceRiskModule: asset not found");
+    await expect(rm["setOracle(uint16,address)"](1, newOracle)).not.to.be.reverted;
+    expect(await rm["oracle(uint16)"](1)).to.equal(newOracle);
+    expect(await rm.oracle()).to.equal(oracle);
+  });
+
+  it("Should price and trigger the policies of each asset with its own oracle and CDF", async () => {
+    const { pool, premiumsAccount, accessManager, currency } = await helpers.loadFixture(deployPoolFixture);
+
+    const { rm, oracle } = await addRiskModuleWithOracles(pool, premiumsAccount, undefined, _W("0.01"), _E("1.5"));
+    const PriceOracleMock = await ethers.getContractFactory("PriceOracleMock");
+    const assetOracle = await PriceOracleMock.deploy(_E("100"));
+
+    await grantComponentRole(hre, accessManager, rm, "ORACLE_ADMIN_ROLE", owner);
+    await grantComponentRole(hre, accessManager, rm, "PRICER_ROLE", owner);
+    await rm.addAsset(1, assetOracle, _W("0.05"));
+
+    const priceSlots = Number(await rm.PRICE_SLOTS());
+    const cdf = new Array(priceSlots);
+    for (let i = 0; i < priceSlots; i++) cdf[i] = [_W((i + 1) / 100), _W("0.1"), _W("0.5")];
+    const setAssetCDF = rm["setCDF(uint16,int40,(uint64,uint64,uint64)[30])"];
+    await expect(setAssetCDF(2, 2, cdf)).to.be.revertedWith("PriceRiskModule: asset not found");
+    await setAssetCDF(1, 2, cdf);
+
+    expect((await rm["getCDF(uint16,int40)"](1, 2))[2].lossProb).to.equal(_W("0.03"));
+    // The CDF of the default asset isn't affected
+    expect((await rm.getCDF(2))[2].lossProb).to.equal(0);
+
+    const start = await helpers.time.latest();
+    const expiration = start + HOUR * 2;
+    const pricePolicy = rm["pricePolicy(uint16,uint256,bool,uint256,uint40)"];
+    const newPolicy = rm.connect(cust)["newPolicy(uint16,uint256,bool,uint256,uint40,address)"];
+
+    // 10% drop with 5% slots --> cdf[2] of the asset
+    const [premium, pricing] = await pricePolicy(1, _E("90"), true, _A(1000), expiration);
+    expect(pricing.lossProb).to.equal(_W("0.03"));
+    expect(pricing.jrCollRatio).to.equal(_W("0.1"));
+    expect(pricing.collRatio).to.equal(_W("0.5"));
+    expect(premium).to.equal(await rm.getMinimumPremiumForPricing(_A(1000), [...pricing], expiration));
+
+    // The same trigger price on the default asset isn't supported
+    expect((await rm.pricePolicy(_E("1.35"), true, _A(1000), expiration))[0]).to.equal(0);
+    await expect(pricePolicy(2, _E("90"), true, _A(1000), expiration)).to.be.revertedWith(
+      "PriceRiskModule: asset not found"
+    );
+
+    await currency.connect(cust).approve(pool, premium);
+    const policyId = makePolicyId(rm, 1);
+    await expect(newPolicy(1, _E("90"), true, _A(1000), expiration, cust))
+      .to.emit(rm, "NewPricePolicy")
+      .withArgs(cust, policyId, _E("90"), true);
+    expect((await rm.getPolicyData(policyId))[5]).to.equal(1);
+
+    await helpers.time.increase(HOUR);
+
+    // The price of the default asset doesn't affect the policy
+    await oracle.setPrice(_E("0.5"));
+    await assetOracle.setPrice(_E("95"));
+    expect(await rm.policyCanBeTriggered(policyId)).to.deep.equal([false, 0n]);
+    await expect(rm.triggerPolicy(policyId)).to.be.revertedWith("Condition not met CurrentPrice > triggerPrice");
+
+    await assetOracle.setPrice(_E("89"));
+    expect(await rm.policyCanBeTriggered(policyId)).to.deep.equal([true, _A(1000)]);
+    await expect(() => rm.triggerPolicy(policyId)).to.changeTokenBalance(currency, cust, _A(1000));
+  });
+
+  it("Should create and price every kind of policy on the assets of the registry", async () => {
+    const { pool, premiumsAccount, accessManager, currency } = await helpers.loadFixture(deployPoolFixture);
+
+    const { rm } = await addRiskModuleWithOracles(pool, premiumsAccount, undefined, _W("0.01"), _E("1.5"));
+    const PriceOracleMock = await ethers.getContractFactory("PriceOracleMock");
+    const assetOracle = await PriceOracleMock.deploy(_E("100"));
+
+    await grantComponentRole(hre, accessManager, rm, "ORACLE_ADMIN_ROLE", owner);
+    await grantComponentRole(hre, accessManager, rm, "PRICER_ROLE", owner);
+    await rm.addAsset(1, assetOracle, _W("0.05"));
+
+    const priceSlots = Number(await rm.PRICE_SLOTS());
+    const cdf = new Array(priceSlots);
+    for (let i = 0; i < priceSlots; i++) cdf[i] = [_W((i + 1) / 100), _W("0.1"), _W("0.5")];
+    const setAssetCDF = rm["setCDF(uint16,int40,(uint64,uint64,uint64)[30])"];
+    await setAssetCDF(1, 2, cdf);
+    await setAssetCDF(1, -2, cdf);
+
+    const expiration = (await helpers.time.latest()) + HOUR * 2;
+    const pricePolicy = rm["pricePolicy(uint16,uint256,bool,uint256,uint40)"];
+    const [premium, pricing] = await pricePolicy(1, _E("90"), true, _A(1000), expiration);
+    expect(pricing.lossProb).to.equal(_W("0.03"));
+
+    expect(await rm["relativeTriggerPrice(uint16,uint256,bool)"](1, _W("0.1"), true)).to.equal(_E("90"));
+    await expect(rm["relativeTriggerPrice(uint16,uint256,bool)"](2, _W("0.1"), true)).to.be.revertedWith(
+      "PriceRiskModule: asset not found"
+    );
+
+    const cells = await rm["quoteMatrix(uint16,uint256[],bool,uint40[],uint256)"](
+      1,
+      [_W("0.1")],
+      true,
+      [HOUR * 2, HOUR / 2],
+      _A(1000)
+    );
+    expect(cells[0][0].status).to.equal(0);
+    expect(cells[0][0].triggerPrice).to.equal(_E("90"));
+    expect(cells[0][0].pricing).to.deep.equal(pricing);
+    expect(cells[0][1].status).to.equal(2); // expiresTooSoon, with the minDuration of the asset
+
+    const premiums = await rm["pricePolicies(uint16,uint256[],bool,uint256[],uint40[])"](
+      1,
+      [_E("90"), _E("85")],
+      true,
+      [_A(1000), _A(1000)],
+      [expiration, expiration]
+    );
+    expect(premiums[0]).to.equal(premium);
+
+    // Trigger at -10% (slot 2, lossProb 0.03) and floor at -20% (slot 4, lossProb 0.05)
+    const [, linearPricing] = await rm["priceLinearPolicy(uint16,uint256,uint256,bool,uint256,uint40)"](
+      1,
+      _E("90"),
+      _E("80"),
+      true,
+      _A(1000),
+      expiration
+    );
+    expect(linearPricing.lossProb).to.equal(_W("0.04"));
+    // Both sides at 10% (slot 2, lossProb 0.03)
+    const [, corridorPricing] = await rm["priceCorridorPolicy(uint16,uint256,uint256,uint256,uint40)"](
+      1,
+      _E("90"),
+      _E("110"),
+      _A(1000),
+      expiration
+    );
+    expect(corridorPricing.lossProb).to.equal(_W("0.06"));
+
+    await currency.connect(cust).approve(pool, _A(1000));
+    const rmCust = rm.connect(cust);
+    await expect(
+      rmCust["newPolicies(uint16,uint256[],bool,uint256[],uint40[],address)"](
+        1,
+        [_E("90"), _E("85")],
+        true,
+        [_A(1000), _A(1000)],
+        [expiration, expiration],
+        cust
+      )
+    )
+      .to.emit(rm, "NewPricePolicy")
+      .withArgs(cust, makePolicyId(rm, 2), _E("85"), true);
+    await expect(
+      rmCust["newPolicyRelative(uint16,uint256,bool,uint256,uint40,address,uint256)"](
+        1,
+        _W("0.1"),
+        true,
+        _A(1000),
+        expiration,
+        cust,
+        premium
+      )
+    )
+      .to.emit(rm, "NewPricePolicy")
+      .withArgs(cust, makePolicyId(rm, 3), _E("90"), true);
+    await expect(
+      rmCust["newLinearPolicy(uint16,uint256,uint256,bool,uint256,uint40,address)"](
+        1,
+        _E("90"),
+        _E("80"),
+        true,
+        _A(1000),
+        expiration,
+        cust
+      )
+    )
+      .to.emit(pool, "NewPolicy")
+      .withArgs(rm, (policy) => policy[0] === makePolicyId(rm, 4) && policy[5] === linearPricing.lossProb);
+    await expect(
+      rmCust["newCorridorPolicy(uint16,uint256,uint256,uint256,uint40,address)"](
+        1,
+        _E("90"),
+        _E("110"),
+        _A(1000),
+        expiration,
+        cust
+      )
+    )
+      .to.emit(pool, "NewPolicy")
+      .withArgs(rm, (policy) => policy[0] === makePolicyId(rm, 5) && policy[5] === corridorPricing.lossProb);
+    for (let i = 1; i <= 5; i++) expect((await rm.getPolicyData(makePolicyId(rm, i)))[5]).to.equal(1);
+
+    // The price of the asset triggers the corridor policy
+    await helpers.time.increase(HOUR);
+    await assetOracle.setPrice(_E("111"));
+    expect(await rm.policyCanBeTriggered(makePolicyId(rm, 5))).to.deep.equal([true, _A(1000)]);
+  });
+
   it("Should not allow operations when paused", async () => {
     const { pool, premiumsAccount, accessManager } = await helpers.loadFixture(deployPoolFixture);
 
@@ -643,6 +2030,20 @@ describe("Test PriceRiskModule contract", function () {
     await pool.connect(lp).deposit(jrEtk, _A("3000"));
     return { pool, currency, accessManager, jrEtk, srEtk, premiumsAccount };
   }
+
+  /**
+   * Adds a PriceRiskModule to the pool of the fixture (see addRiskModuleWithOracles), grants the PRICER_ROLE to the
+   * owner and sets the CDF for each one of the durations.
+   */
+  async function addRiskModuleWithCDF(
+    { pool, premiumsAccount, accessManager },
+    { oracle, slotSize, price, durations = [2], cdf = makeCDF() } = {}
+  ) {
+    const ret = await addRiskModuleWithOracles(pool, premiumsAccount, oracle, slotSize, price);
+    await grantComponentRole(hre, accessManager, ret.rm, "PRICER_ROLE", owner);
+    for (const duration of durations) await ret.rm.setCDF(duration, cdf);
+    return { ...ret, cdf };
+  }
 });
 
 async function addRiskModuleWithOracles(
@@ -657,18 +2058,52 @@ async function addRiskModuleWithOracles(
     oracle = await PriceOracleMock.deploy(price || _W(0));
   }
 
-  const rm = await addPriceRiskModule(pool, premiumsAccount, oracle, slotSize);
+  const rm = await addPriceRiskModule(pool, premiumsAccount, oracle, { slotSize });
 
   return { oracle, rm };
 }
 
-async function addPriceRiskModule(pool, premiumsAccount, oracle, slotSize = _W("0.01")) {
-  const PriceRiskModule = await ethers.getContractFactory("PriceRiskModule");
-  const oracleAddr = await ethers.resolveAddress(oracle);
-  const rm = await addRiskModule(pool, premiumsAccount, PriceRiskModule, {
-    extraConstructorArgs: [slotSize],
-    extraArgs: [oracleAddr],
-  });
+/**
+ * Returns a CDF with `slot` in all the slots, except the ones given in `slots` (index => slot)
+ */
+function makeCDF(slot = [_W("0.02"), _W("0.1"), _W("0.5")], slots = {}) {
+  return Array.from({ length: PRICE_SLOTS }, (_, i) => slots[i] || slot);
+}
+
+async function deployChainlinkOracle() {
+  const AggregatorV3Mock = await ethers.getContractFactory("AggregatorV3Mock");
+  const aggregator = await AggregatorV3Mock.deploy(8);
+  const ChainlinkPriceOracle = await ethers.getContractFactory("ChainlinkPriceOracle");
+  const oracle = await ChainlinkPriceOracle.deploy(aggregator, ZeroAddress, HOUR * 24);
+  return { aggregator, oracle };
+}
+
+async function quoteDomain(rm) {
+  return {
+    name: "PriceRiskModule",
+    version: "1",
+    chainId: (await ethers.provider.getNetwork()).chainId,
+    verifyingContract: await ethers.resolveAddress(rm),
+  };
+}
 
-  return rm;
+async function signQuote(rm, signer, quote) {
+  const domain = await quoteDomain(rm);
+  const types = {
+    Quote: [
+      { name: "assetId", type: "uint16" },
+      { name: "triggerPrice", type: "uint256" },
+      { name: "lower", type: "bool" },
+      { name: "payout", type: "uint256" },
+      { name: "expiration", type: "uint40" },
+      { name: "lossProb", type: "uint64" },
+      { name: "jrCollRatio", type: "uint64" },
+      { name: "collRatio", type: "uint64" },
+      { name: "payer", type: "address" },
+      { name: "onBehalfOf", type: "address" },
+      { name: "validUntil", type: "uint40" },
+      { name: "nonce", type: "uint256" },
+    ],
+  };
+  return signer.signTypedData(domain, types, quote);
 }
@@ -7,6 +7,10 @@ const { getStorageLayout } = require("@ensuro/core/js/utils");
 describe("Storage Gaps", () => {
   const contracts = [
     "PriceRiskModule",
+    "PriceRiskModuleCreation",
+    "PriceRiskModulePricing",
+    "PriceRiskModuleResolution",
+    "PriceRiskModuleConfig",
     "payout-automations/PayoutAutomationBase",
     "payout-automations/PayoutAutomationBaseGelato",
     "payout-automations/ForwardPayoutAutomation",
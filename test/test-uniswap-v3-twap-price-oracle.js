@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { ZeroAddress } = ethers;
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { _W } = require("@ensuro/core/js/utils");
+const { initCurrency } = require("@ensuro/core/js/test-utils");
+
+const HOUR = 3600;
+
+describe("Test UniswapV3TwapPriceOracle contract", function () {
+  const ETH_TICK = -200311; // ~2000 USDC per WETH
+  let UniswapV3PoolMock, UniswapV3TwapPriceOracle, usdc, weth;
+
+  beforeEach(async () => {
+    UniswapV3TwapPriceOracle = await ethers.getContractFactory("UniswapV3TwapPriceOracle");
+    UniswapV3PoolMock = await ethers.getContractFactory("UniswapV3PoolMock");
+    usdc = await initCurrency({ name: "Test USDC", symbol: "USDC", decimals: 6, initial_supply: _W(10000) });
+    weth = await initCurrency({ name: "Test WETH", symbol: "WETH", decimals: 18, initial_supply: _W(10000) });
+  });
+
+  // Price of token0 in token1 at a given tick, adjusted by the decimals of the tokens
+  function tickPrice(tick, decimals0, decimals1) {
+    return 1.0001 ** tick * 10 ** (decimals0 - decimals1);
+  }
+
+  function expectPrice(price, expected, tolerance = 1e-6) {
+    expect(Number(price) / 1e18).to.be.closeTo(expected, expected * tolerance);
+  }
+
+  it("Should validate the construction parameters", async () => {
+    const pool = await UniswapV3PoolMock.deploy(weth, usdc, ETH_TICK, 10);
+    await expect(UniswapV3TwapPriceOracle.deploy(ZeroAddress, weth, HOUR, 10)).to.be.revertedWith(
+      "UniswapV3TwapPriceOracle: pool cannot be the zero address"
+    );
+    await expect(UniswapV3TwapPriceOracle.deploy(pool, weth, 0, 10)).to.be.revertedWith(
+      "UniswapV3TwapPriceOracle: twapWindow cannot be zero"
+    );
+    const other = await initCurrency({ name: "Other", symbol: "OTH", decimals: 18, initial_supply: _W(10000) });
+    await expect(UniswapV3TwapPriceOracle.deploy(pool, other, HOUR, 10)).to.be.revertedWith(
+      "UniswapV3TwapPriceOracle: asset not in the pool"
+    );
+
+    const oracle = await UniswapV3TwapPriceOracle.deploy(pool, usdc, HOUR, 10);
+    expect(await oracle.pool()).to.equal(pool);
+    expect(await oracle.asset()).to.equal(usdc);
+    expect(await oracle.twapWindow()).to.equal(HOUR);
+    expect(await oracle.minCardinality()).to.equal(10);
+  });
+
+  it("Should return the price normalized to Wad in both directions", async () => {
+    const pool = await UniswapV3PoolMock.deploy(weth, usdc, ETH_TICK, 10);
+    const wethOracle = await UniswapV3TwapPriceOracle.deploy(pool, weth, HOUR, 10);
+    const usdcOracle = await UniswapV3TwapPriceOracle.deploy(pool, usdc, HOUR, 10);
+
+    // Not enough history for the window
+    await expect(wethOracle.getCurrentPrice()).to.be.revertedWith("OLD");
+
+    await helpers.time.increase(HOUR);
+    const wethPrice = tickPrice(ETH_TICK, 18, 6);
+    expect(wethPrice).to.be.closeTo(2000, 1);
+    expectPrice(await wethOracle.getCurrentPrice(), wethPrice);
+    expectPrice(await usdcOracle.getCurrentPrice(), 1 / wethPrice);
+  });
+
+  it("Should return the time-weighted average over the window", async () => {
+    const pool = await UniswapV3PoolMock.deploy(weth, usdc, ETH_TICK, 10);
+    const oracle = await UniswapV3TwapPriceOracle.deploy(pool, weth, HOUR, 10);
+    await helpers.time.increase(HOUR);
+
+    // A spike in the price only moves the TWAP proportionally to the time it lasts
+    await pool.setTick(ETH_TICK + 2000);
+    await helpers.time.increase(HOUR / 2);
+    // Half of the window at each tick, +-1 tick because of the block timestamps
+    expectPrice(await oracle.getCurrentPrice(), tickPrice(ETH_TICK + 1000, 18, 6), 2e-4);
+
+    await helpers.time.increase(HOUR / 2);
+    expectPrice(await oracle.getCurrentPrice(), tickPrice(ETH_TICK + 2000, 18, 6));
+  });
+
+  it("Should round the average tick to negative infinity", async () => {
+    const pool = await UniswapV3PoolMock.deploy(weth, usdc, 0, 10);
+    const oracle = await UniswapV3TwapPriceOracle.deploy(pool, weth, 2, 10);
+    await helpers.time.increase(HOUR);
+    await pool.setTick(-1);
+    await helpers.mine();
+    // When the oracle is called, the tick -1 was held for one of the two seconds of the window
+    expectPrice(await oracle.getCurrentPrice(), tickPrice(-1, 18, 6));
+  });
+
+  it("Should revert if the observation cardinality is too low", async () => {
+    const pool = await UniswapV3PoolMock.deploy(weth, usdc, ETH_TICK, 5);
+    const oracle = await UniswapV3TwapPriceOracle.deploy(pool, weth, HOUR, 10);
+    await helpers.time.increase(HOUR);
+
+    await expect(oracle.getCurrentPrice()).to.be.revertedWith(
+      "UniswapV3TwapPriceOracle: observation cardinality too low"
+    );
+    await pool.setCardinality(10);
+    expectPrice(await oracle.getCurrentPrice(), tickPrice(ETH_TICK, 18, 6));
+  });
+});